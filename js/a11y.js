@@ -0,0 +1,241 @@
+// -------------------------------------------------------------------
+// ACCESSIBILITY (KEYBOARD MARKS + DATA TABLES)
+// Makes chart marks reachable without a mouse and gives every chart a
+// data table that can be shown in place of (or beside) the graphic.
+// Each chart is one tab stop; arrow keys move between its marks, Enter
+// or Space does what a click does, and the tooltip text is read out as
+// the mark's label.
+// -------------------------------------------------------------------
+const A11y = (function () {
+
+  // -----------------------------------------------------------------
+  // 1) KEYBOARD-FOCUSABLE MARKS
+  // -----------------------------------------------------------------
+  // Tooltip HTML -> one line of text for aria-label
+  function plain(html) {
+    return String(html)
+      .replace(/<br\s*\/?>/gi, ". ")
+      .replace(/<[^>]*>/g, "")
+      .replace(/\s+/g, " ")
+      .replace(/\.\s*\./g, ".")
+      .trim();
+  }
+
+  // Move the group's single tab stop to node and focus it
+  function focusNode(nodes, node) {
+    nodes.forEach(n => n.setAttribute("tabindex", n === node ? 0 : -1));
+    node.focus();
+  }
+
+  // Keyboard tooltip: the page's shared #tooltip, next to the mark
+  function showTooltip(node, html) {
+    const tooltip = d3.select("#tooltip");
+    if (tooltip.empty()) return;
+
+    const box = node.getBoundingClientRect();
+    tooltip
+      .style("display", "block")
+      .style("left", (box.right + window.scrollX + 8) + "px")
+      .style("top", (box.top + window.scrollY) + "px")
+      .html(html);
+  }
+
+  function hideTooltip() {
+    d3.select("#tooltip").style("display", "none");
+  }
+
+  // options: { key(d) -> string, label(d) -> tooltip HTML or text,
+  //   onSelect(event, d) (optional; Enter / Space), selected(d) }
+  // Call after every (re)draw of the marks. When onSelect redraws the
+  // chart, focus returns to the mark with the same key.
+  function focusable(selection, { key, label, onSelect, selected }) {
+    const nodes = selection.nodes();
+    if (!nodes.length) return;
+
+    // Keep the tab stop on the mark that had it, else the first one
+    const current = nodes.find(n => n.getAttribute("tabindex") === "0") || nodes[0];
+
+    selection
+      .attr("tabindex", function () { return this === current ? 0 : -1; })
+      .attr("role", onSelect ? "button" : "img")
+      .attr("data-a11y-key", d => key(d))
+      .attr("aria-label", d => plain(label(d)))
+      .attr("aria-pressed", onSelect && selected ? d => String(!!selected(d)) : null)
+      .on("keydown.a11y", function (event, d) {
+        const i = nodes.indexOf(this);
+        let next = null;
+
+        switch (event.key) {
+          case "ArrowRight":
+          case "ArrowDown":
+            next = nodes[(i + 1) % nodes.length];
+            break;
+          case "ArrowLeft":
+          case "ArrowUp":
+            next = nodes[(i - 1 + nodes.length) % nodes.length];
+            break;
+          case "Home":
+            next = nodes[0];
+            break;
+          case "End":
+            next = nodes[nodes.length - 1];
+            break;
+          case "Enter":
+          case " ":
+            if (!onSelect) return;
+            event.preventDefault();
+            select(this, event, d);
+            return;
+          default:
+            return;
+        }
+
+        event.preventDefault();
+        focusNode(nodes, next);
+      })
+      .on("focus.a11y", function (event, d) {
+        showTooltip(this, label(d));
+      })
+      .on("blur.a11y", hideTooltip);
+
+    function select(node, event, d) {
+      const svg = node.ownerSVGElement || node.closest("svg");
+      const k = key(d);
+      onSelect(event, d);
+
+      // The redraw may have replaced the node
+      const again = svg && Array.from(svg.querySelectorAll("[data-a11y-key]"))
+        .find(n => n.getAttribute("data-a11y-key") === k);
+      if (again && again !== document.activeElement) {
+        svg.querySelectorAll("[data-a11y-key]").forEach(n => n.setAttribute("tabindex", -1));
+        again.setAttribute("tabindex", 0);
+        again.focus();
+      }
+    }
+  }
+
+
+  // -----------------------------------------------------------------
+  // 2) DATA TABLES
+  // -----------------------------------------------------------------
+  // Tables are registered once per chart and re-rendered by refresh()
+  // after each redraw; open ones stay open across redraws.
+  const tables = new Map();   // table id -> { title, rows }
+  const openTables = new Set();
+
+  const formatNumber = v => v.toLocaleString(I18n.tag, { maximumFractionDigits: 2 });
+
+  // Year columns ("year", "from_year", ...) are not digit-grouped
+  const isYearColumn = key => /(^|_)year$/.test(key);
+
+  function formatCell(v, key) {
+    if (v == null || (typeof v === "number" && !isFinite(v))) return I18n.t("a11y.na");
+    if (typeof v === "number") return isYearColumn(key) ? String(v) : formatNumber(v);
+    if (typeof v === "boolean") return I18n.t(v ? "a11y.yes" : "a11y.no");
+    // Data values: categories, genders, province names, ...
+    return I18n.province(I18n.term(String(v)));
+  }
+
+  // "ageRange" -> "Age range", "change_pct" -> "Change pct"; the
+  // catalogue's column.* keys take precedence
+  function columnLabel(key) {
+    if (I18n.has(`column.${key}`)) return I18n.t(`column.${key}`);
+    const words = String(key).replace(/_/g, " ").replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  function renderTable(id) {
+    const entry = tables.get(id);
+    const holder = d3.select(`#${id}`);
+    if (!entry || holder.empty()) return;
+
+    holder.selectAll("*").remove();
+    const isOpen = openTables.has(id);
+    holder.property("hidden", !isOpen);
+    if (!isOpen) return;
+
+    const rows = entry.rows() || [];
+    const columns = rows.length ? Object.keys(rows[0]) : [];
+
+    const table = holder.append("table")
+      .attr("class", "table table-sm table-dark table-striped chart-data-table mb-0");
+
+    table.append("caption").text(entry.title);
+
+    if (!rows.length) {
+      table.append("tbody").append("tr").append("td").text(I18n.t("a11y.noData"));
+      return;
+    }
+
+    table.append("thead").append("tr")
+      .selectAll("th")
+      .data(columns)
+      .enter()
+      .append("th")
+      .attr("scope", "col")
+      .text(columnLabel);
+
+    table.append("tbody")
+      .selectAll("tr")
+      .data(rows)
+      .enter()
+      .append("tr")
+      .selectAll("td")
+      .data(row => columns.map(c => [row[c], c]))
+      .enter()
+      .append("td")
+      .text(([v, c]) => formatCell(v, c));
+  }
+
+  // Adds a "Table" toggle to the toolbar at selector and a table holder
+  // right after the toolbar. config: { id, title, rows: () => [{...}] }
+  function tableToggle(selector, { id, title, rows }) {
+    const toolbar = d3.select(selector);
+    tables.set(id, { title, rows });
+
+    const button = toolbar.insert("button", ":first-child")
+      .attr("type", "button")
+      .attr("class", "btn btn-sm btn-outline-light me-2")
+      .attr("aria-controls", id)
+      .text(I18n.t("a11y.table"));
+
+    const node = toolbar.node();
+    let holder = d3.select(`#${id}`);
+    if (holder.empty()) {
+      holder = d3.select(node.parentNode)
+        .insert("div", () => node.nextSibling)
+        .attr("id", id)
+        .attr("class", "chart-table-holder");
+    }
+
+    const sync = () => {
+      const isOpen = openTables.has(id);
+      button
+        .attr("aria-expanded", String(isOpen))
+        .attr("title", I18n.t(isOpen ? "a11y.hideTable" : "a11y.showTable", { title }))
+        .classed("active", isOpen);
+      renderTable(id);
+    };
+
+    button.on("click", () => {
+      if (openTables.has(id)) openTables.delete(id);
+      else openTables.add(id);
+      sync();
+    });
+
+    sync();
+  }
+
+  // Re-render every open table from its rows()
+  function refresh() {
+    openTables.forEach(renderTable);
+  }
+
+
+  return {
+    plain,
+    focusable,
+    tableToggle,
+    refresh,
+  };
+})();
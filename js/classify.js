@@ -0,0 +1,343 @@
+// -------------------------------------------------------------------
+// CHOROPLETH CLASSIFICATION
+// Cuts the values shown on a map into classes so the fill colour and
+// the stepped legend use the same breaks, whichever page draws them.
+// -------------------------------------------------------------------
+const Classify = (function () {
+
+  const METHODS = {
+    quantile: I18n.t("classify.quantile"),
+    equal: I18n.t("classify.equal"),
+    jenks: I18n.t("classify.jenks"),
+    stddev: I18n.t("classify.stddev"),
+    manual: I18n.t("classify.manual"),
+  };
+
+  // Label for change maps, which always use classifyDiverging
+  const DIVERGING_LABEL = I18n.t("classify.diverging");
+
+  const CLASS_COUNTS = [3, 4, 5, 6, 7];
+
+  // Shared default; each page keeps its own copy
+  function defaultOptions() {
+    return { method: "quantile", k: 5, manual: [] };
+  }
+
+
+  // -----------------------------------------------------------------
+  // 1) BREAKS
+  // -----------------------------------------------------------------
+  // Each method returns the k - 1 inner thresholds for sorted values.
+  // A value equal to a threshold falls in the class above it, which is
+  // how d3.scaleThreshold bisects.
+  function equalBreaks(values, k) {
+    const min = values[0];
+    const step = (values[values.length - 1] - min) / k;
+    return d3.range(1, k).map(i => min + i * step);
+  }
+
+  function quantileBreaks(values, k) {
+    return d3.range(1, k).map(i => d3.quantileSorted(values, i / k));
+  }
+
+  // Classes one standard deviation wide, centred on the mean
+  function stddevBreaks(values, k) {
+    const mean = d3.mean(values);
+    const sd = d3.deviation(values) || 0;
+    return d3.range(1, k).map(i => mean + (i - k / 2) * sd);
+  }
+
+  // Fisher-Jenks: choose the class boundaries that minimise the summed
+  // squared deviation within classes (dynamic programming, O(k·n²))
+  function jenksBreaks(values, k) {
+    const n = values.length;
+    if (n <= k) return values.slice(1);
+
+    // lower[l][j]: 1-based index of the first value in class j when the
+    // first l values are split into j classes; cost[l][j]: its variance
+    const lower = d3.range(n + 1).map(() => new Array(k + 1).fill(0));
+    const cost = d3.range(n + 1).map(() => new Array(k + 1).fill(Infinity));
+    for (let j = 1; j <= k; j++) {
+      lower[1][j] = 1;
+      cost[1][j] = 0;
+    }
+
+    for (let l = 2; l <= n; l++) {
+      let sum = 0;
+      let sumSquares = 0;
+      let variance = 0;
+
+      for (let m = 1; m <= l; m++) {
+        const start = l - m + 1;
+        const v = values[start - 1];
+        sum += v;
+        sumSquares += v * v;
+        variance = sumSquares - (sum * sum) / m;
+
+        if (start > 1) {
+          for (let j = 2; j <= k; j++) {
+            if (cost[l][j] >= variance + cost[start - 1][j - 1]) {
+              lower[l][j] = start;
+              cost[l][j] = variance + cost[start - 1][j - 1];
+            }
+          }
+        }
+      }
+      lower[l][1] = 1;
+      cost[l][1] = variance;
+    }
+
+    const breaks = [];
+    let end = n;
+    for (let j = k; j >= 2; j--) {
+      const start = lower[end][j];
+      breaks.unshift(values[start - 1]);
+      end = start - 1;
+    }
+    return breaks;
+  }
+
+  // "1,000, 5000 10000" -> [1000, 5000, 10000]; French "1 000 ; 2,5"
+  // -> [2.5, 1000] (see I18n.parseNumberList)
+  function parseBreaks(text) {
+    const numbers = I18n.parseNumberList(text);
+    return Array.from(new Set(numbers)).sort(d3.ascending);
+  }
+
+
+  // -----------------------------------------------------------------
+  // 2) CLASSIFY
+  // -----------------------------------------------------------------
+  // Returns { method, breaks, classes: [{ from, to, color, count }], scale }
+  // where scale maps a value to its class colour. Missing or non-finite
+  // values are ignored when computing breaks.
+  function classify(values, options, interpolator) {
+    const sorted = values
+      .filter(v => v != null && isFinite(v))
+      .sort(d3.ascending);
+
+    let breaks = [];
+    if (sorted.length) {
+      const k = options.k;
+      switch (options.method) {
+        case "equal": breaks = equalBreaks(sorted, k); break;
+        case "jenks": breaks = jenksBreaks(sorted, k); break;
+        case "stddev": breaks = stddevBreaks(sorted, k); break;
+        case "manual": breaks = options.manual.slice(); break;
+        default: breaks = quantileBreaks(sorted, k);
+      }
+    }
+
+    // Repeated values (e.g. many zeros) can produce duplicate thresholds
+    breaks = Array.from(new Set(breaks)).sort(d3.ascending);
+
+    const n = breaks.length + 1;
+    const colors = n > 1
+      ? d3.quantize(t => interpolator(0.15 + 0.85 * t), n)
+      : [interpolator(0.6)];
+
+    const scale = d3.scaleThreshold()
+      .domain(breaks)
+      .range(colors);
+
+    const [min, max] = sorted.length ? [sorted[0], sorted[sorted.length - 1]] : [0, 0];
+    const classes = colors.map((color, i) => {
+      const from = i === 0 ? Math.min(min, breaks[0] ?? min) : breaks[i - 1];
+      const to = i === n - 1 ? Math.max(max, breaks[n - 2] ?? max) : breaks[i];
+      return {
+        from,
+        to,
+        color,
+        count: sorted.filter(v => scale(v) === color).length,
+      };
+    });
+
+    return { method: options.method, breaks, classes, scale };
+  }
+
+  // Change maps: k equal classes over [-m, m], m = largest absolute
+  // change, so zero sits at the centre of the palette (an odd k gives a
+  // "little change" middle class). interpolator runs decrease -> increase.
+  function classifyDiverging(values, k, interpolator) {
+    const finite = values.filter(v => v != null && isFinite(v));
+    const m = d3.max(finite, v => Math.abs(v)) || 1;
+    const step = (2 * m) / k;
+
+    const breaks = d3.range(1, k).map(i => -m + i * step);
+    const colors = d3.quantize(interpolator, k);
+    const scale = d3.scaleThreshold().domain(breaks).range(colors);
+
+    const classes = colors.map((color, i) => ({
+      from: -m + i * step,
+      to: -m + (i + 1) * step,
+      color,
+      count: finite.filter(v => scale(v) === color).length,
+    }));
+
+    return { method: "diverging", breaks, classes, scale };
+  }
+
+
+  // -----------------------------------------------------------------
+  // 3) BIVARIATE (3 x 3, CASES VS LOSS)
+  // -----------------------------------------------------------------
+  // Splits x and y into terciles each. Returns { xBreaks, yBreaks,
+  // cell(x, y) -> { x, y, color } (0-2 per axis), counts[y][x] };
+  // colours come from the theme's 3 x 3 grid (js/theme.js)
+  function classifyBivariate(points) {
+    const valid = points.filter(p =>
+      p.x != null && isFinite(p.x) && p.y != null && isFinite(p.y)
+    );
+    const tercile = values => {
+      const sorted = values.slice().sort(d3.ascending);
+      return sorted.length
+        ? Array.from(new Set(quantileBreaks(sorted, 3)))
+        : [];
+    };
+
+    const xBreaks = tercile(valid.map(p => p.x));
+    const yBreaks = tercile(valid.map(p => p.y));
+    const classOf = (breaks, v) => Math.min(2, d3.bisectRight(breaks, v));
+
+    function cell(x, y) {
+      const i = classOf(xBreaks, x);
+      const j = classOf(yBreaks, y);
+      return { x: i, y: j, color: Theme.palette().bivariate[j * 3 + i] };
+    }
+
+    const counts = d3.range(3).map(() => [0, 0, 0]);
+    valid.forEach(p => {
+      const c = cell(p.x, p.y);
+      counts[c.y][c.x] += 1;
+    });
+
+    return { method: "bivariate", xBreaks, yBreaks, cell, counts };
+  }
+
+  // Square legend: high y on top, high x on the right, counts on hover
+  function renderBivariateLegend(selector, xLabel, yLabel, classification) {
+    const container = d3.select(selector);
+    container.selectAll("*").remove();
+
+    const legend = container.append("div").attr("class", "bivariate-legend");
+
+    legend.append("div")
+      .attr("class", "bivariate-y-label")
+      .text(`${yLabel} →`);
+
+    const cells = d3.range(2, -1, -1).flatMap(y => d3.range(3).map(x => ({ x, y })));
+
+    legend.append("div")
+      .attr("class", "bivariate-grid")
+      .selectAll("span")
+      .data(cells)
+      .enter()
+      .append("span")
+      .attr("class", "bivariate-cell")
+      .style("background", d => Theme.palette().bivariate[d.y * 3 + d.x])
+      .attr("title", d => I18n.t("classify.bivariate.cell", { count: classification.counts[d.y][d.x] }));
+
+    legend.append("div")
+      .attr("class", "bivariate-x-label")
+      .text(`${xLabel} →`);
+  }
+
+
+  // -----------------------------------------------------------------
+  // 4) CONTROLS (METHOD, CLASS COUNT, MANUAL BREAKS)
+  // -----------------------------------------------------------------
+  // Builds the controls into container, keeps options in sync and calls
+  // onChange after every edit. Ids are prefixed with the container id so
+  // the controls can appear on more than one page.
+  function renderControls(selector, options, onChange) {
+    const container = d3.select(selector);
+    const prefix = container.attr("id");
+    container.selectAll("*").remove();
+
+    container.append("label")
+      .attr("for", `${prefix}-method`)
+      .attr("class", "form-label mb-0 small")
+      .text(I18n.t("classify.classes"));
+
+    const methodSelect = container.append("select")
+      .attr("id", `${prefix}-method`)
+      .attr("class", "form-select form-select-sm w-auto");
+
+    methodSelect.selectAll("option")
+      .data(Object.entries(METHODS))
+      .enter()
+      .append("option")
+      .attr("value", ([key]) => key)
+      .text(([, label]) => label);
+
+    container.append("label")
+      .attr("for", `${prefix}-count`)
+      .attr("class", "visually-hidden")
+      .text(I18n.t("classify.count"));
+
+    const countSelect = container.append("select")
+      .attr("id", `${prefix}-count`)
+      .attr("class", "form-select form-select-sm w-auto");
+
+    countSelect.selectAll("option")
+      .data(CLASS_COUNTS)
+      .enter()
+      .append("option")
+      .attr("value", d => d)
+      .text(d => d);
+
+    container.append("label")
+      .attr("for", `${prefix}-manual`)
+      .attr("class", "visually-hidden")
+      .text(I18n.t("classify.manualBreaks"));
+
+    const manualInput = container.append("input")
+      .attr("type", "text")
+      .attr("id", `${prefix}-manual`)
+      .attr("class", "form-control form-control-sm w-auto")
+      .attr("placeholder", I18n.t("classify.placeholder"));
+
+    function sync() {
+      methodSelect.property("value", options.method);
+      countSelect.property("value", options.k);
+      manualInput.property("value", I18n.formatNumberList(options.manual));
+
+      // Manual breaks set the class count themselves
+      countSelect.style("display", options.method === "manual" ? "none" : null);
+      manualInput.style("display", options.method === "manual" ? null : "none");
+    }
+
+    methodSelect.on("change", function () {
+      options.method = this.value;
+      sync();
+      onChange();
+    });
+
+    countSelect.on("change", function () {
+      options.k = +this.value;
+      onChange();
+    });
+
+    manualInput.on("change", function () {
+      options.manual = parseBreaks(this.value);
+      sync();
+      onChange();
+    });
+
+    sync();
+  }
+
+
+  return {
+    METHODS,
+    CLASS_COUNTS,
+    defaultOptions,
+    parseBreaks,
+    DIVERGING_LABEL,
+    classify,
+    classifyDiverging,
+    classifyBivariate,
+    renderBivariateLegend,
+    renderControls,
+  };
+})();
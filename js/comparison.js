@@ -1,34 +1,43 @@
 // -------------------------------------------------------------------
-// 1) CONFIGURATION: PATHS TO DATA FILES
-// -------------------------------------------------------------------
-const GEOJSON_URL = "data/CanadaProvincesCartoBoundary_EPSG4326.geojson";
-const DATA_URL = "data/CanadianAnti-FraudCentreReportingData-EN-CA-only.json";
-
-
-// -------------------------------------------------------------------
-// 2) GLOBAL STATE
+// 1) GLOBAL STATE
 // -------------------------------------------------------------------
 let geojson, fraudData;
 let perProvYearMetrics = {};  // { year: { province: { cases: ..., loss: ... } } }
-let allProvinces = [];        // Sorted list of provinces for dropdowns
+let allProvinces = [];        // Sorted list of provinces for the picker
+let selectedProvinces = ["Ontario", "Quebec"];  // any number, kept in allProvinces order
 let selectedYear = 2021;
+let selectedNorm = "total";   // key of FraudData.NORMALISATIONS
+let classOptions = Classify.defaultOptions();  // map classification
 let showAllYears = false;
+let mapMode = "magnitude";    // "magnitude" | "change"
+let changeFromYear = null;    // years compared by the change map
+let changeToYear = null;
+let changeMeasure = "pct";    // "pct" | "abs"
+let mapViewOptions = MapView.defaultOptions();  // projection + Atlantic inset
+let mapView;                  // { zoomTo, reset, clear } for #map1 (js/map-view.js)
+let mapExportRows = [];       // province values behind #map1, for CSV export
 
 
 // -------------------------------------------------------------------
-// 3) DATA LOADING
+// 2) DATA LOADING (SHARED DATA LAYER)
 // -------------------------------------------------------------------
+// Data files and name canonicalisation live in js/data.js (FraudData)
 Promise.all([
-  d3.json(GEOJSON_URL),
-  d3.json(DATA_URL)
+  FraudData.loadGeo(),
+  FraudData.loadRecords()
 ])
   .then(([gjson, data]) => {
     geojson = gjson;
     fraudData = data;
     preprocessData();
-    populateProvinceSelectors();
+    initProvincePicker();
+    initMetricControls();
     initYearControls();
+    initExportMenus();
+    d3.select("#reportBtn").on("click", generateReport);
     drawMaps();  // Initial draw
+
+    DataQuality.render("#dataQuality", FraudData.getQualityReports());
   })
   .catch(err => {
     console.error("Error loading data:", err);
@@ -36,64 +45,225 @@ Promise.all([
 
 
 // -------------------------------------------------------------------
-// 4) PREPROCESS FRAUD DATA
+// 3) PREPROCESS FRAUD DATA
 // -------------------------------------------------------------------
 function preprocessData() {
-  fraudData.forEach(d => {
-    const prov = d.region;
-    const year = d.year;
-    if (!prov || prov === "Not Specified") return;
-
-    if (!perProvYearMetrics[year]) perProvYearMetrics[year] = {};
-    if (!perProvYearMetrics[year][prov]) {
-      perProvYearMetrics[year][prov] = { cases: 0, loss: 0 };
-    }
-
-    perProvYearMetrics[year][prov].cases += 1;
-    perProvYearMetrics[year][prov].loss += d.dollarLoss;
-  });
-
-  // Extract list of provinces from GeoJSON (for dropdowns and completeness)
-  const provSet = new Set();
-  geojson.features.forEach(f => {
-    const name =
-      f.properties["PRENAME"] ||
-      f.properties["name"] ||
-      f.properties["NAME"] ||
-      f.properties["province"];
-    if (name) provSet.add(name);
+  // Records already carry canonical province names (Canada only)
+  const years = Array.from(new Set(fraudData.map(d => d.year)));
+
+  years.forEach(year => {
+    const byProv = FraudData.rollupRecords(fraudData, { year }, d => d.region);
+    perProvYearMetrics[year] = {};
+    byProv.forEach((vals, prov) => {
+      perProvYearMetrics[year][prov] = { cases: vals.cases, loss: vals.loss, victims: vals.victims };
+    });
   });
 
-  allProvinces = Array.from(provSet).sort();
+  allProvinces = FraudData.PROVINCE_NAMES.slice().sort(I18n.compareProvinces);
 }
 
 
 // -------------------------------------------------------------------
-// 5) POPULATE PROVINCE SELECTORS
+// 4) PROVINCE PICKER (CHECKBOX CHIPS + PRESET GROUPS)
 // -------------------------------------------------------------------
-function populateProvinceSelectors() {
-  const sel1 = d3.select("#provinceSelect1");
-  const sel2 = d3.select("#provinceSelect2");
+function initProvincePicker() {
+  // Preset buttons: replace the selection with a regional group
+  d3.select("#provinceGroupButtons")
+    .selectAll("button")
+    .data(Object.entries(FraudData.PROVINCE_GROUPS))
+    .enter()
+    .append("button")
+    .attr("type", "button")
+    .attr("class", "btn btn-sm btn-outline-light province-group-btn")
+    .text(([group]) => I18n.term(group))
+    .on("click", (event, [, provinces]) => setSelectedProvinces(provinces));
+
+  d3.select("#provinceGroupButtons")
+    .append("button")
+    .attr("type", "button")
+    .attr("class", "btn btn-sm btn-outline-light province-group-btn")
+    .text(I18n.t("comparison.all"))
+    .on("click", () => setSelectedProvinces(allProvinces));
+
+  d3.select("#provinceGroupButtons")
+    .append("button")
+    .attr("type", "button")
+    .attr("class", "btn btn-sm btn-outline-secondary province-group-btn")
+    .text(I18n.t("comparison.clear"))
+    .on("click", () => setSelectedProvinces([]));
+
+  // One toggle chip per province / territory
+  const chips = d3.select("#provinceChecklist")
+    .selectAll("span.province-chip")
+    .data(allProvinces)
+    .enter()
+    .append("span")
+    .attr("class", "province-chip");
+
+  chips.append("input")
+    .attr("type", "checkbox")
+    .attr("class", "btn-check")
+    .attr("id", (d, i) => `provinceCheck${i}`)
+    .attr("autocomplete", "off")
+    .attr("value", d => d)
+    .on("change", () => {
+      setSelectedProvinces(
+        d3.selectAll("#provinceChecklist input:checked").nodes().map(n => n.value)
+      );
+    });
 
-  allProvinces.forEach(prov => {
-    sel1.append("option").attr("value", prov).text(prov);
-    sel2.append("option").attr("value", prov).text(prov);
-  });
+  chips.append("label")
+    .attr("class", "btn btn-sm btn-outline-light")
+    .attr("for", (d, i) => `provinceCheck${i}`)
+    .text(I18n.province);
+
+  updateProvinceChecklist();
+}
+
+function setSelectedProvinces(provinces) {
+  selectedProvinces = allProvinces.filter(p => provinces.includes(p));
+  updateProvinceChecklist();
+  drawMaps();
+}
 
-  // Defaults
-  sel1.property("value", "Ontario");
-  sel2.property("value", "Quebec");
+function toggleProvince(province) {
+  setSelectedProvinces(
+    selectedProvinces.includes(province)
+      ? selectedProvinces.filter(p => p !== province)
+      : selectedProvinces.concat(province)
+  );
+}
+
+function updateProvinceChecklist() {
+  d3.selectAll("#provinceChecklist input")
+    .property("checked", d => selectedProvinces.includes(d));
 
-  // Event listeners
-  sel1.on("change", drawMaps);
-  sel2.on("change", drawMaps);
-  d3.selectAll("input[name=metricRadio]").on("change", drawMaps);
+  // Highlight a preset button when the selection matches it exactly
+  d3.selectAll("#provinceGroupButtons .province-group-btn")
+    .classed("active", d => Array.isArray(d) &&
+      d[1].length === selectedProvinces.length &&
+      d[1].every(p => selectedProvinces.includes(p)));
 }
 
 
 // -------------------------------------------------------------------
-// 6) YEAR CONTROLS (SLIDER + ALL-YEARS TOGGLE)
+// 5) METRIC + YEAR CONTROLS (NORMALISATION, SLIDER, ALL-YEARS TOGGLE)
 // -------------------------------------------------------------------
+function initMetricControls() {
+  const normSelect = d3.select("#normSelect");
+
+  // Map classification (method, class count, manual breaks)
+  Classify.renderControls("#classControls", classOptions, drawMaps);
+
+  // Projection, Atlantic inset and zoom reset; a new projection drops the zoom
+  MapView.renderControls("#mapViewControls", mapViewOptions, () => {
+    mapView.clear();
+    drawMaps();
+  }, () => mapView.reset());
+
+  normSelect.selectAll("option")
+    .data(Object.entries(FraudData.NORMALISATIONS))
+    .enter()
+    .append("option")
+    .attr("value", ([key]) => key)
+    .text(([key]) => FraudData.normLabel(key));
+
+  normSelect.property("value", selectedNorm);
+
+  // Loss per case / victim switch the metric to loss ...
+  normSelect.on("change", function () {
+    selectedNorm = this.value;
+    if (FraudData.NORMALISATIONS[selectedNorm].lossOnly) {
+      d3.select("#metricLoss").property("checked", true);
+    }
+    drawMaps();
+  });
+
+  // ... and picking cases drops a loss-only normalisation
+  d3.selectAll("input[name=metricRadio]").on("change", function () {
+    if (this.value === "cases" && FraudData.NORMALISATIONS[selectedNorm].lossOnly) {
+      selectedNorm = "total";
+      normSelect.property("value", selectedNorm);
+    }
+    drawMaps();
+  });
+
+  // Change map: two years, percent or absolute change
+  const years = Object.keys(perProvYearMetrics).map(Number).sort(d3.ascending);
+  changeFromYear = years[0];
+  changeToYear = years[years.length - 1];
+
+  ["#changeFromSelect", "#changeToSelect"].forEach(sel => {
+    d3.select(sel).selectAll("option")
+      .data(years)
+      .enter()
+      .append("option")
+      .attr("value", d => d)
+      .text(d => d);
+  });
+
+  d3.select("#changeFromSelect").property("value", changeFromYear);
+  d3.select("#changeToSelect").property("value", changeToYear);
+
+  d3.select("#mapModeSelect").on("change", function () {
+    mapMode = this.value;
+    d3.select("#changeYears").classed("d-none", mapMode !== "change");
+    drawMaps();
+  });
+
+  d3.select("#changeFromSelect").on("change", function () {
+    changeFromYear = +this.value;
+    drawMaps();
+  });
+
+  d3.select("#changeToSelect").on("change", function () {
+    changeToYear = +this.value;
+    drawMaps();
+  });
+
+  d3.select("#changeMeasureSelect").on("change", function () {
+    changeMeasure = this.value;
+    drawMaps();
+  });
+}
+
+// Legend / tooltip heading for the active metric and normalisation
+function metricTitle(metric, norm) {
+  if (norm === "total") return I18n.t(metric === "cases" ? "comparison.metric.cases" : "comparison.metric.loss");
+  return FraudData.metricLabel(metric, norm);
+}
+
+function formatMetric(value, metric, norm) {
+  if (value == null) return I18n.t("common.na");
+  if (metric === "loss" || FraudData.NORMALISATIONS[norm].lossOnly) {
+    return d3.format("$,.0f")(value);
+  }
+  return d3.format(norm === "total" ? "," : ",.1f")(value);
+}
+
+// "+12.5%", "−$3,400", "±0"
+function formatChange(value, metric, measure = changeMeasure) {
+  if (value == null || !isFinite(value)) return I18n.t("common.na");
+  const sign = value > 0 ? "+" : value < 0 ? "−" : "±";
+  return measure === "pct"
+    ? sign + I18n.percent(Math.abs(value))
+    : sign + formatMetric(Math.abs(value), metric, selectedNorm);
+}
+
+// Direction and size of a change, plus the two values it compares
+function changeDetail(change, metric) {
+  if (!change) return I18n.t("change.noValue", { from: changeFromYear, to: changeToYear });
+
+  const direction = I18n.t(change.abs > 0 ? "change.increase" : change.abs < 0 ? "change.decrease" : "change.none");
+  const pct = change.pct == null
+    ? I18n.t("change.noReports", { year: changeFromYear })
+    : formatChange(change.pct, metric, "pct");
+
+  return `${I18n.labelled(direction, formatChange(change.abs, metric, "abs"))} (${pct})<br>` +
+    `<span class="small">${I18n.labelled(changeFromYear, formatMetric(change.from, metric, selectedNorm))} → ` +
+    `${I18n.labelled(changeToYear, formatMetric(change.to, metric, selectedNorm))}</span>`;
+}
+
 function initYearControls() {
   const slider = d3.select("#yearSlider");
   const label = d3.select("#yearLabel");
@@ -141,7 +311,7 @@ function initYearControls() {
       const maxYear = +slider.attr("max");
       slider.property("value", maxYear);
       slider.property("disabled", true);
-      label.text("All Years");
+      label.text(I18n.t("comparison.allYears"));
       btn.classed("active", true);
     }
 
@@ -152,11 +322,9 @@ function initYearControls() {
 
 
 // -------------------------------------------------------------------
-// 7) MAIN DRAW: BOTH MAPS + SUMMARY + PROVINCE CHARTS
+// 6) MAIN DRAW: BOTH MAPS + SUMMARY + PROVINCE CHARTS
 // -------------------------------------------------------------------
 function drawMaps() {
-  const prov1 = d3.select("#provinceSelect1").property("value");
-  const prov2 = d3.select("#provinceSelect2").property("value");
   const metric = d3.select("input[name=metricRadio]:checked").property("value");
 
   // Update metric toggle button styles
@@ -175,42 +343,108 @@ function drawMaps() {
   if (showAllYears) {
     Object.values(perProvYearMetrics).forEach(yearObj => {
       Object.entries(yearObj).forEach(([prov, vals]) => {
-        if (!metrics[prov]) metrics[prov] = { cases: 0, loss: 0 };
+        if (!metrics[prov]) metrics[prov] = { cases: 0, loss: 0, victims: 0 };
         metrics[prov].cases += vals.cases;
         metrics[prov].loss += vals.loss;
+        metrics[prov].victims += vals.victims;
       });
     });
   } else {
     metrics = perProvYearMetrics[selectedYear] || {};
   }
 
-  // Province → value (cases / loss)
+  // Province → value (cases / loss, normalised; null when not computable).
+  // All years: rates use population-years, i.e. average yearly rates
+  const year = showAllYears ? Object.keys(perProvYearMetrics).map(Number) : selectedYear;
   const valueByProv = {};
   allProvinces.forEach(prov => {
-    const rec = metrics[prov];
-    valueByProv[prov] = rec ? rec[metric] : 0;
+    const rec = metrics[prov] || { cases: 0, loss: 0, victims: 0 };
+    valueByProv[prov] = FraudData.normalise(rec, metric, selectedNorm, prov, year);
+  });
+
+  // Selected provinces taken together (rates use their combined population)
+  const combined = selectedProvinces.length > 1
+    ? FraudData.normalise(
+      {
+        cases: d3.sum(selectedProvinces, p => (metrics[p] || {}).cases || 0),
+        loss: d3.sum(selectedProvinces, p => (metrics[p] || {}).loss || 0),
+        victims: d3.sum(selectedProvinces, p => (metrics[p] || {}).victims || 0),
+      },
+      metric, selectedNorm, selectedProvinces, year
+    )
+    : null;
+
+  // Change mode: the map shows change between two years instead
+  if (mapMode === "change") {
+    const changes = {};
+    allProvinces.forEach(prov => {
+      const at = y => FraudData.normalise(
+        (perProvYearMetrics[y] || {})[prov] || { cases: 0, loss: 0, victims: 0 },
+        metric, selectedNorm, prov, y
+      );
+      const change = FraudData.change(at(changeFromYear), at(changeToYear));
+      changes[prov] = change;
+      valueByProv[prov] = change ? change[changeMeasure] : null;
+    });
+
+    mapExportRows = allProvinces.map(prov => ({
+      province: prov,
+      selected: selectedProvinces.includes(prov),
+      // Fixed keys: year-named keys would sort ahead of province (and
+      // merge when both years are the same)
+      from_year: changeFromYear,
+      from_value: changes[prov] ? changes[prov].from : null,
+      to_year: changeToYear,
+      to_value: changes[prov] ? changes[prov].to : null,
+      [changeMeasure === "pct" ? "change_pct" : "change"]: valueByProv[prov]
+    }));
+
+    const classification = Classify.classifyDiverging(
+      Object.values(valueByProv), classOptions.k, Theme.palette().diverging
+    );
+
+    drawMap("#map1", "#legend1", selectedProvinces, metric, valueByProv, classification, changes);
+    updateSummary("#summary1", selectedProvinces, metric, valueByProv, null, changes);
+    drawProvinceCharts();
+    A11y.refresh();
+    return;
+  }
+
+  mapExportRows = allProvinces.map(prov => {
+    const rec = metrics[prov] || { cases: 0, loss: 0, victims: 0 };
+    return {
+      province: prov,
+      selected: selectedProvinces.includes(prov),
+      value: valueByProv[prov],
+      cases: rec.cases,
+      loss: rec.loss,
+      victims: rec.victims
+    };
   });
 
-  const maxVal = d3.max(Object.values(valueByProv));
-  const color = d3.scaleSequential()
-    .domain([0, maxVal])
-    .interpolator(metric === "cases" ? d3.interpolateGreens : d3.interpolatePurples);
+  const classification = Classify.classify(
+    Object.values(valueByProv),
+    classOptions,
+    Theme.ramp(metric)
+  );
 
   // Draw maps
-  drawMap("#map1", "#legend1", [prov1, prov2], metric, valueByProv, color);
+  drawMap("#map1", "#legend1", selectedProvinces, metric, valueByProv, classification);
 
   // Summary
-  updateSummary("#summary1", prov1, metric, valueByProv[prov1], prov2, valueByProv[prov2]);
+  updateSummary("#summary1", selectedProvinces, metric, valueByProv, combined);
 
   // Charts
   drawProvinceCharts();
+  A11y.refresh();
 }
 
 
 // -------------------------------------------------------------------
-// 8) RENDER A SINGLE MAP
+// 7) RENDER A SINGLE MAP
 // -------------------------------------------------------------------
-function drawMap(svgSelector, legendSelector, highlightProvs, metric, valueByProv, colorScale) {
+// changes (province -> FraudData.change result) is passed in change mode
+function drawMap(svgSelector, legendSelector, highlightProvs, metric, valueByProv, classification, changes) {
   const svg = d3.select(svgSelector);
   const container = svg.node().parentNode;
   const width = container.clientWidth;
@@ -219,11 +453,24 @@ function drawMap(svgSelector, legendSelector, highlightProvs, metric, valueByPro
   svg.selectAll("*").remove();
   svg.attr("width", width).attr("height", height);
 
-  const projection = d3.geoTransverseMercator()
-    .rotate([96, 0])
-    .fitSize([width, height], geojson);
-
+  const projection = MapView.projection(mapViewOptions.projection, [width, height], geojson);
   const path = d3.geoPath().projection(projection);
+  const palette = Theme.palette();
+
+  const provinceTooltip = d => {
+    const name =
+      d.properties["PRENAME"] ||
+      d.properties["NAME"] ||
+      d.properties["province"];
+    const val = valueByProv[name];
+    const period = showAllYears ? I18n.t("comparison.allYears") : selectedYear;
+
+    return `<strong>${I18n.province(name)}</strong><br>` +
+      (changes
+        ? `${metricTitle(metric, selectedNorm)}<br>` + changeDetail(changes[name], metric)
+        : I18n.labelled(`${metricTitle(metric, selectedNorm)} (${period})`,
+          formatMetric(val == null ? null : val || 0, metric, selectedNorm)));
+  };
 
   // Tooltip inside map container
   d3.select(container).selectAll(".province-tooltip").remove();
@@ -231,7 +478,8 @@ function drawMap(svgSelector, legendSelector, highlightProvs, metric, valueByPro
     .append("div")
     .attr("class", "province-tooltip");
 
-  svg.selectAll("path")
+  // Shapes go in the zoomable layer; the zoom itself survives the redraw
+  MapView.layer(svg).selectAll("path")
     .data(geojson.features)
     .enter()
     .append("path")
@@ -242,7 +490,8 @@ function drawMap(svgSelector, legendSelector, highlightProvs, metric, valueByPro
         d.properties["NAME"] ||
         d.properties["name"] ||
         d.properties["province"];
-      return colorScale(valueByProv[name] || 0);
+      if (changes) return valueByProv[name] == null ? palette.noData : classification.scale(valueByProv[name]);
+      return classification.scale(valueByProv[name] || 0);
     })
     .attr("stroke", d => {
       const name =
@@ -250,7 +499,7 @@ function drawMap(svgSelector, legendSelector, highlightProvs, metric, valueByPro
         d.properties["NAME"] ||
         d.properties["name"] ||
         d.properties["province"];
-      return highlightProvs.includes(name) ? "#ea63ffff" : "rgba(0, 0, 0, 0.1)";
+      return highlightProvs.includes(name) ? palette.highlight : palette.dimmed;
     })
     .attr("stroke-width", d => {
       const name =
@@ -261,19 +510,8 @@ function drawMap(svgSelector, legendSelector, highlightProvs, metric, valueByPro
       return highlightProvs.includes(name) ? 2 : 0.5;
     })
     .on("mouseover", (event, d) => {
-      const name =
-        d.properties["PRENAME"] ||
-        d.properties["NAME"] ||
-        d.properties["province"];
-      const val = valueByProv[name] || 0;
-
       tooltip.style("visibility", "visible")
-        .html(
-          `<strong>${name}</strong><br>` +
-          `${metric === "cases"
-            ? "Total Cases this Year: " + val
-            : "Total Amount Lost this Year: $" + val.toLocaleString()}`
-        )
+        .html(provinceTooltip(d))
         .style("left", (event.offsetX + 12) + "px")
         .style("top", (event.offsetY + 12) + "px");
     })
@@ -282,24 +520,38 @@ function drawMap(svgSelector, legendSelector, highlightProvs, metric, valueByPro
         .style("left", (event.offsetX + 12) + "px")
         .style("top", (event.offsetY + 12) + "px");
     })
-    .on("mouseout", () => tooltip.style("visibility", "hidden"));
+    .on("mouseout", () => tooltip.style("visibility", "hidden"))
+    .call(MapView.clickOrZoom, {
+      click: (event, d) => toggleProvince(d.properties["PRENAME"]),
+      zoom: (event, d) => mapView.zoomTo(d)
+    })
+    .call(A11y.focusable, {
+      key: d => d.properties["PRENAME"],
+      label: provinceTooltip,
+      onSelect: (event, d) => toggleProvince(d.properties["PRENAME"]),
+      selected: d => highlightProvs.includes(d.properties["PRENAME"])
+    });
+
+  // Zoom / pan (double-click zooms to a province) + optional inset
+  mapView = MapView.attach(svg, { width, height, path, geojson, inset: mapViewOptions.inset });
 
   // Legend
-  buildLegend(legendSelector, metric, colorScale);
+  buildLegend(legendSelector, metric, classification);
 }
 
 
 // -------------------------------------------------------------------
-// 9) LEGEND (INSIDE EACH MAP FRAME)
+// 8) LEGEND (INSIDE EACH MAP FRAME)
 // -------------------------------------------------------------------
-function buildLegend(selector, metric, colorScale) {
+function buildLegend(selector, metric, classification) {
+  const diverging = classification.method === "diverging";
   const legendContainer = d3.select(selector);
   legendContainer.selectAll("*").remove();
 
   // Toggle button
   const button = legendContainer.append("button")
     .attr("class", "legend-toggle-btn")
-    .text("Legend");
+    .text(I18n.t("comparison.legend"));
 
   // Inner legend box (hidden by default)
   const legendBox = legendContainer.append("div")
@@ -315,7 +567,7 @@ function buildLegend(selector, metric, colorScale) {
 
   const yearLabel = headerRow.append("div")
     .attr("class", "legend-year-label")
-    .text(showAllYears ? "All Years" : selectedYear);
+    .text(diverging ? `${changeFromYear} → ${changeToYear}` : showAllYears ? I18n.t("comparison.allYears") : selectedYear);
 
   headerRow.node().appendChild(button.node());
 
@@ -334,98 +586,150 @@ function buildLegend(selector, metric, colorScale) {
     button.style("display", "block");
   });
 
-  // Legend content
-  const steps = 6;
-  const [domainMin, domainMax] = colorScale.domain();
-  const stepSize = (domainMax - domainMin) / steps;
-
-  const legendRanges = d3.range(steps).map(i => {
-    const from = domainMin + i * stepSize;
-    const to = i === steps - 1 ? domainMax : from + stepSize;
-    return { from, to, color: colorScale(to) };
-  });
-
+  // Legend content: the same classes as the map fill
   legendBox.append("div")
     .attr("class", `legend-title metric-${metric}`)
-    .text(metric === "cases" ? "Number of Cases" : "Total Loss ($)");
+    .text(diverging
+      ? I18n.t("comparison.changeIn", {
+        metric: metricTitle(metric, selectedNorm),
+        measure: I18n.t(`comparison.measure.${changeMeasure}`)
+      })
+      : metricTitle(metric, selectedNorm));
+
+  legendBox.append("div")
+    .attr("class", "legend-method")
+    .text(diverging
+      ? `${Classify.DIVERGING_LABEL} · ${I18n.t("common.divergingKey")}`
+      : Classify.METHODS[classification.method]);
 
   const row = legendBox.append("div")
     .attr("class", "legend-row");
 
   row.selectAll(".legend-item")
-    .data(legendRanges)
+    .data(classification.classes)
     .enter()
     .append("div")
     .attr("class", "legend-item")
     .html(d => {
-      const label = metric === "cases"
-        ? `${Math.round(d.from)}–${Math.round(d.to)}`
-        : `$${Math.round(d.from).toLocaleString()}–$${Math.round(d.to).toLocaleString()}`;
+      const label = diverging
+        ? `${formatChange(d.from, metric)} – ${formatChange(d.to, metric)}`
+        : metric === "cases" && selectedNorm === "total"
+        ? `${d3.format(",.0f")(d.from)}–${d3.format(",.0f")(d.to)}`
+        : `${formatMetric(d.from, metric, selectedNorm)}–${formatMetric(d.to, metric, selectedNorm)}`;
       return `
         <span class="legend-color-box" style="background:${d.color}"></span>
-        ${label}
+        ${label} (${d.count})
       `;
     });
 }
 
 
 // -------------------------------------------------------------------
-// 10) SUMMARY (BELOW MAP)
+// 9) SUMMARY (BELOW MAP)
 // -------------------------------------------------------------------
-function updateSummary(summarySelector, prov1, metric, val1, prov2, val2) {
-  const label = metric === "cases" ? "Cases" : "Loss";
-  const format = v => metric === "cases" ? v : "$" + v.toLocaleString();
+function updateSummary(summarySelector, provinces, metric, valueByProv, combined, changes) {
+  if (changes) {
+    d3.select(summarySelector).html(
+      provinces.length
+        ? `<div class="w-100 small text-muted">${I18n.t("comparison.changeBetween", {
+          metric: metricTitle(metric, selectedNorm),
+          from: changeFromYear,
+          to: changeToYear
+        })}</div>` +
+          provinces.map(prov =>
+            `<div>${I18n.labelled(I18n.province(prov), `<strong>${changeDetail(changes[prov], metric)}</strong>`)}</div>`
+          ).join("")
+        : `<div>${I18n.t("comparison.noneSelected")}</div>`
+    );
+    return;
+  }
+
+  const format = v => formatMetric(v, metric, selectedNorm);
+
+  const items = provinces.map(prov =>
+    `<div>${I18n.labelled(I18n.province(prov), `<strong>${format(valueByProv[prov])}</strong>`)}</div>`
+  );
+
+  if (provinces.length > 1) {
+    items.push(`<div>${I18n.labelled(I18n.t("comparison.combined"), `<strong>${format(combined)}</strong>`)}</div>`);
+  }
 
-  const html = `
-    <div>${prov1}: <strong>${format(val1)}</strong></div>
-    <div>${prov2}: <strong>${format(val2)}</strong></div>
-  `;
-  d3.select(summarySelector).html(html);
+  d3.select(summarySelector).html(
+    items.length
+      ? `<div class="w-100 small text-muted">${metricTitle(metric, selectedNorm)}</div>` + items.join("")
+      : `<div>${I18n.t("comparison.noneSelected")}</div>`
+  );
 }
 
 
 // -------------------------------------------------------------------
-// 11) PER-PROVINCE CHARTS (CATEGORY / METHOD / AGE / MONTHS)
+// 10) PER-PROVINCE CHARTS (CATEGORY / METHOD / AGE / MONTHS)
 // -------------------------------------------------------------------
+// One chart set per selected province, laid out as small multiples
 function drawProvinceCharts() {
-  const prov1 = d3.select("#provinceSelect1").property("value");
-  const prov2 = d3.select("#provinceSelect2").property("value");
+  const grid = d3.select("#province-chart-grid");
+
+  grid.selectAll(".province-empty").remove();
+  if (!selectedProvinces.length) {
+    grid.selectAll(".province-chart-col").remove();
+    grid.append("p")
+      .attr("class", "province-empty text-center text-muted")
+      .text(I18n.t("comparison.pickHint"));
+    return;
+  }
+
+  const cols = grid.selectAll(".province-chart-col")
+    .data(selectedProvinces, d => d);
+
+  cols.exit().remove();
 
-  drawChartsForProvince(prov1, 1);
-  drawChartsForProvince(prov2, 2);
+  const colsEnter = cols.enter()
+    .append("div")
+    .attr("class", "province-chart-col col-12 col-md-6 col-xl-4");
+
+  const setEnter = colsEnter.append("div")
+    .attr("class", "province-chart-set mb-4");
+
+  setEnter.append("h3").attr("class", "charts-title");
+  ["catChart", "methodChart", "ageChart", "monthChart"].forEach(name => {
+    setEnter.append("div").attr("class", `chart ${name}`);
+  });
+
+  // Keep DOM order in step with the picker order
+  const merged = colsEnter.merge(cols).order();
+  merged.each(function (province, i) {
+    d3.select(this).select(".province-chart-set").attr("id", `charts-province${i + 1}`);
+    d3.select(this).select(".charts-title").attr("id", `charts-title${i + 1}`);
+    ["catChart", "methodChart", "ageChart", "monthChart"].forEach(name => {
+      d3.select(this).select(`.${name}`).attr("id", `${name}${i + 1}`);
+    });
+    drawChartsForProvince(province, i + 1);
+  });
 }
 
 function drawChartsForProvince(province, index) {
-  const dataForProv = fraudData.filter(d =>
-    d.region === province &&
-    (showAllYears || d.year === selectedYear)
-  );
+  const dataForProv = FraudData.filterRecords(fraudData, {
+    province,
+    year: showAllYears ? null : selectedYear
+  });
 
   const categoryCounts = groupRare(countByField(dataForProv, "category"));
   const methodCounts   = groupRare(countByField(dataForProv, "method"));
   const ageCounts      = countByField(dataForProv, "ageRange");
 
-  const monthCounts = d3.rollup(
-    dataForProv,
-    v => v.length,
-    d => d3.timeFormat("%B")(new Date(d.date))
-  );
-
-  const topMonths = Array.from(monthCounts, ([key, val]) => ({ key, val }))
-    .sort((a, b) => d3.ascending(b.val, a.val))
-    .slice(0, 3);
+  const topMonths = topMonthsOf(dataForProv);
 
-  d3.select(`#charts-title${index}`).text(`Charts for ${province}`);
+  d3.select(`#charts-title${index}`).text(I18n.t("comparison.chartsFor", { province: I18n.province(province) }));
 
-  buildPieChart(`#catChart${index}`,   categoryCounts, "Fraud / Cybercrime Categories");
-  buildPieChart(`#methodChart${index}`, methodCounts,  "Solicitation Method");
-  buildPieChart(`#ageChart${index}`,   ageCounts,      "Victim Age Range");
+  buildPieChart(`#catChart${index}`,   categoryCounts, I18n.t("comparison.chart.category"), province, "category");
+  buildPieChart(`#methodChart${index}`, methodCounts,  I18n.t("comparison.chart.method"),   province, "method");
+  buildPieChart(`#ageChart${index}`,   ageCounts,      I18n.t("comparison.chart.age"),      province, "ageRange");
   buildTopMonths(`#monthChart${index}`, topMonths);
 }
 
 
 // -------------------------------------------------------------------
-// 12) COUNT + GROUP HELPERS
+// 11) COUNT + GROUP HELPERS
 // -------------------------------------------------------------------
 function countByField(data, field) {
   const map = d3.rollup(
@@ -444,25 +748,45 @@ function countByField(data, field) {
   }));
 }
 
-// Group items < 2.5% into "Others"
+// Three calendar months with the most reports
+function topMonthsOf(data) {
+  const monthCounts = d3.rollup(
+    data,
+    v => v.length,
+    d => d3.timeFormat("%B")(new Date(d.date))
+  );
+
+  return Array.from(monthCounts, ([key, val]) => ({ key, val }))
+    .sort((a, b) => d3.ascending(b.val, a.val))
+    .slice(0, 3);
+}
+
+// Group items < 2.5% (and any past the theme's colours) into "Others"
 function groupRare(arr) {
   const total = d3.sum(arr, d => d.val);
   const cutoff = total * 0.025;
 
-  const major = arr.filter(d => d.val >= cutoff);
-  const minor = arr.filter(d => d.val < cutoff);
+  // At most one slice per theme colour, "Others" included
+  const max = Theme.maxCategories();
+  let major = arr.filter(d => d.val >= cutoff);
+  if (major.length + (major.length < arr.length ? 1 : 0) > max) {
+    const kept = new Set(major.slice().sort((a, b) => d3.descending(a.val, b.val)).slice(0, max - 1));
+    major = major.filter(d => kept.has(d));
+  }
+  const minor = arr.filter(d => !major.includes(d));
 
   const minorTotal = d3.sum(minor, d => d.val);
-  if (minorTotal > 0) major.push({ key: "Others", val: minorTotal });
+  if (minorTotal > 0) major.push({ key: "Others", val: minorTotal, loss: d3.sum(minor, d => d.loss) });
 
   return major;
 }
 
 
 // -------------------------------------------------------------------
-// 13) PIE CHART GENERATOR (CATEGORY / METHOD / AGE)
+// 12) PIE CHART GENERATOR (CATEGORY / METHOD / AGE)
 // -------------------------------------------------------------------
-function buildPieChart(containerSelector, data, title) {
+// province and field name the CSV export (slices are case counts)
+function buildPieChart(containerSelector, data, title, province, field) {
   const container = d3.select(containerSelector);
   container.selectAll("*").remove();
   if (!data || data.length === 0) return;
@@ -481,7 +805,7 @@ function buildPieChart(containerSelector, data, title) {
   const tempText = tempSvg.append("text").style("font-size", "10px");
 
   const longestLabelWidth = d3.max(data, d => {
-    tempText.text(d.key);
+    tempText.text(I18n.term(d.key));
     return tempText.node().getComputedTextLength();
   });
 
@@ -497,6 +821,8 @@ function buildPieChart(containerSelector, data, title) {
 
   // 2) SVG with padded viewBox
   const svg = container.append("svg")
+    .attr("role", "group")
+    .attr("aria-label", `${title}, ${I18n.province(province)}`)
     .attr(
       "viewBox",
       `${-size / 2 - xMargin} ${-size / 2 - yMargin} ${size + xMargin * 2} ${size + yMargin * 2}`
@@ -514,7 +840,7 @@ function buildPieChart(containerSelector, data, title) {
 
   const color = d3.scaleOrdinal()
     .domain(data.map(d => d.key))
-    .range(d3.schemeSet2);
+    .range(Theme.categorical(data.length));
 
   const arc = d3.arc()
     .innerRadius(0)
@@ -524,6 +850,15 @@ function buildPieChart(containerSelector, data, title) {
     .innerRadius(radius * 1.3)
     .outerRadius(radius * 1.3);
 
+  const totalCases = d3.sum(data, d => d.val);
+  const sliceTooltip = d => {
+    const percent = I18n.percent((d.data.val / totalCases) * 100);
+    const formattedLoss = d3.format("$,.2f")(d.data.loss);
+    return `<strong>${I18n.term(d.data.key)}</strong><br>
+          ${I18n.t("comparison.sliceCases", { count: d3.format(",")(d.data.val), percent })}<br>
+          ${I18n.labelled(I18n.t("comparison.totalLoss"), formattedLoss)}`;
+  };
+
   // Slices
   g.selectAll("path")
     .data(arcs)
@@ -534,17 +869,9 @@ function buildPieChart(containerSelector, data, title) {
     .attr("stroke", "#fff")
     .attr("stroke-width", 1)
     .on("mouseover", (event, d) => {
-      const totalCases = d3.sum(data, d => d.val);
-      const percent = ((d.data.val / totalCases) * 100).toFixed(1);
-      const formattedLoss = "$" + d.data.loss.toLocaleString(undefined, { minimumFractionDigits: 2 });
-
       tooltip
         .style("visibility", "visible")
-        .html(`
-          <strong>${d.data.key}</strong><br>
-          ${d.data.val} cases (${percent}%)<br>
-          Total loss: ${formattedLoss}
-        `);
+        .html(sliceTooltip(d));
     })
     .on("mousemove", event => {
       const [mouseX, mouseY] = d3.pointer(event, container.node());
@@ -554,7 +881,8 @@ function buildPieChart(containerSelector, data, title) {
     })
     .on("mouseout", () => {
       tooltip.style("visibility", "hidden");
-    });
+    })
+    .call(A11y.focusable, { key: d => d.data.key, label: sliceTooltip });
 
   // Filter tiny slices
   const minAngle = 0.12;
@@ -617,13 +945,32 @@ function buildPieChart(containerSelector, data, title) {
     .attr("text-anchor", d =>
       labelArc.centroid(d)[0] > 0 ? "start" : "end"
     )
-    .style("fill", "#fff")
-    .text(d => d.data.key);
+    .style("fill", Theme.palette().text)
+    .text(d => I18n.term(d.data.key));
+
+  // 3) Export: this pie as SVG / PNG, its slices as CSV
+  const exportDiv = container.append("div")
+    .attr("class", "d-flex justify-content-center align-items-center mt-1");
+
+  const rows = () => data.map(d => ({ [field]: d.key, cases: d.val, loss: d.loss }));
+  ChartExport.renderMenu(exportDiv.node(), {
+    title: `${title}, ${I18n.province(province)}`,
+    name: `side-by-side-${province.toLowerCase().replace(/\W+/g, "-")}-${field}`,
+    svg: () => svg.node(),
+    rows,
+    filters: () => exportFilters("year").concat([[I18n.t("filter.province"), I18n.province(province)]]),
+    dataset: "records"
+  });
+  A11y.tableToggle(exportDiv.node(), {
+    id: containerSelector.slice(1) + "Table",
+    title: `${title}, ${I18n.province(province)}`,
+    rows
+  });
 }
 
 
 // -------------------------------------------------------------------
-// 14) TOP 3 MONTHS RENDERER
+// 13) TOP 3 MONTHS RENDERER
 // -------------------------------------------------------------------
 function buildTopMonths(containerSelector, data) {
   const container = d3.select(containerSelector);
@@ -631,7 +978,7 @@ function buildTopMonths(containerSelector, data) {
 
   container.append("div")
     .attr("class", "chart-title")
-    .text("Top Months Reported");
+    .text(I18n.t("comparison.chart.months"));
 
   const wrapper = container.append("div")
     .attr("class", "top-months responsive-months");
@@ -653,13 +1000,154 @@ function buildTopMonths(containerSelector, data) {
         showAllYears || d3.select("#metricCases").property("checked") ? "cases" : "loss"
       }`
     )
-    .text(d => d.val);
+    .text(d => d3.format(",")(d.val));
+}
+
+
+// -------------------------------------------------------------------
+// 14) EXPORT (SVG / PNG / CSV)
+// -------------------------------------------------------------------
+// Filters behind a chart as [label, value] pairs for the CSV header;
+// the per-province pies add their own province
+function exportFilters(...keys) {
+  const metric = d3.select("input[name=metricRadio]:checked").property("value");
+  const pairs = {
+    year: [I18n.t("filter.year"), showAllYears ? I18n.t("comparison.allYears") : selectedYear],
+    change: [I18n.t("filter.change"), `${changeFromYear} → ${changeToYear} (${I18n.t(`comparison.measure.${changeMeasure}`)})`],
+    metric: [I18n.t("filter.metric"), metricTitle(metric, selectedNorm)],
+    selected: [I18n.t("comparison.selected"), selectedProvinces.map(I18n.province).join(" | ") || I18n.t("comparison.none")]
+  };
+  return keys.map(key => pairs[key]);
+}
+
+function initExportMenus() {
+  ChartExport.renderMenu("#mapExport", {
+    title: I18n.t("comparison.chart.map"),
+    name: "side-by-side-map",
+    svg: "#map1",
+    rows: () => mapExportRows,
+    filters: () => mapMode === "change"
+      ? exportFilters("change", "metric", "selected")
+      : exportFilters("year", "metric", "selected"),
+    dataset: "records"
+  });
+  A11y.tableToggle("#mapExport", {
+    id: "mapTable",
+    title: I18n.t("comparison.chart.map"),
+    rows: () => mapExportRows
+  });
+}
+
+
+// -------------------------------------------------------------------
+// 15) PRINTABLE REPORT (SELECTED PROVINCES)
+// -------------------------------------------------------------------
+// "Ontario", "Ontario and Quebec", "Ontario, Quebec and Alberta"
+// ("Ontario, Québec et Alberta" in French)
+function listProvinces(provinces) {
+  return new Intl.ListFormat(I18n.tag, { type: "conjunction" }).format(provinces.map(I18n.province));
+}
+
+function generateReport() {
+  if (!selectedProvinces.length) return;
+
+  const metric = d3.select("input[name=metricRadio]:checked").property("value");
+  const year = showAllYears ? null : selectedYear;
+  const place = listProvinces(selectedProvinces);
+  const period = year == null ? I18n.t("comparison.period.all") : I18n.t("comparison.period.year", { year });
+
+  const records = FraudData.filterRecords(fraudData, { province: selectedProvinces, year });
+  const totals = FraudData.sumRecords(records);
+
+  // Yearly totals for the selection (trend chart + narrative)
+  const years = Object.keys(perProvYearMetrics).map(Number).sort(d3.ascending);
+  const series = years.map(y => ({
+    year: y,
+    cases: d3.sum(selectedProvinces, p => (perProvYearMetrics[y][p] || {}).cases || 0),
+    loss: d3.sum(selectedProvinces, p => (perProvYearMetrics[y][p] || {}).loss || 0)
+  }));
+
+  // The shown year against the one before (the last two for all years)
+  const toYear = year == null ? years[years.length - 1] : year;
+  const before = series.find(d => d.year === toYear - 1);
+  const after = series.find(d => d.year === toYear);
+
+  const topRows = field => countByField(records, field)
+    .sort((a, b) => d3.descending(a.val, b.val))
+    .slice(0, 5)
+    .map(d => ({ key: d.key, cases: d.val, loss: d.loss }));
+  const categories = topRows("category");
+  const methods = topRows("method");
+
+  // Figures: totals, then each province as in the summary under the map
+  const figures = [
+    { label: I18n.t("report.figure.cases"), value: Report.formatInt(totals.cases) },
+    { label: I18n.t("report.figure.loss"), value: Report.formatDollar(totals.loss) },
+    { label: I18n.t("report.figure.victims"), value: Report.formatInt(totals.victims) }
+  ].concat(mapExportRows
+    .filter(row => row.selected)
+    .map(row => mapMode === "change"
+      ? {
+        label: I18n.t("comparison.report.change", { province: I18n.province(row.province), from: changeFromYear, to: changeToYear }),
+        value: formatChange(row.change_pct ?? row.change, metric)
+      }
+      : { label: `${I18n.province(row.province)}, ${metricTitle(metric, selectedNorm)}`, value: formatMetric(row.value, metric, selectedNorm) }));
+
+  const columns = field => [
+    { label: field, value: d => I18n.term(d.key) },
+    { label: I18n.t("report.col.cases"), value: d => Report.formatInt(d.cases) },
+    { label: I18n.t("report.col.loss"), value: d => Report.formatDollar(d.loss) }
+  ];
+
+  Report.open({
+    title: I18n.t("report.profileTitle", { name: place }),
+    subtitle: I18n.t("comparison.report.subtitle", { period }),
+    figures,
+    narrative: [
+      I18n.t("comparison.report.summary", {
+        place,
+        cases: Report.formatInt(totals.cases),
+        loss: Report.formatDollar(totals.loss),
+        period
+      }),
+      before && Report.describeChange(I18n.t("report.noun.cases"), before.cases, after.cases, before.year, toYear, Report.formatInt),
+      before && Report.describeChange(I18n.t("report.noun.losses"), before.loss, after.loss, before.year, toYear, Report.formatDollar),
+      Report.describePeak(series, "loss", I18n.t("report.noun.losses"), Report.formatDollar),
+      Report.describeTop(categories, I18n.t("report.what.category")),
+      Report.describeTop(methods, I18n.t("report.what.method"))
+    ],
+    charts: [
+      {
+        title: I18n.t("comparison.report.map", {
+          what: mapMode === "change" ? I18n.t("comparison.report.mapChange") : metricTitle(metric, selectedNorm)
+        }),
+        node: Report.snapshot(d3.select("#map1").node())
+      },
+      { title: I18n.t("report.trendByYear"), node: Report.trendChart(series) }
+    ],
+    tables: [
+      { title: I18n.t("report.topCategories"), columns: columns(I18n.t("column.category")), rows: categories },
+      { title: I18n.t("report.topMethods"), columns: columns(I18n.t("column.method")), rows: methods }
+    ],
+    sections: [
+      { render: node => buildTopMonths(node, topMonthsOf(records)) }
+    ],
+    filters: exportFilters("year", "metric").concat([[I18n.t("comparison.provinces"), listProvinces(selectedProvinces)]])
+  });
 }
 
 
 // -------------------------------------------------------------------
-// 15) RESPONSIVE REDRAW ON RESIZE
+// 16) RESPONSIVE REDRAW ON RESIZE
 // -------------------------------------------------------------------
 window.addEventListener("resize", () => {
   drawProvinceCharts();
 });
+
+
+// -------------------------------------------------------------------
+// 17) THEME SWITCH (js/theme.js)
+// -------------------------------------------------------------------
+Theme.onChange(() => {
+  if (fraudData) drawMaps();
+});
@@ -0,0 +1,89 @@
+// -------------------------------------------------------------------
+// DATA-QUALITY PANEL
+// Renders the reports collected by FraudData while loading into a
+// collapsible panel, so readers can see which rows the charts leave out
+// and which values were corrected on the way in.
+// -------------------------------------------------------------------
+const DataQuality = (function () {
+
+  const formatInt = d3.format(",d");
+
+  function render(selector, reports) {
+    const container = d3.select(selector);
+    container.selectAll("*").remove();
+    if (!reports.length) return;
+
+    const totalExcluded = d3.sum(reports, r => r.total - r.kept);
+
+    const details = container.append("details")
+      .attr("class", "data-quality panel");
+
+    details.append("summary")
+      .html(
+        `<strong>${I18n.t("quality.title")}</strong> · ` +
+        (totalExcluded
+          ? I18n.t("quality.excluded", { count: formatInt(totalExcluded) })
+          : I18n.t("quality.noneExcluded"))
+      );
+
+    reports.forEach(report => {
+      const section = details.append("div").attr("class", "data-quality-section");
+
+      section.append("h6")
+        .text(report.dataset);
+
+      section.append("p")
+        .attr("class", "small mb-1")
+        .text(I18n.t("quality.used", {
+          kept: formatInt(report.kept),
+          total: formatInt(report.total),
+          excluded: formatInt(report.total - report.kept),
+        }));
+
+      if (report.excluded.size) {
+        const table = section.append("table")
+          .attr("class", "table table-sm table-dark small mb-2");
+
+        table.append("thead").append("tr")
+          .selectAll("th")
+          .data(["quality.col.reason", "quality.col.rows", "quality.col.examples"].map(key => I18n.t(key)))
+          .enter()
+          .append("th")
+          .text(d => d);
+
+        table.append("tbody")
+          .selectAll("tr")
+          .data(Array.from(report.excluded).sort((a, b) => b[1].count - a[1].count))
+          .enter()
+          .append("tr")
+          .selectAll("td")
+          .data(([reason, entry]) => [reason, formatInt(entry.count), Array.from(entry.values).join(", ")])
+          .enter()
+          .append("td")
+          .text(d => d);
+      }
+
+      if (report.corrected.size) {
+        section.append("ul")
+          .attr("class", "small mb-2")
+          .selectAll("li")
+          .data(Array.from(report.corrected))
+          .enter()
+          .append("li")
+          .text(([description, count]) => I18n.t("quality.corrected", { description, count: formatInt(count) }));
+      }
+
+      if (report.notes.length) {
+        section.append("ul")
+          .attr("class", "small mb-2")
+          .selectAll("li")
+          .data(report.notes)
+          .enter()
+          .append("li")
+          .text(d => d);
+      }
+    });
+  }
+
+  return { render };
+})();
@@ -0,0 +1,656 @@
+// -------------------------------------------------------------------
+// SHARED DATA LAYER
+// Loaded by every page before its own script. Loads the fraud data and
+// the province boundaries once, canonicalises region / gender / age
+// names, and exposes the query helpers the pages aggregate with, so
+// every page reports the same totals for the same filter.
+// -------------------------------------------------------------------
+const FraudData = (function () {
+
+  // -----------------------------------------------------------------
+  // 1) CONFIG
+  // -----------------------------------------------------------------
+  const RECORDS_FILE = "data/CanadianAnti-FraudCentreReportingData-EN-CA-only.json";
+  const AGGREGATE_FILE = "data/CanadianAnti-FraudCentreReportingData_aggregated_for_trend.json";
+  const GEOJSON_FILE = "data/CanadaProvincesCartoBoundary_EPSG4326.geojson";
+
+  // Display text goes through js/i18n.js in the browser; the offline
+  // build (scripts/build-data.js) has no catalogues and keeps the English
+  function text(key, english, params) {
+    if (typeof I18n !== "undefined") return I18n.t(key, params);
+    return english.replace(/\{(\w+)\}/g, (match, name) => params && params[name] != null ? params[name] : match);
+  }
+
+  // Cited in exported files (js/export.js); dataset is the page's file key
+  const SOURCE = {
+    name: text("source.name", "Canadian Anti-Fraud Centre reporting data"),
+    url: "https://open.canada.ca/data/en/dataset/6a09c998-cddb-4a22-beff-4dca67ab892f",
+    records: RECORDS_FILE,
+    aggregate: AGGREGATE_FILE,
+  };
+
+  // Marker used by the aggregate file for pre-summed rows, and by the
+  // query helpers to mean "no filter on this dimension"
+  const ALL = "ALL";
+  const NOT_AVAILABLE = "Not Available";
+
+
+  // -----------------------------------------------------------------
+  // 2) CANONICAL NAMES
+  // -----------------------------------------------------------------
+  // Canonical names follow PRENAME in the boundary file; aliases cover
+  // the spellings used in the CAFC export.
+  const PROVINCES = [
+    { uid: "10", name: "Newfoundland and Labrador", aliases: ["Newfoundland And Labrador", "Newfoundland"] },
+    { uid: "11", name: "Prince Edward Island", aliases: ["PEI"] },
+    { uid: "12", name: "Nova Scotia", aliases: [] },
+    { uid: "13", name: "New Brunswick", aliases: [] },
+    { uid: "24", name: "Quebec", aliases: ["Québec"] },
+    { uid: "35", name: "Ontario", aliases: [] },
+    { uid: "46", name: "Manitoba", aliases: [] },
+    { uid: "47", name: "Saskatchewan", aliases: [] },
+    { uid: "48", name: "Alberta", aliases: [] },
+    { uid: "59", name: "British Columbia", aliases: [] },
+    { uid: "60", name: "Yukon", aliases: ["Yukon Territory"] },
+    { uid: "61", name: "Northwest Territories", aliases: ["North West Territories"] },
+    { uid: "62", name: "Nunavut", aliases: [] },
+  ];
+
+  const PROVINCE_NAMES = PROVINCES.map(p => p.name).sort();
+
+  // Regional groupings used for quick multi-province comparisons
+  const PROVINCE_GROUPS = {
+    Atlantic: ["New Brunswick", "Newfoundland and Labrador", "Nova Scotia", "Prince Edward Island"],
+    Central: ["Ontario", "Quebec"],
+    Prairies: ["Alberta", "Manitoba", "Saskatchewan"],
+    "West Coast": ["British Columbia"],
+    Territories: ["Northwest Territories", "Nunavut", "Yukon"],
+  };
+
+  // lower-case name or alias -> canonical name
+  const regionLookup = new Map();
+  PROVINCES.forEach(p => {
+    regionLookup.set(p.name.toLowerCase(), p.name);
+    p.aliases.forEach(a => regionLookup.set(a.toLowerCase(), p.name));
+  });
+
+  // Canonical province name, or null for anything outside Canada
+  // ("California", "Not Specified", ...)
+  function canonicalRegion(raw) {
+    if (!raw) return null;
+    return regionLookup.get(String(raw).trim().toLowerCase()) || null;
+  }
+
+  function canonicalGender(raw) {
+    const g = String(raw == null ? "" : raw).trim();
+    if (!g) return NOT_AVAILABLE;
+    if (g.toUpperCase() === ALL) return ALL;
+    return g;
+  }
+
+  // "'30 - 39" -> "30 - 39", "'100 +" -> "100 +"
+  function canonicalAgeRange(raw) {
+    const a = String(raw == null ? "" : raw).trim().replace(/^'+/, "").trim();
+    if (!a) return NOT_AVAILABLE;
+    if (a.toUpperCase() === ALL) return ALL;
+    return a.replace(/\s*-\s*/, " - ").replace(/\s*\+$/, " +");
+  }
+
+  // Sort age ranges by their lower bound; non-numeric labels go last
+  function compareAgeRanges(a, b) {
+    const lowA = parseInt(a, 10);
+    const lowB = parseInt(b, 10);
+    if (isNaN(lowA) && isNaN(lowB)) return a < b ? -1 : a > b ? 1 : 0;
+    if (isNaN(lowA)) return 1;
+    if (isNaN(lowB)) return -1;
+    return lowA - lowB;
+  }
+
+
+  // -----------------------------------------------------------------
+  // 3) SCHEMAS + DATA-QUALITY REPORTS
+  // -----------------------------------------------------------------
+  // Each rule checks one field; the first failing rule excludes the row
+  // and its reason is counted in the dataset's quality report.
+  function isBlank(v) {
+    return v == null || String(v).trim() === "";
+  }
+
+  // Blank counts as 0 (the CAFC export leaves empty losses/victims blank)
+  function isNumeric(v) {
+    return isBlank(v) || (typeof v !== "boolean" && isFinite(+v));
+  }
+
+  function isValidDate(v) {
+    return !isBlank(v) && !isNaN(new Date(v));
+  }
+
+  const RECORD_SCHEMA = [
+    { field: "date", reason: text("quality.reason.date", "Missing or invalid date"), check: isValidDate },
+    { field: "region", reason: text("quality.reason.region", "Region outside Canada or not specified"), check: v => canonicalRegion(v) != null },
+    { field: "dollarLoss", reason: text("quality.reason.lossNumeric", "Non-numeric dollar loss"), check: isNumeric },
+    { field: "dollarLoss", reason: text("quality.reason.lossNegative", "Negative dollar loss"), check: v => isBlank(v) || +v >= 0 },
+    { field: "victimCount", reason: text("quality.reason.victimsNumeric", "Non-numeric victim count"), check: isNumeric },
+    { field: "victimCount", reason: text("quality.reason.victimsNegative", "Negative victim count"), check: v => isBlank(v) || +v >= 0 },
+  ];
+
+  const AGGREGATE_ROW_SCHEMA = [
+    { field: "region", reason: text("quality.reason.region", "Region outside Canada or not specified"), check: v => canonicalRegion(v) != null },
+    { field: "gender", reason: text("quality.reason.gender", "Missing gender"), check: v => !isBlank(v) },
+    { field: "ageRange", reason: text("quality.reason.ageRange", "Missing age range"), check: v => !isBlank(v) },
+    { field: "cases", reason: text("quality.reason.cases", "Non-numeric or negative case count"), check: v => isNumeric(v) && !isBlank(v) && +v >= 0 },
+    { field: "loss", reason: text("quality.reason.lossNumeric", "Non-numeric loss"), check: isNumeric },
+    { field: "loss", reason: text("quality.reason.lossNegative", "Negative loss"), check: v => isBlank(v) || +v >= 0 },
+  ];
+
+  const YEAR_RULE = { field: "year", reason: text("quality.reason.year", "Year missing or not listed in meta.years") };
+
+  // meta block: each key must be an array whose items pass the check
+  const META_SCHEMA = {
+    years: v => Number.isInteger(+v),
+    regions: v => typeof v === "string",
+    genders: v => typeof v === "string",
+    ageRanges: v => typeof v === "string",
+  };
+
+  const qualityReports = [];
+
+  function createReport(dataset, total) {
+    const report = {
+      dataset,
+      total,
+      kept: 0,
+      excluded: new Map(),   // reason -> { count, values: Set }
+      corrected: new Map(),  // description -> count
+      notes: [],
+    };
+    qualityReports.push(report);
+    return report;
+  }
+
+  function excludeRow(report, reason, value) {
+    const entry = report.excluded.get(reason) || { count: 0, values: new Set() };
+    entry.count += 1;
+    if (entry.values.size < 5) entry.values.add(isBlank(value) ? text("quality.blank", "(blank)") : String(value));
+    report.excluded.set(reason, entry);
+  }
+
+  function correctValue(report, description) {
+    report.corrected.set(description, (report.corrected.get(description) || 0) + 1);
+  }
+
+  function validateRows(rows, schema, report) {
+    const kept = rows.filter(row => {
+      const failed = schema.find(rule => !rule.check(row[rule.field], row));
+      if (failed) excludeRow(report, failed.reason, row[failed.field]);
+      return !failed;
+    });
+    report.kept += kept.length;
+    return kept;
+  }
+
+  // Count values the canonicalisers had to fix so the panel can list them
+  function trackCorrections(row, report) {
+    const region = canonicalRegion(row.region);
+    if (region && region !== String(row.region).trim()) {
+      correctValue(report, text("quality.corrected.region", 'Region "{from}" renamed to "{to}"', { from: row.region, to: region }));
+    }
+    if (/^\s*'/.test(row.ageRange || "")) {
+      correctValue(report, text("quality.corrected.apostrophe", "Age range with a stray leading apostrophe"));
+    }
+    if (isBlank(row.gender)) correctValue(report, text("quality.corrected.gender", 'Blank gender recorded as "{value}"', { value: NOT_AVAILABLE }));
+    if (isBlank(row.ageRange)) correctValue(report, text("quality.corrected.ageRange", 'Blank age range recorded as "{value}"', { value: NOT_AVAILABLE }));
+  }
+
+  function validateMeta(meta, report) {
+    if (!meta || typeof meta !== "object") {
+      throw new Error("Aggregate file has no meta block");
+    }
+
+    Object.entries(META_SCHEMA).forEach(([key, check]) => {
+      if (!Array.isArray(meta[key])) {
+        throw new Error(`meta.${key} is not an array`);
+      }
+      const bad = meta[key].filter(v => !check(v));
+      if (bad.length) {
+        report.notes.push(text("quality.note.invalid", "meta.{key} has {count} invalid value(s): {values}",
+          { key, count: bad.length, values: bad.join(", ") }));
+      }
+    });
+
+    const outside = meta.regions.filter(r => canonicalRegion(r) == null);
+    if (outside.length) {
+      report.notes.push(text("quality.note.outside", "meta.regions lists places outside Canada or unspecified: {values}",
+        { values: outside.join(", ") }));
+    }
+
+    const apostrophes = meta.ageRanges.filter(a => /^\s*'/.test(a));
+    if (apostrophes.length) {
+      report.notes.push(text("quality.note.apostrophes", "meta.ageRanges has {count} value(s) with a stray leading apostrophe",
+        { count: apostrophes.length }));
+    }
+  }
+
+  // Snapshot of every report produced so far on this page
+  function getQualityReports() {
+    return qualityReports.slice();
+  }
+
+
+  // -----------------------------------------------------------------
+  // 4) LOADERS (EACH FILE IS FETCHED ONCE PER PAGE)
+  // -----------------------------------------------------------------
+  let geoPromise = null;
+  let recordsPromise = null;
+  let aggregatePromise = null;
+
+  // Also gives js/i18n.js (when loaded) the French names and abbreviations
+  function loadGeo() {
+    if (!geoPromise) {
+      geoPromise = d3.json(GEOJSON_FILE).then(geo => {
+        if (typeof I18n !== "undefined") I18n.registerProvinces(geo.features);
+        return geo;
+      });
+    }
+    return geoPromise;
+  }
+
+  // Per-report records: validated, normalised and limited to Canadian provinces
+  function loadRecords() {
+    if (!recordsPromise) {
+      recordsPromise = d3.json(RECORDS_FILE).then(raw => {
+        if (!Array.isArray(raw)) throw new Error("JSON root is not an array");
+
+        const report = createReport(text("quality.dataset.records", "Per-report records"), raw.length);
+        return validateRows(raw, RECORD_SCHEMA, report).map(d => {
+          trackCorrections(d, report);
+          return normaliseRecord(d);
+        });
+      });
+    }
+    return recordsPromise;
+  }
+
+  // Pre-aggregated { meta, mapByYear, mapAllYears } cube
+  function loadAggregate() {
+    if (!aggregatePromise) {
+      aggregatePromise = d3.json(AGGREGATE_FILE).then(normaliseAggregate);
+    }
+    return aggregatePromise;
+  }
+
+  function normaliseRecord(d) {
+    const date = new Date(d.date);
+    return {
+      ...d,
+      date,
+      year: d.year != null ? +d.year : date.getFullYear(),
+      region: canonicalRegion(d.region),
+      gender: canonicalGender(d.gender),
+      ageRange: canonicalAgeRange(d.ageRange),
+      dollarLoss: +d.dollarLoss || 0,
+      victimCount: +d.victimCount || 0,
+    };
+  }
+
+  function normaliseAggregateRow(d) {
+    return {
+      ...d,
+      year: d.year != null ? +d.year : null,
+      region: canonicalRegion(d.region),
+      gender: canonicalGender(d.gender),
+      ageRange: canonicalAgeRange(d.ageRange),
+      cases: +d.cases || 0,
+      loss: +d.loss || 0,
+      // Older aggregate files carry no victim counts
+      victims: d.victims != null ? +d.victims || 0 : null,
+    };
+  }
+
+  function normaliseAggregate(raw) {
+    if (!raw || !Array.isArray(raw.mapByYear) || !Array.isArray(raw.mapAllYears)) {
+      throw new Error("Aggregate file must contain mapByYear and mapAllYears arrays");
+    }
+
+    const report = createReport(
+      text("quality.dataset.aggregate", "Aggregated trend file"),
+      raw.mapByYear.length + raw.mapAllYears.length
+    );
+    validateMeta(raw.meta, report);
+
+    const years = new Set(raw.meta.years.map(Number));
+    const byYearSchema = AGGREGATE_ROW_SCHEMA.concat({
+      ...YEAR_RULE,
+      check: v => !isBlank(v) && years.has(+v),
+    });
+
+    const clean = (rows, schema) => validateRows(rows, schema, report).map(d => {
+      trackCorrections(d, report);
+      return normaliseAggregateRow(d);
+    });
+    const mapByYear = clean(raw.mapByYear, byYearSchema);
+    const mapAllYears = clean(raw.mapAllYears, AGGREGATE_ROW_SCHEMA);
+
+    const genders = Array.from(new Set(raw.meta.genders.map(canonicalGender)))
+      .filter(g => g !== ALL)
+      .sort();
+    const ageRanges = Array.from(new Set(raw.meta.ageRanges.map(canonicalAgeRange)))
+      .filter(a => a !== ALL)
+      .sort(compareAgeRanges);
+
+    return {
+      meta: {
+        years: Array.from(years).sort(d3.ascending),
+        regions: PROVINCE_NAMES.slice(),
+        genders,
+        ageRanges,
+        hasVictims: mapByYear.length > 0 && mapByYear.every(d => d.victims != null),
+      },
+      mapByYear,
+      mapAllYears,
+    };
+  }
+
+
+  // -----------------------------------------------------------------
+  // 5) QUERIES
+  // -----------------------------------------------------------------
+  // Filters: { province, year, gender, ageRange, category, method, start, end }.
+  // A missing value, "all" or "ALL" means "do not filter on this field".
+  // For records, province, gender and ageRange also take a list of
+  // accepted values (an empty list matches nothing); category and method
+  // apply to records only (the aggregate cube has neither).
+  function isUnfiltered(v) {
+    if (Array.isArray(v)) return false;
+    return v == null || v === "" || String(v).toUpperCase() === ALL;
+  }
+
+  function fieldMatches(value, filter) {
+    if (Array.isArray(filter)) return filter.includes(value);
+    return isUnfiltered(filter) || value === filter;
+  }
+
+  function recordMatches(d, f) {
+    if (!fieldMatches(d.region, f.province)) return false;
+    if (!isUnfiltered(f.year) && d.year !== +f.year) return false;
+    if (!fieldMatches(d.gender, f.gender)) return false;
+    if (!fieldMatches(d.ageRange, f.ageRange)) return false;
+    if (!fieldMatches(d.category, f.category)) return false;
+    if (!fieldMatches(d.method, f.method)) return false;
+    if (f.start && d.date < f.start) return false;
+    if (f.end && d.date > f.end) return false;
+    return true;
+  }
+
+  function filterRecords(records, filters = {}) {
+    return records.filter(d => recordMatches(d, filters));
+  }
+
+  function summariseRecords(rows) {
+    return {
+      cases: rows.length,
+      loss: d3.sum(rows, d => d.dollarLoss),
+      victims: d3.sum(rows, d => d.victimCount),
+    };
+  }
+
+  // Total cases / loss / victims for one filter combination
+  function sumRecords(records, filters = {}) {
+    return summariseRecords(filterRecords(records, filters));
+  }
+
+  // Map of key -> { cases, loss, victims } for one filter combination
+  function rollupRecords(records, filters, key) {
+    return d3.rollup(filterRecords(records, filters), summariseRecords, key);
+  }
+
+
+  // -----------------------------------------------------------------
+  // 6) AGGREGATE CUBE (DETAIL + ROLL-UP ROWS)
+  // -----------------------------------------------------------------
+  // The aggregate file mixes detail rows with pre-summed rows whose
+  // gender and/or ageRange is "ALL", and mapAllYears holds the sum of
+  // mapByYear over years. Adding every matching row double counts, so
+  // queries pick exactly one row per cell: the roll-up row for an
+  // unfiltered dimension, the detail row for a filtered or grouped one.
+  const CUBE_DIMENSIONS = ["gender", "ageRange"];
+
+  function cubeDimMatches(value, filter, grouped) {
+    if (grouped) return value !== ALL && (isUnfiltered(filter) || value === filter);
+    return isUnfiltered(filter) ? value === ALL : value === filter;
+  }
+
+  // Rows answering one filter combination, optionally broken down by
+  // one dimension ("region", "year", "gender" or "ageRange")
+  function cubeRows(cube, filters = {}, groupBy = null) {
+    const allYears = isUnfiltered(filters.year) && groupBy !== "year";
+    const rows = allYears ? cube.mapAllYears : cube.mapByYear;
+
+    return rows.filter(d => {
+      if (!isUnfiltered(filters.province) && d.region !== filters.province) return false;
+      if (!allYears && !isUnfiltered(filters.year) && d.year !== +filters.year) return false;
+      return CUBE_DIMENSIONS.every(dim =>
+        cubeDimMatches(d[dim], filters[dim], groupBy === dim)
+      );
+    });
+  }
+
+  function summariseCubeRows(rows) {
+    return {
+      cases: d3.sum(rows, d => d.cases),
+      loss: d3.sum(rows, d => d.loss),
+      victims: d3.sum(rows, d => d.victims),
+    };
+  }
+
+  // Total { cases, loss, victims } for one filter combination
+  function cubeTotal(cube, filters = {}) {
+    return summariseCubeRows(cubeRows(cube, filters));
+  }
+
+  // Map of dimension value -> { cases, loss, victims } for one filter combination
+  function cubeRollup(cube, filters, groupBy) {
+    return d3.rollup(cubeRows(cube, filters, groupBy), summariseCubeRows, d => d[groupBy]);
+  }
+
+  function valuesDiffer(metric, detail, subtotal) {
+    const tolerance = metric === "cases" ? 0.5 : Math.max(1, Math.abs(subtotal) * 1e-6);
+    return Math.abs(detail - subtotal) > tolerance;
+  }
+
+  // Compare each roll-up row with the sum of the detail rows beneath it.
+  // Returns one entry per mismatching cell and metric; empty when the
+  // cube is internally consistent.
+  function checkCube(cube) {
+    const issues = [];
+
+    function compare(table, rows, keyOf, over) {
+      const subtotals = new Map();
+      const details = new Map();
+
+      rows.forEach(d => {
+        const key = keyOf(d);
+        if (key == null) return;
+        if (d[over] === ALL) subtotals.set(key, d);
+        else {
+          const acc = details.get(key) || { cases: 0, loss: 0 };
+          acc.cases += d.cases;
+          acc.loss += d.loss;
+          details.set(key, acc);
+        }
+      });
+
+      const keys = new Set([...subtotals.keys(), ...details.keys()]);
+      keys.forEach(key => {
+        const detail = details.get(key) || { cases: 0, loss: 0 };
+        const sub = subtotals.get(key) || { cases: 0, loss: 0 };
+        ["cases", "loss"].forEach(metric => {
+          if (valuesDiffer(metric, detail[metric], sub[metric])) {
+            issues.push({ table, key, over, metric, detail: detail[metric], subtotal: sub[metric] });
+          }
+        });
+      });
+    }
+
+    [["mapByYear", cube.mapByYear], ["mapAllYears", cube.mapAllYears]].forEach(([table, rows]) => {
+      const yearPart = d => table === "mapByYear" ? `${d.year} · ` : "";
+      // genders within a fixed age range, and age ranges within a fixed gender
+      compare(table, rows, d => `${yearPart(d)}${d.region} · age ${d.ageRange}`, "gender");
+      compare(table, rows, d => `${yearPart(d)}${d.region} · ${d.gender}`, "ageRange");
+    });
+
+    // mapAllYears against the per-year rows it should total
+    const byYear = d3.rollup(
+      cube.mapByYear,
+      v => ({ cases: d3.sum(v, d => d.cases), loss: d3.sum(v, d => d.loss) }),
+      d => `${d.region} · ${d.gender} · age ${d.ageRange}`
+    );
+    cube.mapAllYears.forEach(d => {
+      const key = `${d.region} · ${d.gender} · age ${d.ageRange}`;
+      const detail = byYear.get(key) || { cases: 0, loss: 0 };
+      ["cases", "loss"].forEach(metric => {
+        if (valuesDiffer(metric, detail[metric], d[metric])) {
+          issues.push({ table: "mapAllYears", key, over: "year", metric, detail: detail[metric], subtotal: d[metric] });
+        }
+      });
+    });
+
+    return issues;
+  }
+
+
+  // -----------------------------------------------------------------
+  // 7) POPULATION, NORMALISATION + CHANGE
+  // -----------------------------------------------------------------
+  // July 1 population estimates, Statistics Canada Table 17-10-0009-01.
+  // Add a column here when a new year of reports is loaded; years past
+  // the table use the closest estimate.
+  const POPULATION_YEARS = [2021, 2022, 2023, 2024, 2025];
+  const POPULATION = {
+    "Newfoundland and Labrador": [520438, 528818, 538605, 545579, 547105],
+    "Prince Edward Island": [164758, 170688, 173787, 178550, 180218],
+    "Nova Scotia": [992055, 1019725, 1058694, 1076374, 1089005],
+    "New Brunswick": [789225, 812061, 834691, 854355, 866193],
+    "Quebec": [8604495, 8695659, 8874683, 9056044, 9142029],
+    "Ontario": [14826276, 15109416, 15608369, 16124116, 16258257],
+    "Manitoba": [1380935, 1409223, 1454902, 1494301, 1515148],
+    "Saskatchewan": [1179844, 1194803, 1218976, 1239865, 1255317],
+    "Alberta": [4442879, 4543111, 4695290, 4888723, 5004325],
+    "British Columbia": [5214805, 5319324, 5519013, 5698430, 5713242],
+    "Yukon": [43025, 43964, 45148, 46704, 47126],
+    "Northwest Territories": [45504, 45605, 44972, 44759, 44781],
+    "Nunavut": [39403, 40526, 40673, 41258, 41542],
+  };
+
+  function closestPopulationIndex(year) {
+    const i = d3.bisectLeft(POPULATION_YEARS, +year);
+    return Math.min(i, POPULATION_YEARS.length - 1);
+  }
+
+  // Residents of one province, a list of provinces, or all provinces
+  // when region is unfiltered. A list of years gives population-years
+  // (summed over the years), so a multi-year total per 100k is an
+  // average yearly rate; without a year, the average over the table.
+  function population(region, year) {
+    const regions = isUnfiltered(region) ? PROVINCE_NAMES : [].concat(region);
+    if (!regions.every(r => POPULATION[r])) return null;
+
+    const forYear = i => d3.sum(regions, r => POPULATION[r][i]);
+    if (Array.isArray(year)) return d3.sum(year, y => forYear(closestPopulationIndex(y)));
+    if (isUnfiltered(year)) return d3.mean(POPULATION_YEARS, (y, i) => forYear(i));
+    return forYear(closestPopulationIndex(year));
+  }
+
+  // How a metric is scaled before it is mapped or ranked. The per-case
+  // and per-victim ratios only make sense for dollar loss.
+  const NORMALISATIONS = {
+    total: { label: "Total", suffix: "" },
+    per100k: { label: "Per 100,000 residents", suffix: " per 100,000 residents" },
+    perCase: { label: "Loss per case", suffix: " per case", lossOnly: true },
+    perVictim: { label: "Loss per victim", suffix: " per victim", lossOnly: true },
+  };
+
+  // totals: { cases, loss, victims }; year is the year, or the list of
+  // years, the totals cover. Returns null when the value cannot be
+  // computed (no population for the region, no cases or victims).
+  function normalise(totals, metric, mode, region, year) {
+    if (!totals) return mode === "total" ? 0 : null;
+    if (NORMALISATIONS[mode] && NORMALISATIONS[mode].lossOnly) metric = "loss";
+
+    switch (mode) {
+      case "per100k": {
+        const pop = population(region, year);
+        return pop ? totals[metric] / pop * 100000 : null;
+      }
+      case "perCase":
+        return totals.cases ? totals.loss / totals.cases : null;
+      case "perVictim":
+        return totals.victims ? totals.loss / totals.victims : null;
+      default:
+        return totals[metric];
+    }
+  }
+
+  // "Total", "Per 100,000 residents", "Loss per case", ...
+  function normLabel(mode) {
+    const norm = NORMALISATIONS[mode] || NORMALISATIONS.total;
+    return text(`norm.${mode in NORMALISATIONS ? mode : "total"}`, norm.label);
+  }
+
+  // "Cases", "Loss per 100,000 residents", "Loss per victim", ...
+  function metricLabel(metric, mode = "total") {
+    const key = mode in NORMALISATIONS ? mode : "total";
+    const norm = NORMALISATIONS[key];
+    if (norm.lossOnly) return normLabel(key);
+    return text(`metric.${metric === "loss" ? "loss" : "cases"}`, metric === "loss" ? "Loss" : "Cases") +
+      text(`norm.${key}.suffix`, norm.suffix);
+  }
+
+  // Absolute and percent change between two values. pct is null when
+  // the starting value is zero: growth from nothing has no percentage.
+  function change(from, to) {
+    if (from == null || to == null) return null;
+    return {
+      from,
+      to,
+      abs: to - from,
+      pct: from ? (to - from) / Math.abs(from) * 100 : null,
+    };
+  }
+
+
+  return {
+    ALL,
+    NOT_AVAILABLE,
+    SOURCE,
+    PROVINCES,
+    PROVINCE_NAMES,
+    PROVINCE_GROUPS,
+    canonicalRegion,
+    canonicalGender,
+    canonicalAgeRange,
+    compareAgeRanges,
+    loadGeo,
+    loadRecords,
+    loadAggregate,
+    getQualityReports,
+    filterRecords,
+    sumRecords,
+    rollupRecords,
+    cubeRows,
+    cubeTotal,
+    cubeRollup,
+    checkCube,
+    NORMALISATIONS,
+    population,
+    normalise,
+    normLabel,
+    metricLabel,
+    change,
+  };
+})();
+
+// The offline build (scripts/build-data.js) reuses the canonical names
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FraudData;
+}
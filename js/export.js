@@ -0,0 +1,215 @@
+// -------------------------------------------------------------------
+// CHART EXPORT (SVG, PNG, CSV)
+// Adds a small export toolbar to a chart panel. SVG and PNG are taken
+// from the chart as drawn, with the page's computed styles inlined so
+// the file looks the same outside the page; CSV holds the aggregated
+// rows behind the chart, headed by the active filters and the source.
+// -------------------------------------------------------------------
+const ChartExport = (function () {
+
+  // Presentation properties copied from the stylesheets onto every node
+  const STYLE_PROPERTIES = [
+    "fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity",
+    "stroke-dasharray", "stroke-linecap", "stroke-linejoin", "opacity",
+    "display", "visibility", "font-family", "font-size", "font-weight",
+    "font-style", "text-anchor", "dominant-baseline", "alignment-baseline",
+    "letter-spacing", "paint-order", "vector-effect", "shape-rendering",
+  ];
+
+  // PNG pixels per CSS pixel: at least 2, more on high-DPI screens
+  const PNG_SCALE = Math.max(2, window.devicePixelRatio || 1);
+
+  const SVG_NS = "http://www.w3.org/2000/svg";
+
+
+  // -----------------------------------------------------------------
+  // 1) FILES
+  // -----------------------------------------------------------------
+  // "overview-map" -> "overview-map-2025-01-31.png"
+  function fileName(name, extension) {
+    return `${name}-${d3.timeFormat("%Y-%m-%d")(new Date())}.${extension}`;
+  }
+
+  function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+
+  // -----------------------------------------------------------------
+  // 2) SVG
+  // -----------------------------------------------------------------
+  // Size on screen; falls back to the width / height or viewBox attributes
+  function svgSize(node) {
+    const box = node.getBoundingClientRect();
+    const viewBox = node.viewBox && node.viewBox.baseVal;
+    return {
+      width: box.width || node.clientWidth || +node.getAttribute("width") || (viewBox && viewBox.width) || 300,
+      height: box.height || node.clientHeight || +node.getAttribute("height") || (viewBox && viewBox.height) || 150,
+    };
+  }
+
+  // First non-transparent background behind the chart, so white text
+  // drawn for the dark panels stays readable in the file
+  function backgroundColor(node) {
+    for (let el = node; el && el.nodeType === 1; el = el.parentElement) {
+      const color = getComputedStyle(el).backgroundColor;
+      if (color && color !== "transparent" && !/rgba\(.*,\s*0\)$/.test(color)) return color;
+    }
+    return "#ffffff";
+  }
+
+  // Standalone SVG markup with computed styles inlined
+  function serialise(node) {
+    const { width, height } = svgSize(node);
+    const clone = node.cloneNode(true);
+
+    const source = [node, ...node.querySelectorAll("*")];
+    const target = [clone, ...clone.querySelectorAll("*")];
+    source.forEach((el, i) => {
+      const computed = getComputedStyle(el);
+      const style = STYLE_PROPERTIES
+        .map(p => [p, computed.getPropertyValue(p)])
+        .filter(([, v]) => v)
+        .map(([p, v]) => `${p}:${v}`)
+        .join(";");
+      if (style) target[i].setAttribute("style", style);
+    });
+
+    clone.setAttribute("xmlns", SVG_NS);
+    clone.setAttribute("width", width);
+    clone.setAttribute("height", height);
+    if (!clone.getAttribute("viewBox")) clone.setAttribute("viewBox", `0 0 ${width} ${height}`);
+
+    const background = document.createElementNS(SVG_NS, "rect");
+    background.setAttribute("x", "-100%");
+    background.setAttribute("y", "-100%");
+    background.setAttribute("width", "300%");
+    background.setAttribute("height", "300%");
+    background.setAttribute("fill", backgroundColor(node));
+    clone.insertBefore(background, clone.firstChild);
+
+    return new XMLSerializer().serializeToString(clone);
+  }
+
+  function exportSvg(node, name) {
+    const markup = serialise(node);
+    download(new Blob([markup], { type: "image/svg+xml;charset=utf-8" }), fileName(name, "svg"));
+  }
+
+  // Rasterise the serialised SVG on a canvas scaled by PNG_SCALE
+  function exportPng(node, name) {
+    const { width, height } = svgSize(node);
+    const url = URL.createObjectURL(
+      new Blob([serialise(node)], { type: "image/svg+xml;charset=utf-8" })
+    );
+
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * PNG_SCALE);
+      canvas.height = Math.round(height * PNG_SCALE);
+
+      const context = canvas.getContext("2d");
+      context.scale(PNG_SCALE, PNG_SCALE);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+
+      canvas.toBlob(blob => download(blob, fileName(name, "png")), "image/png");
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      console.error("PNG export failed for", name);
+    };
+    image.src = url;
+  }
+
+
+  // -----------------------------------------------------------------
+  // 3) CSV
+  // -----------------------------------------------------------------
+  // "# key: value" header lines, then the rows. filters is a list of
+  // [label, value] pairs; dataset is "records" or "aggregate".
+  function toCsv(rows, { title, filters, dataset }) {
+    const source = FraudData.SOURCE;
+    const header = [
+      `# ${title}`,
+      `# ${I18n.t("export.csvSource", { name: source.name, url: source.url, file: source[dataset] })}`,
+      `# ${I18n.t("export.csvFilters", {
+        filters: filters.length
+          ? filters.map(([label, value]) => `${label} = ${value}`).join("; ")
+          : I18n.t("export.csvNoFilters")
+      })}`,
+      `# ${I18n.t("export.csvExported", { date: new Date().toISOString() })}`,
+    ];
+    return header.join("\n") + "\n" + d3.csvFormat(rows);
+  }
+
+  function exportCsv(rows, name, meta) {
+    download(new Blob([toCsv(rows, meta)], { type: "text/csv;charset=utf-8" }), fileName(name, "csv"));
+  }
+
+
+  // -----------------------------------------------------------------
+  // 4) TOOLBAR
+  // -----------------------------------------------------------------
+  // config: { title, name (file prefix), svg (selector or () => node),
+  //   rows: () => [{...}], filters: () => [[label, value]], dataset }
+  // rows and filters are read at click time, so one toolbar follows
+  // every redraw of its chart.
+  function renderMenu(selector, config) {
+    const container = d3.select(selector);
+    container.selectAll("*").remove();
+
+    const svgNode = () => typeof config.svg === "function"
+      ? config.svg()
+      : document.querySelector(config.svg);
+
+    const formats = [
+      { label: "SVG", run: () => exportSvg(svgNode(), config.name) },
+      { label: "PNG", run: () => exportPng(svgNode(), config.name) },
+      {
+        label: "CSV",
+        run: () => exportCsv(config.rows(), config.name, {
+          title: config.title,
+          filters: config.filters ? config.filters() : [],
+          dataset: config.dataset,
+        }),
+      },
+    ];
+
+    container.append("span")
+      .attr("class", "small text-muted me-1")
+      .attr("aria-hidden", "true")
+      .text(I18n.t("export.label"));
+
+    const group = container.append("div")
+      .attr("class", "btn-group btn-group-sm chart-export")
+      .attr("role", "group")
+      .attr("aria-label", I18n.t("export.group", { title: config.title }));
+
+    group.selectAll("button")
+      .data(formats)
+      .enter()
+      .append("button")
+      .attr("type", "button")
+      .attr("class", "btn btn-outline-light")
+      .attr("title", d => I18n.t("export.download", { title: config.title, format: d.label }))
+      .text(d => d.label)
+      .on("click", (event, d) => d.run());
+  }
+
+
+  return {
+    PNG_SCALE,
+    serialise,
+    toCsv,
+    renderMenu,
+  };
+})();
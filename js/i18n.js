@@ -0,0 +1,282 @@
+// -------------------------------------------------------------------
+// INTERNATIONALISATION (ENGLISH / FRENCH)
+// Loaded right after d3 on every page. Picks the language from ?lang=
+// in the URL (English by default), looks up interface strings in the
+// catalogues (js/i18n/en.js, js/i18n/fr.js), makes d3's number and
+// date formatters follow the language, and names provinces from the
+// boundary file's PRENAME / PRFNAME fields. Static markup is
+// translated from data-i18n attributes once the page has loaded.
+// -------------------------------------------------------------------
+const I18n = (function () {
+
+  // -----------------------------------------------------------------
+  // 1) LANGUAGE
+  // -----------------------------------------------------------------
+  const LANGUAGES = {
+    en: { label: "English", short: "EN", tag: "en-CA" },
+    fr: { label: "Français", short: "FR", tag: "fr-CA" },
+  };
+  const DEFAULT_LANG = "en";
+
+  const lang = (() => {
+    const requested = new URLSearchParams(window.location.search).get("lang");
+    return requested && LANGUAGES[requested] ? requested : DEFAULT_LANG;
+  })();
+
+  // BCP 47 tag for toLocaleString / Intl
+  const tag = LANGUAGES[lang].tag;
+
+  // Same address in another language (the current one by default);
+  // English drops the parameter so existing links keep working
+  function withLang(href, language = lang) {
+    const url = new URL(href, window.location.href);
+    if (language === DEFAULT_LANG) url.searchParams.delete("lang");
+    else url.searchParams.set("lang", language);
+    return url.pathname.split("/").pop() + url.search + url.hash;
+  }
+
+
+  // -----------------------------------------------------------------
+  // 2) MESSAGES
+  // -----------------------------------------------------------------
+  const catalogues = { en: {}, fr: {} };
+
+  // Called by the catalogue files
+  function addMessages(language, messages) {
+    Object.assign(catalogues[language], messages);
+  }
+
+  function has(key) {
+    return key in catalogues[lang] || key in catalogues[DEFAULT_LANG];
+  }
+
+  // "Cases in {year}" + { year: 2024 } -> "Cases in 2024". Missing
+  // French strings fall back to English, missing keys to the key.
+  function t(key, params) {
+    const message = key in catalogues[lang] ? catalogues[lang][key]
+      : key in catalogues[DEFAULT_LANG] ? catalogues[DEFAULT_LANG][key]
+        : key;
+    if (!params) return message;
+    return message.replace(/\{(\w+)\}/g, (match, name) => params[name] != null ? params[name] : match);
+  }
+
+  // "Cases: 12" / "Cas : 12" (French spaces the colon)
+  function labelled(label, value) {
+    return t("common.labelValue", { label, value });
+  }
+
+  // Values that come from the data (genders, "Not Available", fraud
+  // categories, ...): translated when the catalogue knows them
+  function term(value) {
+    const key = `term.${value}`;
+    return has(key) ? t(key) : value;
+  }
+
+
+  // -----------------------------------------------------------------
+  // 3) NUMBERS + DATES
+  // -----------------------------------------------------------------
+  // Set as d3's defaults, so every d3.format / d3.timeFormat and every
+  // axis on the page follows the language: "1,234.56" / "$1,235" in
+  // English, "1 234,56" / "1 235 $" in French
+  const NUMBER_LOCALES = {
+    en: { decimal: ".", thousands: ",", grouping: [3], currency: ["$", ""] },
+    fr: { decimal: ",", thousands: " ", grouping: [3], currency: ["", " $"], percent: " %" },
+  };
+
+  const TIME_LOCALES = {
+    en: {
+      dateTime: "%a %b %e %X %Y",
+      date: "%Y-%m-%d",
+      time: "%H:%M:%S",
+      periods: ["AM", "PM"],
+      days: ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"],
+      shortDays: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+      months: ["January", "February", "March", "April", "May", "June", "July", "August",
+        "September", "October", "November", "December"],
+      shortMonths: ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"],
+    },
+    fr: {
+      dateTime: "%A %-d %B %Y, %X",
+      date: "%Y-%m-%d",
+      time: "%H:%M:%S",
+      periods: ["", ""],
+      days: ["dimanche", "lundi", "mardi", "mercredi", "jeudi", "vendredi", "samedi"],
+      shortDays: ["dim.", "lun.", "mar.", "mer.", "jeu.", "ven.", "sam."],
+      months: ["janvier", "février", "mars", "avril", "mai", "juin", "juillet", "août",
+        "septembre", "octobre", "novembre", "décembre"],
+      shortMonths: ["janv.", "févr.", "mars", "avr.", "mai", "juin", "juil.", "août",
+        "sept.", "oct.", "nov.", "déc."],
+    },
+  };
+
+  const numberLocale = d3.formatDefaultLocale(NUMBER_LOCALES[lang]);
+  const timeLocale = d3.timeFormatDefaultLocale(TIME_LOCALES[lang]);
+
+  // Date patterns differ by language too ("March 5, 2025" / "5 mars
+  // 2025"), so they live in the catalogues under date.*
+  function timeFormat(patternKey) {
+    return timeLocale.format(t(patternKey));
+  }
+
+  // "12.5%" / "12,5 %" for a percentage already multiplied by 100
+  function percent(value, digits = 1) {
+    return numberLocale.format(`,.${digits}f`)(value) + (NUMBER_LOCALES[lang].percent || "%");
+  }
+
+  // Typed number lists: "100, 1,000, 2.5" / "100 ; 1 000 ; 2,5". French
+  // separates with ";" since the comma is the decimal mark; in English a
+  // comma before exactly three digits is a thousands separator
+  const LIST_SPLIT = {
+    en: /\s*(?:;|,(?!\d{3}(?!\d)))\s*|\s+/,
+    fr: /\s*;\s*/,
+  };
+  const LIST_SEPARATOR = { en: ", ", fr: " ; " };
+
+  // "1,234.5" / "1 234,5" -> 1234.5; "$", "%" and any spaces are ignored
+  function parseNumber(text) {
+    const { decimal, thousands } = NUMBER_LOCALES[lang];
+    const plain = String(text == null ? "" : text)
+      .replace(/[\s$%]/g, "")
+      .split(thousands).join("")
+      .replace(decimal, ".")
+      .replace(/\u2212/g, "-");
+    return parseFloat(plain);
+  }
+
+  function parseNumberList(text) {
+    return String(text == null ? "" : text)
+      .trim()
+      .split(LIST_SPLIT[lang])
+      .map(parseNumber)
+      .filter(v => isFinite(v));
+  }
+
+  function formatNumberList(values) {
+    return values.map(numberLocale.format(",~f")).join(LIST_SEPARATOR[lang]);
+  }
+
+
+  // -----------------------------------------------------------------
+  // 4) PROVINCES
+  // -----------------------------------------------------------------
+  // PRENAME -> { name, abbr } in the current language, filled from the
+  // boundary file by FraudData.loadGeo()
+  const provinceNames = new Map();
+
+  function registerProvinces(features) {
+    features.forEach(f => {
+      const p = f.properties;
+      provinceNames.set(p.PRENAME, lang === "fr"
+        ? { name: p.PRFNAME, abbr: p.PRFABBR }
+        : { name: p.PRENAME, abbr: p.PREABBR });
+    });
+  }
+
+  // Canonical (English) name -> name shown on the page
+  function province(name) {
+    const entry = provinceNames.get(name);
+    return entry ? entry.name : name;
+  }
+
+  function provinceAbbr(name) {
+    const entry = provinceNames.get(name);
+    return entry ? entry.abbr : name;
+  }
+
+  // Compare canonical names by their displayed form ("Québec" after
+  // "Ontario", "Colombie-Britannique" before "Manitoba")
+  function compareProvinces(a, b) {
+    return province(a).localeCompare(province(b), tag);
+  }
+
+
+  // -----------------------------------------------------------------
+  // 5) STATIC MARKUP + LANGUAGE SWITCHER
+  // -----------------------------------------------------------------
+  // data-i18n="key" replaces the element's text, data-i18n-html="key"
+  // its markup (catalogue text with <b>, <br>, links); data-i18n-attr=
+  // "title:key;aria-label:key" sets attributes. Links to the other
+  // pages keep the language.
+  function apply(root = document) {
+    document.documentElement.lang = lang;
+
+    root.querySelectorAll("[data-i18n]").forEach(el => {
+      el.textContent = t(el.getAttribute("data-i18n"));
+    });
+
+    root.querySelectorAll("[data-i18n-html]").forEach(el => {
+      el.innerHTML = t(el.getAttribute("data-i18n-html"));
+    });
+
+    root.querySelectorAll("[data-i18n-attr]").forEach(el => {
+      el.getAttribute("data-i18n-attr").split(";").forEach(pair => {
+        const [attr, key] = pair.split(":").map(s => s.trim());
+        if (attr && key) el.setAttribute(attr, t(key));
+      });
+    });
+
+    root.querySelectorAll("a[href]").forEach(a => {
+      const href = a.getAttribute("href");
+      if (/^[\w-]+\.html([?#].*)?$/.test(href)) a.setAttribute("href", withLang(href));
+    });
+  }
+
+  // EN / FR buttons; switching reloads the page in the other language
+  // with the rest of the address (filters, view state) unchanged
+  function renderSwitcher(selector) {
+    const container = d3.select(selector);
+    if (container.empty()) return;
+    container.selectAll("*").remove();
+
+    container.append("div")
+      .attr("class", "btn-group btn-group-sm")
+      .attr("role", "group")
+      .attr("aria-label", t("lang.switch"))
+      .selectAll("a")
+      .data(Object.entries(LANGUAGES))
+      .enter()
+      .append("a")
+      .attr("class", ([code]) => `btn ${code === lang ? "btn-light" : "btn-outline-light"}`)
+      .attr("href", ([code]) => withLang(window.location.href, code))
+      .attr("hreflang", ([code]) => code)
+      .attr("lang", ([code]) => code)
+      .attr("title", ([, language]) => language.label)
+      .attr("aria-current", ([code]) => code === lang ? "true" : null)
+      .text(([, language]) => language.short)
+      .on("click", (event, [code]) => {
+        event.preventDefault();
+        if (code !== lang) window.location.assign(withLang(window.location.href, code));
+      });
+  }
+
+  document.addEventListener("DOMContentLoaded", () => {
+    apply();
+    renderSwitcher("#langSwitch");
+  });
+
+
+  return {
+    LANGUAGES,
+    DEFAULT_LANG,
+    lang,
+    tag,
+    withLang,
+    addMessages,
+    has,
+    t,
+    labelled,
+    term,
+    timeFormat,
+    percent,
+    parseNumber,
+    parseNumberList,
+    formatNumberList,
+    registerProvinces,
+    province,
+    provinceAbbr,
+    compareProvinces,
+    apply,
+    renderSwitcher,
+  };
+})();
@@ -0,0 +1,549 @@
+// -------------------------------------------------------------------
+// ENGLISH MESSAGES
+// Keys are grouped by the file that uses them; js/i18n/fr.js has the
+// same keys. {name} placeholders are filled by I18n.t(key, params).
+// -------------------------------------------------------------------
+I18n.addMessages("en", {
+
+  // -----------------------------------------------------------------
+  // 1) SHARED (js/data.js, js/data-quality.js)
+  // -----------------------------------------------------------------
+  "source.name": "Canadian Anti-Fraud Centre reporting data",
+
+  "metric.cases": "Cases",
+  "metric.loss": "Loss",
+  "norm.total": "Total",
+  "norm.total.suffix": "",
+  "norm.per100k": "Per 100,000 residents",
+  "norm.per100k.suffix": " per 100,000 residents",
+  "norm.perCase": "Loss per case",
+  "norm.perCase.suffix": " per case",
+  "norm.perVictim": "Loss per victim",
+  "norm.perVictim.suffix": " per victim",
+
+  "quality.dataset.records": "Per-report records",
+  "quality.dataset.aggregate": "Aggregated trend file",
+  "quality.reason.date": "Missing or invalid date",
+  "quality.reason.region": "Region outside Canada or not specified",
+  "quality.reason.lossNumeric": "Non-numeric dollar loss",
+  "quality.reason.lossNegative": "Negative dollar loss",
+  "quality.reason.victimsNumeric": "Non-numeric victim count",
+  "quality.reason.victimsNegative": "Negative victim count",
+  "quality.reason.gender": "Missing gender",
+  "quality.reason.ageRange": "Missing age range",
+  "quality.reason.cases": "Non-numeric or negative case count",
+  "quality.reason.year": "Year missing or not listed in meta.years",
+  "quality.blank": "(blank)",
+  "quality.corrected.region": "Region \"{from}\" renamed to \"{to}\"",
+  "quality.corrected.apostrophe": "Age range with a stray leading apostrophe",
+  "quality.corrected.gender": "Blank gender recorded as \"{value}\"",
+  "quality.corrected.ageRange": "Blank age range recorded as \"{value}\"",
+  "quality.note.invalid": "meta.{key} has {count} invalid value(s): {values}",
+  "quality.note.outside": "meta.regions lists places outside Canada or unspecified: {values}",
+  "quality.note.apostrophes": "meta.ageRanges has {count} value(s) with a stray leading apostrophe",
+  "quality.title": "Data quality",
+  "quality.excluded": "{count} row(s) excluded from the charts",
+  "quality.noneExcluded": "no rows excluded",
+  "quality.used": "{kept} of {total} rows used ({excluded} excluded).",
+  "quality.col.reason": "Excluded because",
+  "quality.col.rows": "Rows",
+  "quality.col.examples": "Example values",
+  "quality.corrected": "Corrected: {description} ({count} rows)",
+
+
+  // -----------------------------------------------------------------
+  // 2) DATA VALUES (genders, categories, methods, ...)
+  // -----------------------------------------------------------------
+  "term.Male": "Male",
+  "term.Female": "Female",
+  "term.Other": "Other",
+  "term.Others": "Others",
+  "term.Unknown": "Unknown",
+  "term.Not Available": "Not Available",
+  "term.Prefer not to say": "Prefer not to say",
+
+  "term.Atlantic": "Atlantic",
+  "term.Central": "Central",
+  "term.Prairies": "Prairies",
+  "term.West Coast": "West Coast",
+  "term.Territories": "Territories",
+
+  // Fraud categories and solicitation methods in the CAFC records
+  "term.Phishing": "Phishing",
+  "term.Spear Phishing": "Spear phishing",
+  "term.Identity Fraud": "Identity fraud",
+  "term.Identity Theft": "Identity theft",
+  "term.Extortion": "Extortion",
+  "term.Investments": "Investments",
+  "term.Romance": "Romance",
+  "term.Merchandise": "Merchandise",
+  "term.Counterfeit Merchandise": "Counterfeit merchandise",
+  "term.Service": "Service",
+  "term.Personal Info": "Personal information",
+  "term.Bank Investigator": "Bank investigator",
+  "term.Job": "Job",
+  "term.Prize": "Prize",
+  "term.Emergency": "Emergency",
+  "term.Vendor Fraud": "Vendor fraud",
+  "term.Email": "Email",
+  "term.Phone": "Phone",
+  "term.Direct call": "Direct call",
+  "term.Text message": "Text message",
+  "term.Internet": "Internet",
+  "term.Internet-social network": "Internet – social network",
+  "term.Social media": "Social media",
+  "term.Mail": "Mail",
+  "term.In person": "In person",
+  "term.Door to door/in person": "Door to door / in person",
+  "term.Video call": "Video call",
+  "term.Other/unknown": "Other / unknown",
+
+
+  // -----------------------------------------------------------------
+  // 3) ACCESSIBILITY + DATA TABLES (js/a11y.js)
+  // -----------------------------------------------------------------
+  "a11y.table": "Table",
+  "a11y.showTable": "Show the {title} data table",
+  "a11y.hideTable": "Hide the {title} data table",
+  "a11y.noData": "No data for the current filters.",
+  "a11y.na": "n/a",
+  "a11y.yes": "Yes",
+  "a11y.no": "No",
+
+  "column.province": "Province",
+  "column.cases": "Cases",
+  "column.loss": "Loss ($)",
+  "column.victims": "Victims",
+  "column.value": "Value",
+  "column.rank": "Rank",
+  "column.share": "Share",
+  "column.year": "Year",
+  "column.gender": "Gender",
+  "column.ageRange": "Age range",
+  "column.period": "Period",
+  "column.start": "Start",
+  "column.category": "Category",
+  "column.method": "Method",
+  "column.change": "Change",
+  "column.change_pct": "Change (%)",
+  "column.from_year": "From year",
+  "column.from_value": "From value",
+  "column.to_year": "To year",
+  "column.to_value": "To value",
+  "column.selected": "Selected",
+  "column.medianLoss": "Median loss per case ($)",
+
+
+  // -----------------------------------------------------------------
+  // 4) CLASSIFICATION + MAP VIEW (js/classify.js, js/map-view.js)
+  // -----------------------------------------------------------------
+  "classify.quantile": "Quantile",
+  "classify.equal": "Equal interval",
+  "classify.jenks": "Natural breaks (Jenks)",
+  "classify.stddev": "Standard deviation",
+  "classify.manual": "Manual breaks",
+  "classify.diverging": "Equal interval, centred on zero",
+  "classify.classes": "Classes",
+  "classify.count": "Number of classes",
+  "classify.manualBreaks": "Manual class breaks",
+  "classify.placeholder": "e.g. 100, 500, 1,000",
+  "classify.bivariate.cell": "{count} region(s)",
+
+  "mapView.projection": "Map projection",
+  "mapView.projection.transverseMercator": "Transverse Mercator",
+  "mapView.projection.lambert": "Lambert Conformal Conic (StatCan)",
+  "mapView.projection.albers": "Albers equal-area",
+  "mapView.inset": "Atlantic inset",
+  "mapView.insetTitle": "Atlantic provinces (click to zoom)",
+  "mapView.reset": "Reset zoom",
+
+
+  // -----------------------------------------------------------------
+  // 5) EXPORT + REPORT (js/export.js, js/report.js)
+  // -----------------------------------------------------------------
+  "export.label": "Export",
+  "export.group": "Export {title}",
+  "export.download": "Download {title} as {format}",
+  "export.csvSource": "Source: {name}, {url} ({file})",
+  "export.csvFilters": "Filters: {filters}",
+  "export.csvNoFilters": "none",
+  "export.csvExported": "Exported: {date}",
+
+  "report.print": "Print",
+  "report.close": "Close",
+  "report.cases": "Cases",
+  "report.lossDollars": "Loss ($)",
+  "report.trendLabel": "Reported cases and losses by year",
+  "report.filters": "Filters: {filters}",
+  "report.filter": "{label}: {value}",
+  "report.source": "Source: {name} ({url}). Figures cover reported cases only.",
+  "report.generated": "Generated {date}.",
+  "report.sentence.fromNone": "{noun} went from none in {fromYear} to {to} in {toYear}.",
+  "report.sentence.steady": "{noun} held steady from {fromYear} to {toYear}, at {to}.",
+  "report.sentence.rose": "{noun} rose {pct} from {fromYear} to {toYear}.",
+  "report.sentence.fell": "{noun} fell {pct} from {fromYear} to {toYear}.",
+  "report.sentence.peak": "{noun} peaked in {year} at {value}.",
+  "report.sentence.top": "{name} was the most reported {what} ({share} of cases).",
+  "report.noun.cases": "Reported cases",
+  "report.noun.losses": "Losses",
+  "report.what.category": "fraud category",
+  "report.what.method": "solicitation method",
+  "report.figure.cases": "Reported cases",
+  "report.figure.loss": "Estimated losses",
+  "report.figure.victims": "Victims",
+  "report.col.cases": "Cases",
+  "report.col.loss": "Loss",
+  "report.trendByYear": "Cases and losses by year",
+  "report.generate": "Generate report",
+  "report.profileTitle": "Fraud profile: {name}",
+  "report.topCategories": "Top fraud categories",
+  "report.topMethods": "Top solicitation methods",
+
+
+  // -----------------------------------------------------------------
+  // 6) EVERY PAGE (navbar, footer, shared words, date patterns)
+  // -----------------------------------------------------------------
+  "common.brand": "Canada Fraud Watch",
+  "common.labelValue": "{label}: {value}",
+  "common.na": "n/a",
+  "common.share": "Share",
+  "common.population": "Population",
+  "common.victims": "Victims",
+  "common.divergingKey": "red = increase, blue = decrease",
+  "change.noValue": "No value for {from} or {to}",
+  "change.increase": "Increase",
+  "change.decrease": "Decrease",
+  "change.none": "No change",
+  "change.noReports": "no reports in {year}",
+
+  "lang.switch": "Language",
+  "theme.label": "Colour theme",
+  "theme.default": "Default (dark)",
+  "theme.cvd": "Colour-blind safe",
+  "theme.contrast": "High contrast",
+  "theme.light": "Light",
+  "nav.toggle": "Toggle navigation",
+  "nav.personal": "Personal Risk",
+  "nav.overview": "The Big Picture",
+  "nav.comparison": "Side-by-Side",
+  "nav.info": "Learn About Fraud",
+
+  "footer.credits": "Credits",
+  "footer.design": "Design & Development:",
+  "footer.course": "Dashboard created for UW Madison GEOG 575 course Fall 2025.",
+  "footer.sources": "Data sources",
+  "footer.cafcData": "Centre reporting data",
+  "footer.boundaries": "Statistics Canada: 2021 Census – Boundary files",
+  "footer.notes": "Notes",
+  "footer.note": "Figures are based on reported cases only and do not capture unreported fraud incidents.",
+  "footer.cafcDataUrl": "https://open.canada.ca/data/en/dataset/6a09c998-cddb-4a22-beff-4dca67ab892f/resource/43c67af5-e598-4a9b-a484-fe1cb5d775b5",
+  "footer.boundariesUrl": "https://www12.statcan.gc.ca/census-recensement/2021/geo/sip-pis/boundary-limites/index2021-eng.cfm?year=21",
+
+  "filter.year": "Year",
+  "filter.gender": "Gender",
+  "filter.ageRange": "Age range",
+  "filter.metric": "Metric",
+  "filter.change": "Change",
+  "filter.map": "Map",
+  "filter.ranking": "Ranking",
+  "filter.province": "Province",
+
+  // d3.timeFormat patterns (js/i18n.js timeFormat)
+  "date.long": "%B %-d, %Y",
+  "date.day": "%b %-d, %Y",
+  "date.dayShort": "%b %-d",
+  "date.month": "%b %Y",
+  "date.monthLong": "%B %Y",
+
+
+  // -----------------------------------------------------------------
+  // 7) THE BIG PICTURE (overview.html, js/overview.js)
+  // -----------------------------------------------------------------
+  "overview.pageTitle": "Canada Fraud Watch - The Big Picture",
+  "overview.heading": "Nationwide Fraud Overview",
+  "overview.history": "Exploration history",
+  "overview.undo": "Undo",
+  "overview.redo": "Redo",
+  "overview.undoTitle": "Undo (Ctrl+Z)",
+  "overview.redoTitle": "Redo (Ctrl+Shift+Z)",
+  "overview.normalisation": "Normalisation",
+  "overview.btnCases": "Cases",
+  "overview.btnLoss": "Loss ($)",
+  "overview.mapMode": "Map",
+  "overview.mode.magnitude": "Magnitude",
+  "overview.mode.change": "Change between years",
+  "overview.mode.symbols": "Circles: cases and loss",
+  "overview.mode.bivariate": "Bivariate: cases vs loss",
+  "overview.fromYear": "From year",
+  "overview.toYear": "To year",
+  "overview.changeMeasure": "Change measure",
+  "overview.percentChange": "Percent change",
+  "overview.absoluteChange": "Absolute change",
+  "overview.playback": "Year playback",
+  "overview.previousYear": "Previous year",
+  "overview.nextYear": "Next year",
+  "overview.play": "Play",
+  "overview.pause": "Pause",
+  "overview.mapLabel": "Map of Canada by province. Use the arrow keys to move between provinces and Enter to zoom.",
+  "overview.rankBy": "Rank regions by",
+  "overview.byVolume": "By volume",
+  "overview.byGrowth": "By growth",
+  "overview.growth": "Growth {from} → {to}",
+  "overview.barLabel": "Top regions bar chart",
+  "overview.trendLabel": "Trend over time. Enter on a year selects it.",
+  "overview.genderLabel": "Share by gender. Enter on a slice filters by that gender.",
+  "overview.ageLabel": "Share by age group. Enter on a slice filters by that age group.",
+  "overview.pyramidLabel": "Victims by age and gender. Enter on a bar filters by that gender and age group.",
+  "overview.pyramidProvince": "Pyramid province",
+  "overview.h.gender": "Share by Gender",
+  "overview.h.age": "Share by Age Group",
+  "overview.btn.allYears": "All Years",
+  "overview.btn.allGenders": "All Genders",
+  "overview.btn.allAges": "All Ages",
+
+  "overview.panel.map": "Nationwide fraud map",
+  "overview.panel.bar": "Top regions",
+  "overview.panel.trend": "Trend over time",
+  "overview.panel.gender": "Share by gender",
+  "overview.panel.age": "Share by age group",
+  "overview.panel.pyramid": "Victims by age and gender",
+
+  "overview.allYears": "All years",
+  "overview.allGenders": "All genders",
+  "overview.allAges": "All ages",
+  "overview.allAgeRanges": "All age ranges",
+  "overview.allCanada": "All Canada",
+  "overview.notInFile": "{label} (not in data file)",
+  "overview.rawTotals": "Raw totals",
+  "overview.subtitle.gender": "Gender: {gender}",
+  "overview.subtitle.age": "Age: {age}",
+  "overview.subtitle.year": "Year: {year}",
+  "overview.subtitle.change": "Change {from} → {to} ({measure})",
+  "overview.measure.pct": "percent",
+  "overview.measure.abs": "absolute",
+  "overview.changeIn": "Change in {metric}, {from} → {to}",
+  "overview.rank": "Rank {rank}",
+  "overview.symbols.legend": "Size: {size} · colour: {colour}",
+  "overview.bivariate.legend": "{cases} vs {loss}",
+  "overview.bivariate.method": "Terciles (3 × 3)",
+  "overview.bivariate.cell": "{cases} cases · {loss} loss",
+  "overview.level.low": "low",
+  "overview.level.medium": "medium",
+  "overview.level.high": "high",
+  "overview.pyramid.shareOfAge": "Share of age {age}",
+  "overview.pyramid.others": "Other genders (own scale)",
+  "overview.warning": "<strong>Data check:</strong> {count} subtotal(s) in the source file do not match the sum of their detail rows. Totals shown use the published subtotals.",
+  "overview.warning.example": "{key}: {over} breakdown sums to {detail} but the subtotal is {subtotal} ({metric})",
+  "overview.warning.over.gender": "gender",
+  "overview.warning.over.ageRange": "age",
+  "overview.warning.over.year": "year",
+
+
+  // -----------------------------------------------------------------
+  // 8) PERSONAL RISK PAGE (index.html, js/main.js)
+  // -----------------------------------------------------------------
+  "personal.pageTitle": "Canada Fraud Watch - Personal Risk",
+  "personal.intro": "That strange text message. The robocall you almost answered. The email that looked legitimate. Fraud has become a shared Canadian experience, impacting everyone from students to seniors.",
+  "personal.introImage": "fraud personal experience",
+  "personal.bridge": "But <strong>how close is the risk to you?</strong> We built this interactive tool to turn abstract numbers into a personal reality check. See how the data looks from <strong>your perspective:</strong>",
+  "personal.picker.affects": "Here is how fraud affects",
+  "personal.picker.aged": "aged",
+  "personal.picker.in": "in",
+  "personal.dateFrom": "From",
+  "personal.dateTo": "to",
+  "personal.datePresets": "Date range presets",
+  "personal.mapMetric": "Map metric",
+  "personal.mapLabel": "Map of Canada by province. Use the arrow keys to move between provinces and Enter to filter by one.",
+  "personal.loading": "Loading data…",
+  "personal.h.method": "How are they reaching you?",
+  "personal.methodIntro": "Fraudsters adapt to your communication habits: phone, text, email, social apps, or online platforms.",
+  "personal.methodMetric": "Solicitation method chart metric",
+  "personal.medianLoss": "Median loss",
+  "personal.h.category": "What types of fraud are people experiencing?",
+  "personal.categoryMetric": "Fraud category chart metric",
+  "personal.h.heatmap": "Which channels carry which scams?",
+  "personal.heatmapIntro": "Reported cases for each fraud category and solicitation method. Click a cell, row or column to filter the rest of the page.",
+  "personal.heatmapOrder": "Heatmap order",
+  "personal.heatmapLabel": "Fraud category by solicitation method. Enter on a cell filters by that pair.",
+  "personal.sortTotal": "Sort by total",
+  "personal.sortName": "Sort by name",
+  "personal.showingOnly": "Showing only",
+  "personal.clear": "Clear",
+  "personal.quote1": "<i>“It begins with a message that looks like it’s from your bank. Or a phone call that sounds urgent. In a split second, you’re asked to verify a transaction, confirm a package, or help a family member in crisis. These moments—confusing, stressful and often unexpected—are how fraud begins for thousands of Canadians each year.”</i>",
+  "personal.h.trend": "How is fraud evolving over time?",
+  "personal.trendIntro": "Trends in reported cases and financial loss for your selected demographic and region. The shaded band marks the date range chosen above.",
+  "personal.granularity": "Trend granularity",
+  "personal.grain.year": "Year",
+  "personal.grain.quarter": "Quarter",
+  "personal.grain.month": "Month",
+  "personal.grain.week": "Week",
+  "personal.timelineLabel": "Date range timeline",
+  "personal.timelineHint": "Drag across the strip to choose a date range.",
+  "personal.quote2": "<i>“Fraud is not only a financial crime—it is a social issue that affects trust, safety and everyday life. By understanding these patterns and recognizing how they appear in our own communities, each of us becomes part of the solution.”</i>",
+
+  "main.loadError": "Error loading data. Check console.",
+  "main.filter.all": "All",
+  "main.filter.none": "None",
+  "main.filter.gender": "Gender",
+  "main.filter.gender.all": "everyone",
+  "main.filter.gender.none": "no one",
+  "main.filter.gender.count": "{count} genders",
+  "main.filter.age": "Age",
+  "main.filter.age.all": "any age",
+  "main.filter.age.none": "no age range",
+  "main.filter.age.count": "{count} age ranges",
+  "main.filter.region": "Region",
+  "main.filter.region.all": "Canada",
+  "main.filter.region.none": "no region",
+  "main.filter.region.count": "{count} regions",
+  "main.age.youth": "Youth under 30",
+  "main.age.working": "Working age 30–59",
+  "main.age.seniors": "Seniors 60+",
+  "main.metric.cases": "Cases",
+  "main.metric.loss": "Total loss",
+  "main.metric.medianLoss": "Median loss per case",
+  "main.metric.victims": "Victims",
+  "main.map.legend.cases": "Reported cases",
+  "main.map.legend.loss": "Estimated losses",
+  "main.map.hint": "Click to filter · shift-click to add",
+  "main.map.noReports": "No reports",
+  "main.trend.quarter": "Q{quarter} {year}",
+  "main.trend.week": "Week {week}, {year} ({from} – {to})",
+  "main.trend.cases": "Cases",
+  "main.trend.loss": "Loss ($)",
+  "main.noMatch": "No reports match the current filters",
+  "main.heatmap.cell": "<strong>{category}</strong> via <strong>{method}</strong>",
+  "main.heatmap.shareOf": "{share} of {name}",
+  "main.heatmap.total": "Total {count}",
+  "main.heatmap.via": "via {method}",
+  "main.date.lastDays": "Last {days} days",
+  "main.date.yearToDate": "Year to date",
+  "main.date.missing": "Enter both a start and an end date. Showing the last 12 months of reports.",
+  "main.date.invalid": "That date could not be read. Showing the last 12 months of reports.",
+  "main.date.reversed": "The start date is after the end date. Showing the last 12 months of reports.",
+  "main.date.empty": "No reports in this range. The data covers {start} to {end}.",
+  "main.dateRange": "{start} to {end}",
+  "main.debug": "Filtered records: {count} / {total} total.",
+  "main.chart.map": "Reports by province",
+  "main.chart.method": "Solicitation methods",
+  "main.chart.category": "Fraud categories",
+  "main.chart.heatmap": "Fraud category by solicitation method",
+  "main.chart.trend": "Fraud cases and financial loss over time",
+  "main.export.dates": "Dates",
+  "main.export.category": "Fraud category",
+  "main.export.method": "Solicitation method",
+  "main.export.granularity": "Granularity",
+  "main.grain.year": "year",
+  "main.grain.quarter": "quarter",
+  "main.grain.month": "month",
+  "main.grain.week": "week",
+  "main.profile": "{gender} aged {age} in {region}",
+  "main.report.subtitle": "Reported fraud, {period}",
+  "main.report.summary": "From {period}, {profile} reported {cases} cases of fraud and {loss} in losses.",
+  "main.report.map.cases": "Map: reported cases by province",
+  "main.report.map.loss": "Map: estimated losses by province",
+  "main.report.trend.year": "Cases and losses by year",
+  "main.report.trend.quarter": "Cases and losses by quarter",
+  "main.report.trend.month": "Cases and losses by month",
+  "main.report.trend.week": "Cases and losses by week",
+  "main.report.topMonths": "Top months reported",
+  "main.report.month": "Month",
+
+
+  // -----------------------------------------------------------------
+  // 9) SIDE-BY-SIDE PAGE (comparison.html, js/comparison.js)
+  // -----------------------------------------------------------------
+  "comparison.pageTitle": "Canada Fraud Watch - Side-by-Side",
+  "comparison.heading": "Compare Provinces Side-by-Side",
+  "comparison.mapLabel": "Map of Canada by province. Use the arrow keys to move between provinces and Enter to select one.",
+  "comparison.provincesTerritories": "Provinces / Territories",
+  "comparison.show": "Show",
+  "comparison.yearLabel": "Year:",
+  "comparison.allYears": "All Years",
+  "comparison.mode.magnitude": "Magnitude",
+  "comparison.mode.change": "Change between years",
+  "comparison.all": "All",
+  "comparison.clear": "Clear",
+  "comparison.legend": "Legend",
+  "comparison.metric.cases": "Number of Cases",
+  "comparison.metric.loss": "Total Loss ($)",
+  "comparison.measure.pct": "%",
+  "comparison.measure.abs": "absolute",
+  "comparison.changeIn": "Change in {metric} ({measure})",
+  "comparison.changeBetween": "Change in {metric}, {from} → {to}",
+  "comparison.combined": "Combined",
+  "comparison.noneSelected": "No province selected",
+  "comparison.pickHint": "Pick one or more provinces or a preset group to compare.",
+  "comparison.chartsFor": "Charts for {province}",
+  "comparison.chart.map": "Province map",
+  "comparison.chart.category": "Fraud / Cybercrime Categories",
+  "comparison.chart.method": "Solicitation Method",
+  "comparison.chart.age": "Victim Age Range",
+  "comparison.chart.months": "Top Months Reported",
+  "comparison.sliceCases": "{count} cases ({percent})",
+  "comparison.totalLoss": "Total loss",
+  "comparison.selected": "Selected provinces",
+  "comparison.provinces": "Provinces",
+  "comparison.none": "none",
+  "comparison.period.all": "across all years",
+  "comparison.period.year": "in {year}",
+  "comparison.report.subtitle": "Reported fraud {period}",
+  "comparison.report.summary": "{place} recorded {cases} reported cases and {loss} in losses {period}.",
+  "comparison.report.change": "{province}, change {from} → {to}",
+  "comparison.report.map": "Map: {what}",
+  "comparison.report.mapChange": "change",
+
+
+  // -----------------------------------------------------------------
+  // 10) LEARN ABOUT FRAUD PAGE (info.html)
+  // -----------------------------------------------------------------
+  "info.pageTitle": "Canada Fraud Watch - Learn About Fraud",
+  "info.what.title": "What is Fraud?",
+  "info.what.text": "Fraud is the act of deception intended to result in financial or personal gain. It takes many forms and has become increasingly sophisticated over time, particularly in digital spaces. Anyone can be vulnerable to fraud, regardless of age, income, or experience.",
+  "info.canada.title": "Fraud in Canada",
+  "info.canada.text": "Fraud is significantly underreported in Canada, with online scams and identity theft accounting for the majority of reported cases and financial losses. Statistics Canada reports that the rate of fraud nearly doubled over the past decade, suggesting the true scale of fraud is likely much higher than reported figures indicate",
+  "info.types.title": "Common Fraud Types",
+  "info.types.text": "Here are a few common types of scams. You can view more types <a href=\"https://antifraudcentre-centreantifraude.ca/scams-fraudes/azindex-eng.htm\">here</a>.",
+  "info.slide.online.title": "Online Scams",
+  "info.slide.online.alt": "Illustration representing online scams",
+  "info.slide.identity.title": "Identity Theft",
+  "info.slide.identity.alt": "Illustration representing identity theft",
+  "info.slide.romance.title": "Romance Scams",
+  "info.slide.romance.alt": "Illustration representing romance scams",
+  "info.slide.tax.title": "Tax and Government Impersonation Fraud",
+  "info.slide.tax.alt": "Illustration representing tax and government impersonation fraud",
+  "info.slide.online.text": "Online scams use phishing emails, fake websites, text messages, and social media to impersonate legitimate organizations or individuals, tricking people into sending money or revealing personal and financial information.",
+  "info.slide.identity.text": "Identity theft occurs when criminals steal personal information such as Social Insurance Numbers or banking details and use it to open accounts, access credit, or commit fraud without the victim’s knowledge.",
+  "info.slide.romance.text": "Romance scams involve fraudsters forming fake online relationships through dating apps or social media, gradually building trust and emotional dependence before requesting money or financial assistance.",
+  "info.slide.tax.text": "In these scams, criminals pose as the Canada Revenue Agency or other government agencies, often using threats of legal action or urgent payment demands to coerce victims into sending money or sharing sensitive information.",
+  "info.signs.title": "Common Warning Signs",
+  "info.signs.text": "Many fraud schemes share common warning signs that can help Canadians identify scams before financial harm occurs. <br><br><b>Scams often involve someone who:</b>",
+  "info.signs.list": "<li>Demands immediate payment.</li> <li>Uses threatening or urgent language.</li> <li>Asks for secrecy or confidentiality.</li> <li>Offers deals that seem too good to be true.</li> <li>Sends links and pressures you to click them.</li> <li>Requests personal or financial information.</li> <li>Asks for payment using cryptocurrency or gift cards.</li>",
+  "info.scroll1.alt": "Abstract concept image related to fraud",
+  "info.scroll2.alt": "Concept image showing online fraud themes",
+  "info.scroll3.alt": "Concept image illustrating scam activity",
+  "info.scroll4.alt": "Stylized illustration of cybercrime in Canada",
+  "info.tracks.title": "Who Tracks It",
+  "info.tracks.text": "Fraud in Canada is tracked through a coordinated network of reporting agencies, statistical organizations, and law enforcement bodies. Each plays a distinct role in identifying trends, investigating offenses, and protecting the public. <br><br><br><b>Canadian Anti-Fraud Centre (CAFC)</b><br> The Canadian Anti-Fraud Centre is the national hub for fraud reporting and prevention. It collects fraud reports from individuals and businesses across Canada, analyzes scam trends, and shares intelligence with law enforcement agencies. While the CAFC does not investigate crimes directly, it plays a critical role in identifying emerging fraud patterns and educating the public. <br><br><br><b>Statistics Canada</b><br> Statistics Canada compiles and analyzes police-reported fraud data to measure national trends, regional differences, and long-term changes in fraud activity. Its data is used to understand the scale of fraud in Canada, evaluate impacts over time, and inform public policy and research. <br><br><br><b>Canada Revenue Agency (CRA)</b><br> The Canada Revenue Agency tracks and investigates tax-related fraud, including tax evasion and government impersonation scams. The CRA also provides public guidance on recognizing fraudulent communications that falsely claim to represent government authorities. <br><br><br><b>Law Enforcement Agencies</b><br> Local, provincial, and federal police services investigate fraud cases that meet criminal thresholds. Police work with national agencies and prosecutors to pursue charges under the Criminal Code, particularly in cases involving large financial losses, organized crime, or multiple victims.",
+  "info.laws.title": "Fraud Laws",
+  "info.laws.text": "Fraud in Canada is primarily governed by <a href=\"https://laws-lois.justice.gc.ca/eng/acts/C-46/section-380.html\">Section 380</a> of the Criminal Code of Canada, which makes it a criminal offence to use deceit, falsehood, or other dishonest means to deprive someone of money, property, or services. The law applies even if the fraud does not fully succeed, as creating a risk of financial loss is sufficient for an offence to occur. <br><br>Section 380 is intentionally broad, allowing it to cover both traditional forms of fraud and modern digital schemes. This includes online scams, identity theft, investment fraud, and impersonation scams involving government agencies or financial institutions. The focus of the law is on intent to deceive, rather than the method used.",
+  "info.punish.title": "Punishments",
+  "info.punish.text": "Penalties for fraud depend on the severity of the offence. Minor fraud may result in fines, probation, or restitution, while large-scale or high-value fraud can lead to lengthy prison sentences. Fraud involving significant financial loss or breach of trust carries the most severe penalties. <br><br><b>What Canadian Courts Consider:</b>",
+  "info.punish.factors": "<li>The amount of money involved.</li> <li>The number of victims.</li> <li>Whether the fraud was planned or sophisticated.</li> <li>Abuse of trust or authority.</li> <li>The financial and emotional impact on victims.</li>",
+  "info.punish.sentencesTitle": "<br><br><b>Common Sentences for Fraud in Canada:</b>",
+  "info.punish.sentences": "<li>Fines or probation for minor fraud offences.</li> <li>Restitution orders requiring offenders to repay victims.</li> <li>Conditional sentences or jail time for more serious or repeated fraud.</li> <li>Prison sentences of several years for large-scale or highly planned fraud.</li> <li>Mandatory minimum sentence of 2 years imprisonment for fraud over $1 million.</li>",
+  "info.report.title": "Reporting & Prevention",
+  "info.report.text": "Recognizing scam warning signs and reporting suspected fraud helps protect individuals and supports national efforts to track and prevent fraud. Canadians are encouraged to report fraud to the <a href=\"https://antifraudcentre-centreantifraude.ca\">Canadian Anti-Fraud Centre</a> and remain informed about evolving scam tactics. <br><br><b>Why Reporting Matters</b><br> Because fraud is significantly underreported, tracking systems are essential for identifying trends, allocating enforcement resources, and preventing future harm. Accurate reporting helps authorities detect widespread scams, warn the public, and improve fraud prevention efforts nationwide. <br><br><br>",
+  "info.report.victim": "If you are a victim of Fraud please visit <a href=\"https://antifraudcentre-centreantifraude.ca/scams-fraudes/victim-victime-eng.htm\">CAFC's Website</a> for next steps.",
+
+  "footer.gov": "Government of Canada",
+  "footer.govUrl": "https://laws-lois.justice.gc.ca/eng/acts/C-46/section-380.html",
+  "footer.cafc": "Canadian Anti-Fraud Centre (CAFC)",
+  "footer.cafcUrl": "https://antifraudcentre-centreantifraude.ca/index-eng.htm",
+  "footer.statcan": "Statistics Canada",
+  "footer.statcanUrl": "https://www.statcan.gc.ca/",
+  "footer.cra": "Canada Revenue Agency (CRA)",
+  "footer.craUrl": "https://www.canada.ca/en/revenue-agency/campaigns/fraud-scams.html?utm_source=chatgpt.com",
+  "footer.imagesBy": "Images by",
+  "footer.from": "from",
+});
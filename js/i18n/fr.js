@@ -0,0 +1,549 @@
+// -------------------------------------------------------------------
+// MESSAGES EN FRANÇAIS
+// Same keys as js/i18n/en.js; anything missing here falls back to the
+// English catalogue.
+// -------------------------------------------------------------------
+I18n.addMessages("fr", {
+
+  // -----------------------------------------------------------------
+  // 1) SHARED (js/data.js, js/data-quality.js)
+  // -----------------------------------------------------------------
+  "source.name": "Données de signalement du Centre antifraude du Canada",
+
+  "metric.cases": "Cas",
+  "metric.loss": "Pertes",
+  "norm.total": "Total",
+  "norm.total.suffix": "",
+  "norm.per100k": "Pour 100 000 habitants",
+  "norm.per100k.suffix": " pour 100 000 habitants",
+  "norm.perCase": "Pertes par cas",
+  "norm.perCase.suffix": " par cas",
+  "norm.perVictim": "Pertes par victime",
+  "norm.perVictim.suffix": " par victime",
+
+  "quality.dataset.records": "Signalements individuels",
+  "quality.dataset.aggregate": "Fichier agrégé des tendances",
+  "quality.reason.date": "Date manquante ou invalide",
+  "quality.reason.region": "Région hors du Canada ou non précisée",
+  "quality.reason.lossNumeric": "Perte en dollars non numérique",
+  "quality.reason.lossNegative": "Perte en dollars négative",
+  "quality.reason.victimsNumeric": "Nombre de victimes non numérique",
+  "quality.reason.victimsNegative": "Nombre de victimes négatif",
+  "quality.reason.gender": "Genre manquant",
+  "quality.reason.ageRange": "Tranche d’âge manquante",
+  "quality.reason.cases": "Nombre de cas non numérique ou négatif",
+  "quality.reason.year": "Année manquante ou absente de meta.years",
+  "quality.blank": "(vide)",
+  "quality.corrected.region": "Région « {from} » renommée « {to} »",
+  "quality.corrected.apostrophe": "Tranche d’âge précédée d’une apostrophe parasite",
+  "quality.corrected.gender": "Genre vide enregistré comme « {value} »",
+  "quality.corrected.ageRange": "Tranche d’âge vide enregistrée comme « {value} »",
+  "quality.note.invalid": "meta.{key} contient {count} valeur(s) invalide(s) : {values}",
+  "quality.note.outside": "meta.regions contient des lieux hors du Canada ou non précisés : {values}",
+  "quality.note.apostrophes": "meta.ageRanges contient {count} valeur(s) précédée(s) d’une apostrophe parasite",
+  "quality.title": "Qualité des données",
+  "quality.excluded": "{count} ligne(s) exclue(s) des graphiques",
+  "quality.noneExcluded": "aucune ligne exclue",
+  "quality.used": "{kept} lignes utilisées sur {total} ({excluded} exclues).",
+  "quality.col.reason": "Motif d’exclusion",
+  "quality.col.rows": "Lignes",
+  "quality.col.examples": "Exemples de valeurs",
+  "quality.corrected": "Corrigé : {description} ({count} lignes)",
+
+
+  // -----------------------------------------------------------------
+  // 2) DATA VALUES (genders, categories, methods, ...)
+  // -----------------------------------------------------------------
+  "term.Male": "Homme",
+  "term.Female": "Femme",
+  "term.Other": "Autre",
+  "term.Others": "Autres",
+  "term.Unknown": "Inconnu",
+  "term.Not Available": "Non disponible",
+  "term.Prefer not to say": "Préfère ne pas répondre",
+
+  "term.Atlantic": "Atlantique",
+  "term.Central": "Centre",
+  "term.Prairies": "Prairies",
+  "term.West Coast": "Côte Ouest",
+  "term.Territories": "Territoires",
+
+  // Fraud categories and solicitation methods in the CAFC records
+  "term.Phishing": "Hameçonnage",
+  "term.Spear Phishing": "Harponnage",
+  "term.Identity Fraud": "Fraude d'identité",
+  "term.Identity Theft": "Vol d'identité",
+  "term.Extortion": "Extorsion",
+  "term.Investments": "Placements",
+  "term.Romance": "Arnaque amoureuse",
+  "term.Merchandise": "Marchandises",
+  "term.Counterfeit Merchandise": "Marchandises contrefaites",
+  "term.Service": "Services",
+  "term.Personal Info": "Renseignements personnels",
+  "term.Bank Investigator": "Faux enquêteur bancaire",
+  "term.Job": "Emploi",
+  "term.Prize": "Prix",
+  "term.Emergency": "Urgence",
+  "term.Vendor Fraud": "Fraude du fournisseur",
+  "term.Email": "Courriel",
+  "term.Phone": "Téléphone",
+  "term.Direct call": "Appel direct",
+  "term.Text message": "Texto",
+  "term.Internet": "Internet",
+  "term.Internet-social network": "Internet – réseau social",
+  "term.Social media": "Médias sociaux",
+  "term.Mail": "Courrier",
+  "term.In person": "En personne",
+  "term.Door to door/in person": "Porte-à-porte / en personne",
+  "term.Video call": "Appel vidéo",
+  "term.Other/unknown": "Autre / inconnu",
+
+
+  // -----------------------------------------------------------------
+  // 3) ACCESSIBILITY + DATA TABLES (js/a11y.js)
+  // -----------------------------------------------------------------
+  "a11y.table": "Tableau",
+  "a11y.showTable": "Afficher le tableau de données : {title}",
+  "a11y.hideTable": "Masquer le tableau de données : {title}",
+  "a11y.noData": "Aucune donnée pour les filtres actuels.",
+  "a11y.na": "s.o.",
+  "a11y.yes": "Oui",
+  "a11y.no": "Non",
+
+  "column.province": "Province",
+  "column.cases": "Cas",
+  "column.loss": "Pertes ($)",
+  "column.victims": "Victimes",
+  "column.value": "Valeur",
+  "column.rank": "Rang",
+  "column.share": "Part",
+  "column.year": "Année",
+  "column.gender": "Genre",
+  "column.ageRange": "Tranche d’âge",
+  "column.period": "Période",
+  "column.start": "Début",
+  "column.category": "Catégorie",
+  "column.method": "Méthode",
+  "column.change": "Variation",
+  "column.change_pct": "Variation (%)",
+  "column.from_year": "Année de départ",
+  "column.from_value": "Valeur de départ",
+  "column.to_year": "Année d’arrivée",
+  "column.to_value": "Valeur d’arrivée",
+  "column.selected": "Sélectionnée",
+  "column.medianLoss": "Perte médiane par cas ($)",
+
+
+  // -----------------------------------------------------------------
+  // 4) CLASSIFICATION + MAP VIEW (js/classify.js, js/map-view.js)
+  // -----------------------------------------------------------------
+  "classify.quantile": "Quantiles",
+  "classify.equal": "Intervalles égaux",
+  "classify.jenks": "Seuils naturels (Jenks)",
+  "classify.stddev": "Écart type",
+  "classify.manual": "Seuils manuels",
+  "classify.diverging": "Intervalles égaux, centrés sur zéro",
+  "classify.classes": "Classes",
+  "classify.count": "Nombre de classes",
+  "classify.manualBreaks": "Seuils de classes manuels",
+  "classify.placeholder": "ex. 2,5 ; 100 ; 1 000",
+  "classify.bivariate.cell": "{count} région(s)",
+
+  "mapView.projection": "Projection cartographique",
+  "mapView.projection.transverseMercator": "Mercator transverse",
+  "mapView.projection.lambert": "Conique conforme de Lambert (StatCan)",
+  "mapView.projection.albers": "Albers à aires égales",
+  "mapView.inset": "Encadré de l’Atlantique",
+  "mapView.insetTitle": "Provinces de l’Atlantique (cliquer pour zoomer)",
+  "mapView.reset": "Réinitialiser le zoom",
+
+
+  // -----------------------------------------------------------------
+  // 5) EXPORT + REPORT (js/export.js, js/report.js)
+  // -----------------------------------------------------------------
+  "export.label": "Exporter",
+  "export.group": "Exporter : {title}",
+  "export.download": "Télécharger {title} en {format}",
+  "export.csvSource": "Source : {name}, {url} ({file})",
+  "export.csvFilters": "Filtres : {filters}",
+  "export.csvNoFilters": "aucun",
+  "export.csvExported": "Exporté : {date}",
+
+  "report.print": "Imprimer",
+  "report.close": "Fermer",
+  "report.cases": "Cas",
+  "report.lossDollars": "Pertes ($)",
+  "report.trendLabel": "Cas signalés et pertes par année",
+  "report.filters": "Filtres : {filters}",
+  "report.filter": "{label} : {value}",
+  "report.source": "Source : {name} ({url}). Les chiffres ne portent que sur les cas signalés.",
+  "report.generated": "Produit le {date}.",
+  "report.sentence.fromNone": "{noun} : aucun en {fromYear}, {to} en {toYear}.",
+  "report.sentence.steady": "{noun} : stable de {fromYear} à {toYear}, à {to}.",
+  "report.sentence.rose": "{noun} : hausse de {pct} de {fromYear} à {toYear}.",
+  "report.sentence.fell": "{noun} : baisse de {pct} de {fromYear} à {toYear}.",
+  "report.sentence.peak": "{noun} : sommet en {year}, à {value}.",
+  "report.sentence.top": "{name} : {what} la plus signalée ({share} des cas).",
+  "report.noun.cases": "Cas signalés",
+  "report.noun.losses": "Pertes",
+  "report.what.category": "catégorie de fraude",
+  "report.what.method": "méthode de sollicitation",
+  "report.figure.cases": "Cas signalés",
+  "report.figure.loss": "Pertes estimées",
+  "report.figure.victims": "Victimes",
+  "report.col.cases": "Cas",
+  "report.col.loss": "Pertes",
+  "report.trendByYear": "Cas et pertes par année",
+  "report.generate": "Produire un rapport",
+  "report.profileTitle": "Profil de fraude : {name}",
+  "report.topCategories": "Principales catégories de fraude",
+  "report.topMethods": "Principales méthodes de sollicitation",
+
+
+  // -----------------------------------------------------------------
+  // 6) EVERY PAGE (navbar, footer, shared words, date patterns)
+  // -----------------------------------------------------------------
+  "common.brand": "Veille Fraude Canada",
+  "common.labelValue": "{label} : {value}",
+  "common.na": "s.o.",
+  "common.share": "Part",
+  "common.population": "Population",
+  "common.victims": "Victimes",
+  "common.divergingKey": "rouge = hausse, bleu = baisse",
+  "change.noValue": "Aucune valeur pour {from} ou {to}",
+  "change.increase": "Hausse",
+  "change.decrease": "Baisse",
+  "change.none": "Aucune variation",
+  "change.noReports": "aucun signalement en {year}",
+
+  "lang.switch": "Langue",
+  "theme.label": "Thème de couleurs",
+  "theme.default": "Par défaut (sombre)",
+  "theme.cvd": "Adapté au daltonisme",
+  "theme.contrast": "Contraste élevé",
+  "theme.light": "Clair",
+  "nav.toggle": "Afficher ou masquer la navigation",
+  "nav.personal": "Risque personnel",
+  "nav.overview": "Vue d’ensemble",
+  "nav.comparison": "Côte à côte",
+  "nav.info": "Comprendre la fraude",
+
+  "footer.credits": "Crédits",
+  "footer.design": "Conception et développement :",
+  "footer.course": "Tableau de bord réalisé pour le cours GEOG 575 de l’Université du Wisconsin à Madison, automne 2025.",
+  "footer.sources": "Sources des données",
+  "footer.cafcData": "Données de signalement du Centre",
+  "footer.boundaries": "Statistique Canada : Recensement de 2021 – Fichiers des limites",
+  "footer.notes": "Remarques",
+  "footer.note": "Les chiffres ne portent que sur les cas signalés et ne tiennent pas compte des fraudes non signalées.",
+  "footer.cafcDataUrl": "https://ouvert.canada.ca/data/fr/dataset/6a09c998-cddb-4a22-beff-4dca67ab892f/resource/43c67af5-e598-4a9b-a484-fe1cb5d775b5",
+  "footer.boundariesUrl": "https://www12.statcan.gc.ca/census-recensement/2021/geo/sip-pis/boundary-limites/index2021-fra.cfm?year=21",
+
+  "filter.year": "Année",
+  "filter.gender": "Genre",
+  "filter.ageRange": "Tranche d’âge",
+  "filter.metric": "Mesure",
+  "filter.change": "Variation",
+  "filter.map": "Carte",
+  "filter.ranking": "Classement",
+  "filter.province": "Province",
+
+  // d3.timeFormat patterns (js/i18n.js timeFormat)
+  "date.long": "%-d %B %Y",
+  "date.day": "%-d %b %Y",
+  "date.dayShort": "%-d %b",
+  "date.month": "%b %Y",
+  "date.monthLong": "%B %Y",
+
+
+  // -----------------------------------------------------------------
+  // 7) THE BIG PICTURE (overview.html, js/overview.js)
+  // -----------------------------------------------------------------
+  "overview.pageTitle": "Veille Fraude Canada - Vue d’ensemble",
+  "overview.heading": "La fraude à l’échelle nationale",
+  "overview.history": "Historique d’exploration",
+  "overview.undo": "Annuler",
+  "overview.redo": "Rétablir",
+  "overview.undoTitle": "Annuler (Ctrl+Z)",
+  "overview.redoTitle": "Rétablir (Ctrl+Maj+Z)",
+  "overview.normalisation": "Normalisation",
+  "overview.btnCases": "Cas",
+  "overview.btnLoss": "Pertes ($)",
+  "overview.mapMode": "Carte",
+  "overview.mode.magnitude": "Ampleur",
+  "overview.mode.change": "Variation entre deux années",
+  "overview.mode.symbols": "Cercles : cas et pertes",
+  "overview.mode.bivariate": "Bivariée : cas et pertes",
+  "overview.fromYear": "Année de départ",
+  "overview.toYear": "Année d’arrivée",
+  "overview.changeMeasure": "Mesure de la variation",
+  "overview.percentChange": "Variation en pourcentage",
+  "overview.absoluteChange": "Variation absolue",
+  "overview.playback": "Lecture par année",
+  "overview.previousYear": "Année précédente",
+  "overview.nextYear": "Année suivante",
+  "overview.play": "Lecture",
+  "overview.pause": "Pause",
+  "overview.mapLabel": "Carte du Canada par province. Utilisez les flèches pour passer d’une province à l’autre et Entrée pour zoomer.",
+  "overview.rankBy": "Classer les régions par",
+  "overview.byVolume": "Par volume",
+  "overview.byGrowth": "Par croissance",
+  "overview.growth": "Croissance {from} → {to}",
+  "overview.barLabel": "Diagramme à barres des principales régions",
+  "overview.trendLabel": "Évolution dans le temps. Entrée sur une année la sélectionne.",
+  "overview.genderLabel": "Répartition par genre. Entrée sur une part filtre selon ce genre.",
+  "overview.ageLabel": "Répartition par tranche d’âge. Entrée sur une part filtre selon cette tranche d’âge.",
+  "overview.pyramidLabel": "Victimes selon l’âge et le genre. Entrée sur une barre filtre selon ce genre et cette tranche d’âge.",
+  "overview.pyramidProvince": "Province de la pyramide",
+  "overview.h.gender": "Répartition par genre",
+  "overview.h.age": "Répartition par tranche d’âge",
+  "overview.btn.allYears": "Toutes les années",
+  "overview.btn.allGenders": "Tous les genres",
+  "overview.btn.allAges": "Tous les âges",
+
+  "overview.panel.map": "Carte nationale de la fraude",
+  "overview.panel.bar": "Principales régions",
+  "overview.panel.trend": "Évolution dans le temps",
+  "overview.panel.gender": "Répartition par genre",
+  "overview.panel.age": "Répartition par tranche d’âge",
+  "overview.panel.pyramid": "Victimes selon l’âge et le genre",
+
+  "overview.allYears": "Toutes les années",
+  "overview.allGenders": "Tous les genres",
+  "overview.allAges": "Tous les âges",
+  "overview.allAgeRanges": "Toutes les tranches d’âge",
+  "overview.allCanada": "Ensemble du Canada",
+  "overview.notInFile": "{label} (absent du fichier de données)",
+  "overview.rawTotals": "Totaux bruts",
+  "overview.subtitle.gender": "Genre : {gender}",
+  "overview.subtitle.age": "Âge : {age}",
+  "overview.subtitle.year": "Année : {year}",
+  "overview.subtitle.change": "Variation {from} → {to} ({measure})",
+  "overview.measure.pct": "en pourcentage",
+  "overview.measure.abs": "absolue",
+  "overview.changeIn": "Variation – {metric}, {from} → {to}",
+  "overview.rank": "Rang {rank}",
+  "overview.symbols.legend": "Taille : {size} · couleur : {colour}",
+  "overview.bivariate.legend": "{cases} et {loss}",
+  "overview.bivariate.method": "Terciles (3 × 3)",
+  "overview.bivariate.cell": "cas : {cases} · pertes : {loss}",
+  "overview.level.low": "faible",
+  "overview.level.medium": "moyen",
+  "overview.level.high": "élevé",
+  "overview.pyramid.shareOfAge": "Part des {age} ans",
+  "overview.pyramid.others": "Autres genres (échelle propre)",
+  "overview.warning": "<strong>Vérification des données :</strong> {count} sous-total(aux) du fichier source ne correspondent pas à la somme de leurs lignes de détail. Les totaux affichés utilisent les sous-totaux publiés.",
+  "overview.warning.example": "{key} : la ventilation par {over} totalise {detail}, mais le sous-total est de {subtotal} ({metric})",
+  "overview.warning.over.gender": "genre",
+  "overview.warning.over.ageRange": "âge",
+  "overview.warning.over.year": "année",
+
+
+  // -----------------------------------------------------------------
+  // 8) PERSONAL RISK PAGE (index.html, js/main.js)
+  // -----------------------------------------------------------------
+  "personal.pageTitle": "Veille Fraude Canada - Risque personnel",
+  "personal.intro": "Ce texto étrange. L'appel automatisé auquel vous avez failli répondre. Le courriel qui semblait légitime. La fraude est devenue une expérience commune au Canada, qui touche tout le monde, des étudiants aux aînés.",
+  "personal.introImage": "expérience personnelle de la fraude",
+  "personal.bridge": "Mais <strong>le risque vous concerne-t-il de près?</strong> Nous avons conçu cet outil interactif pour transformer des chiffres abstraits en un portrait personnel. Voyez les données <strong>de votre point de vue :</strong>",
+  "personal.picker.affects": "Voici comment la fraude touche",
+  "personal.picker.aged": "– âge :",
+  "personal.picker.in": "– région :",
+  "personal.dateFrom": "Du",
+  "personal.dateTo": "au",
+  "personal.datePresets": "Périodes prédéfinies",
+  "personal.mapMetric": "Mesure de la carte",
+  "personal.mapLabel": "Carte du Canada par province. Utilisez les flèches pour passer d'une province à l'autre et Entrée pour filtrer sur l'une d'elles.",
+  "personal.loading": "Chargement des données…",
+  "personal.h.method": "Comment vous joignent-ils?",
+  "personal.methodIntro": "Les fraudeurs s'adaptent à vos habitudes de communication : téléphone, texto, courriel, applications sociales ou plateformes en ligne.",
+  "personal.methodMetric": "Mesure du graphique des méthodes de sollicitation",
+  "personal.medianLoss": "Perte médiane",
+  "personal.h.category": "Quels types de fraude les gens subissent-ils?",
+  "personal.categoryMetric": "Mesure du graphique des catégories de fraude",
+  "personal.h.heatmap": "Quels canaux pour quelles arnaques?",
+  "personal.heatmapIntro": "Cas signalés pour chaque catégorie de fraude et méthode de sollicitation. Cliquez sur une cellule, une ligne ou une colonne pour filtrer le reste de la page.",
+  "personal.heatmapOrder": "Ordre de la carte de chaleur",
+  "personal.heatmapLabel": "Catégorie de fraude par méthode de sollicitation. Entrée sur une cellule filtre sur cette paire.",
+  "personal.sortTotal": "Trier par total",
+  "personal.sortName": "Trier par nom",
+  "personal.showingOnly": "Affichage limité à",
+  "personal.clear": "Effacer",
+  "personal.quote1": "<i>« Tout commence par un message qui semble venir de votre banque. Ou un appel qui paraît urgent. En une fraction de seconde, on vous demande de vérifier une transaction, de confirmer un colis ou d'aider un proche en détresse. Ces moments – déroutants, stressants et souvent inattendus – sont le point de départ de la fraude pour des milliers de Canadiens chaque année. »</i>",
+  "personal.h.trend": "Comment la fraude évolue-t-elle?",
+  "personal.trendIntro": "Évolution des cas signalés et des pertes financières pour le profil et la région choisis. La bande ombrée indique la période choisie plus haut.",
+  "personal.granularity": "Granularité de la tendance",
+  "personal.grain.year": "Année",
+  "personal.grain.quarter": "Trimestre",
+  "personal.grain.month": "Mois",
+  "personal.grain.week": "Semaine",
+  "personal.timelineLabel": "Frise de la période",
+  "personal.timelineHint": "Faites glisser sur la frise pour choisir une période.",
+  "personal.quote2": "<i>« La fraude n'est pas seulement un crime financier – c'est un enjeu social qui touche la confiance, la sécurité et la vie de tous les jours. En comprenant ces tendances et en reconnaissant leur présence dans nos communautés, chacun de nous contribue à la solution. »</i>",
+
+  "main.loadError": "Erreur de chargement des données. Consultez la console.",
+  "main.filter.all": "Tous",
+  "main.filter.none": "Aucun",
+  "main.filter.gender": "Genre",
+  "main.filter.gender.all": "tout le monde",
+  "main.filter.gender.none": "personne",
+  "main.filter.gender.count": "{count} genres",
+  "main.filter.age": "Âge",
+  "main.filter.age.all": "tout âge",
+  "main.filter.age.none": "aucun groupe d'âge",
+  "main.filter.age.count": "{count} groupes d'âge",
+  "main.filter.region": "Région",
+  "main.filter.region.all": "Canada",
+  "main.filter.region.none": "aucune région",
+  "main.filter.region.count": "{count} régions",
+  "main.age.youth": "Jeunes de moins de 30 ans",
+  "main.age.working": "Âge actif 30 à 59 ans",
+  "main.age.seniors": "Aînés 60 ans et plus",
+  "main.metric.cases": "Cas",
+  "main.metric.loss": "Pertes totales",
+  "main.metric.medianLoss": "Perte médiane par cas",
+  "main.metric.victims": "Victimes",
+  "main.map.legend.cases": "Cas signalés",
+  "main.map.legend.loss": "Pertes estimées",
+  "main.map.hint": "Cliquez pour filtrer · Maj+clic pour ajouter",
+  "main.map.noReports": "Aucun signalement",
+  "main.trend.quarter": "T{quarter} {year}",
+  "main.trend.week": "Semaine {week}, {year} ({from} – {to})",
+  "main.trend.cases": "Cas",
+  "main.trend.loss": "Pertes ($)",
+  "main.noMatch": "Aucun signalement ne correspond aux filtres",
+  "main.heatmap.cell": "<strong>{category}</strong> par <strong>{method}</strong>",
+  "main.heatmap.shareOf": "{share} de {name}",
+  "main.heatmap.total": "Total {count}",
+  "main.heatmap.via": "par {method}",
+  "main.date.lastDays": "{days} derniers jours",
+  "main.date.yearToDate": "Depuis le début de l'année",
+  "main.date.missing": "Indiquez une date de début et une date de fin. Affichage des 12 derniers mois de signalements.",
+  "main.date.invalid": "Cette date n'a pas pu être lue. Affichage des 12 derniers mois de signalements.",
+  "main.date.reversed": "La date de début est postérieure à la date de fin. Affichage des 12 derniers mois de signalements.",
+  "main.date.empty": "Aucun signalement dans cette période. Les données vont du {start} au {end}.",
+  "main.dateRange": "du {start} au {end}",
+  "main.debug": "Enregistrements filtrés : {count} / {total} au total.",
+  "main.chart.map": "Signalements par province",
+  "main.chart.method": "Méthodes de sollicitation",
+  "main.chart.category": "Catégories de fraude",
+  "main.chart.heatmap": "Catégorie de fraude par méthode de sollicitation",
+  "main.chart.trend": "Cas de fraude et pertes financières au fil du temps",
+  "main.export.dates": "Dates",
+  "main.export.category": "Catégorie de fraude",
+  "main.export.method": "Méthode de sollicitation",
+  "main.export.granularity": "Granularité",
+  "main.grain.year": "année",
+  "main.grain.quarter": "trimestre",
+  "main.grain.month": "mois",
+  "main.grain.week": "semaine",
+  "main.profile": "{gender}, âge : {age}, région : {region}",
+  "main.report.subtitle": "Fraude signalée {period}",
+  "main.report.summary": "Période {period} : {profile} – {cases} cas de fraude signalés et {loss} de pertes.",
+  "main.report.map.cases": "Carte : cas signalés par province",
+  "main.report.map.loss": "Carte : pertes estimées par province",
+  "main.report.trend.year": "Cas et pertes par année",
+  "main.report.trend.quarter": "Cas et pertes par trimestre",
+  "main.report.trend.month": "Cas et pertes par mois",
+  "main.report.trend.week": "Cas et pertes par semaine",
+  "main.report.topMonths": "Mois les plus signalés",
+  "main.report.month": "Mois",
+
+
+  // -----------------------------------------------------------------
+  // 9) SIDE-BY-SIDE PAGE (comparison.html, js/comparison.js)
+  // -----------------------------------------------------------------
+  "comparison.pageTitle": "Veille Fraude Canada - Côte à côte",
+  "comparison.heading": "Comparer les provinces côte à côte",
+  "comparison.mapLabel": "Carte du Canada par province. Utilisez les flèches pour passer d'une province à l'autre et Entrée pour en sélectionner une.",
+  "comparison.provincesTerritories": "Provinces / territoires",
+  "comparison.show": "Afficher",
+  "comparison.yearLabel": "Année :",
+  "comparison.allYears": "Toutes les années",
+  "comparison.mode.magnitude": "Ampleur",
+  "comparison.mode.change": "Variation entre deux années",
+  "comparison.all": "Toutes",
+  "comparison.clear": "Effacer",
+  "comparison.legend": "Légende",
+  "comparison.metric.cases": "Nombre de cas",
+  "comparison.metric.loss": "Pertes totales ($)",
+  "comparison.measure.pct": "%",
+  "comparison.measure.abs": "absolue",
+  "comparison.changeIn": "Variation – {metric} ({measure})",
+  "comparison.changeBetween": "Variation – {metric}, {from} → {to}",
+  "comparison.combined": "Ensemble",
+  "comparison.noneSelected": "Aucune province sélectionnée",
+  "comparison.pickHint": "Choisissez une ou plusieurs provinces ou un groupe prédéfini à comparer.",
+  "comparison.chartsFor": "Graphiques – {province}",
+  "comparison.chart.map": "Carte des provinces",
+  "comparison.chart.category": "Catégories de fraude et de cybercriminalité",
+  "comparison.chart.method": "Méthode de sollicitation",
+  "comparison.chart.age": "Groupe d'âge des victimes",
+  "comparison.chart.months": "Mois les plus signalés",
+  "comparison.sliceCases": "{count} cas ({percent})",
+  "comparison.totalLoss": "Pertes totales",
+  "comparison.selected": "Provinces sélectionnées",
+  "comparison.provinces": "Provinces",
+  "comparison.none": "aucune",
+  "comparison.period.all": "toutes années confondues",
+  "comparison.period.year": "en {year}",
+  "comparison.report.subtitle": "Fraude signalée {period}",
+  "comparison.report.summary": "{place} : {cases} cas signalés et {loss} de pertes {period}.",
+  "comparison.report.change": "{province}, variation {from} → {to}",
+  "comparison.report.map": "Carte : {what}",
+  "comparison.report.mapChange": "variation",
+
+
+  // -----------------------------------------------------------------
+  // 10) LEARN ABOUT FRAUD PAGE (info.html)
+  // -----------------------------------------------------------------
+  "info.pageTitle": "Veille Fraude Canada - Comprendre la fraude",
+  "info.what.title": "Qu'est-ce que la fraude?",
+  "info.what.text": "La fraude est un acte de tromperie visant un gain financier ou personnel. Elle prend de nombreuses formes et est devenue de plus en plus sophistiquée au fil du temps, surtout dans l'univers numérique. Tout le monde peut en être victime, peu importe l'âge, le revenu ou l'expérience.",
+  "info.canada.title": "La fraude au Canada",
+  "info.canada.text": "La fraude est largement sous-déclarée au Canada; les arnaques en ligne et le vol d'identité représentent la majorité des cas signalés et des pertes financières. Selon Statistique Canada, le taux de fraude a presque doublé au cours de la dernière décennie, ce qui laisse croire que l'ampleur réelle de la fraude est bien supérieure aux chiffres déclarés.",
+  "info.types.title": "Types de fraude courants",
+  "info.types.text": "Voici quelques types d'arnaques courants. D'autres types sont présentés <a href=\"https://antifraudcentre-centreantifraude.ca/scams-fraudes/azindex-fra.htm\">ici</a>.",
+  "info.slide.online.title": "Arnaques en ligne",
+  "info.slide.online.alt": "Illustration représentant les arnaques en ligne",
+  "info.slide.identity.title": "Vol d'identité",
+  "info.slide.identity.alt": "Illustration représentant le vol d'identité",
+  "info.slide.romance.title": "Arnaques amoureuses",
+  "info.slide.romance.alt": "Illustration représentant les arnaques amoureuses",
+  "info.slide.tax.title": "Fraude fiscale et usurpation d'identité du gouvernement",
+  "info.slide.tax.alt": "Illustration représentant la fraude fiscale et l'usurpation d'identité du gouvernement",
+  "info.slide.online.text": "Les arnaques en ligne passent par des courriels d'hameçonnage, de faux sites Web, des textos et les médias sociaux pour se faire passer pour des organisations ou des personnes légitimes et amener les gens à envoyer de l'argent ou à révéler des renseignements personnels et financiers.",
+  "info.slide.identity.text": "Il y a vol d'identité lorsque des criminels volent des renseignements personnels, comme un numéro d'assurance sociale ou des coordonnées bancaires, et s'en servent pour ouvrir des comptes, obtenir du crédit ou commettre une fraude à l'insu de la victime.",
+  "info.slide.romance.text": "Dans les arnaques amoureuses, des fraudeurs nouent de fausses relations en ligne au moyen d'applications de rencontre ou des médias sociaux, gagnent peu à peu la confiance et l'attachement de la victime, puis lui demandent de l'argent ou une aide financière.",
+  "info.slide.tax.text": "Dans ces arnaques, des criminels se font passer pour l'Agence du revenu du Canada ou d'autres organismes gouvernementaux et recourent souvent à des menaces de poursuites ou à des demandes de paiement urgentes pour forcer les victimes à envoyer de l'argent ou à communiquer des renseignements sensibles.",
+  "info.signs.title": "Signes avant-coureurs courants",
+  "info.signs.text": "De nombreuses fraudes présentent des signes avant-coureurs communs qui peuvent aider les Canadiens à repérer une arnaque avant de subir une perte financière. <br><br><b>Les arnaques font souvent intervenir quelqu'un qui :</b>",
+  "info.signs.list": "<li>Exige un paiement immédiat.</li> <li>Emploie un ton menaçant ou pressant.</li> <li>Demande le secret ou la confidentialité.</li> <li>Propose des offres trop belles pour être vraies.</li> <li>Envoie des liens et insiste pour que vous cliquiez dessus.</li> <li>Demande des renseignements personnels ou financiers.</li> <li>Demande un paiement en cryptomonnaie ou en cartes-cadeaux.</li>",
+  "info.scroll1.alt": "Image conceptuelle abstraite liée à la fraude",
+  "info.scroll2.alt": "Image conceptuelle sur la fraude en ligne",
+  "info.scroll3.alt": "Image conceptuelle illustrant une arnaque",
+  "info.scroll4.alt": "Illustration stylisée de la cybercriminalité au Canada",
+  "info.tracks.title": "Qui en assure le suivi",
+  "info.tracks.text": "Au Canada, la fraude est suivie par un réseau coordonné d'organismes de signalement, d'organismes statistiques et de services d'application de la loi. Chacun joue un rôle distinct pour repérer les tendances, enquêter sur les infractions et protéger le public. <br><br><br><b>Centre antifraude du Canada (CAFC)</b><br> Le Centre antifraude du Canada est la plaque tournante nationale du signalement et de la prévention de la fraude. Il recueille les signalements de particuliers et d'entreprises de partout au pays, analyse les tendances des arnaques et transmet des renseignements aux services de police. Sans enquêter lui-même sur les crimes, il joue un rôle essentiel pour repérer les nouveaux stratagèmes et sensibiliser le public. <br><br><br><b>Statistique Canada</b><br> Statistique Canada compile et analyse les données sur les fraudes déclarées par la police afin de mesurer les tendances nationales, les écarts régionaux et l'évolution à long terme. Ses données servent à comprendre l'ampleur de la fraude au Canada, à en évaluer les effets dans le temps et à éclairer les politiques publiques et la recherche. <br><br><br><b>Agence du revenu du Canada (ARC)</b><br> L'Agence du revenu du Canada suit et enquête sur les fraudes fiscales, y compris l'évasion fiscale et les arnaques d'usurpation d'identité du gouvernement. L'ARC publie aussi des conseils pour reconnaître les communications frauduleuses qui prétendent faussement venir des autorités. <br><br><br><b>Services de police</b><br> Les services de police municipaux, provinciaux et fédéral enquêtent sur les fraudes qui atteignent le seuil criminel. Ils collaborent avec les organismes nationaux et les procureurs pour porter des accusations en vertu du Code criminel, surtout lorsque les pertes sont importantes, que le crime organisé est en cause ou qu'il y a plusieurs victimes.",
+  "info.laws.title": "Lois sur la fraude",
+  "info.laws.text": "Au Canada, la fraude relève principalement de l'<a href=\"https://laws-lois.justice.gc.ca/fra/lois/C-46/section-380.html\">article 380</a> du Code criminel, qui fait une infraction criminelle du fait de priver quelqu'un d'argent, de biens ou de services par la supercherie, le mensonge ou un autre moyen dolosif. La loi s'applique même si la fraude n'aboutit pas entièrement : il suffit d'avoir créé un risque de perte financière. <br><br>L'article 380 est volontairement large, de façon à viser aussi bien les formes traditionnelles de fraude que les stratagèmes numériques modernes, dont les arnaques en ligne, le vol d'identité, la fraude en matière de placements et l'usurpation d'identité d'organismes gouvernementaux ou d'institutions financières. La loi s'attache à l'intention de tromper plutôt qu'au moyen utilisé.",
+  "info.punish.title": "Sanctions",
+  "info.punish.text": "Les peines dépendent de la gravité de l'infraction. Une fraude mineure peut entraîner une amende, une probation ou un dédommagement, tandis qu'une fraude de grande envergure ou portant sur des sommes élevées peut mener à de longues peines d'emprisonnement. Les fraudes qui causent des pertes importantes ou qui constituent un abus de confiance sont les plus sévèrement punies. <br><br><b>Ce dont tiennent compte les tribunaux canadiens :</b>",
+  "info.punish.factors": "<li>Le montant en cause.</li> <li>Le nombre de victimes.</li> <li>Le degré de planification ou de sophistication de la fraude.</li> <li>L'abus de confiance ou d'autorité.</li> <li>Les conséquences financières et émotionnelles pour les victimes.</li>",
+  "info.punish.sentencesTitle": "<br><br><b>Peines courantes pour fraude au Canada :</b>",
+  "info.punish.sentences": "<li>Amende ou probation pour les fraudes mineures.</li> <li>Ordonnance de dédommagement obligeant le contrevenant à rembourser les victimes.</li> <li>Peine avec sursis ou emprisonnement pour les fraudes plus graves ou répétées.</li> <li>Plusieurs années d'emprisonnement pour les fraudes de grande envergure ou très planifiées.</li> <li>Peine minimale obligatoire de 2 ans d'emprisonnement pour une fraude de plus de 1 million de dollars.</li>",
+  "info.report.title": "Signalement et prévention",
+  "info.report.text": "Reconnaître les signes d'une arnaque et signaler les fraudes soupçonnées protège les personnes et soutient les efforts nationaux de suivi et de prévention. Les Canadiens sont invités à signaler toute fraude au <a href=\"https://antifraudcentre-centreantifraude.ca/index-fra.htm\">Centre antifraude du Canada</a> et à se tenir au courant de l'évolution des stratagèmes. <br><br><b>Pourquoi signaler</b><br> Comme la fraude est largement sous-déclarée, les systèmes de suivi sont essentiels pour cerner les tendances, répartir les ressources d'application de la loi et prévenir d'autres préjudices. Des signalements exacts aident les autorités à détecter les arnaques répandues, à avertir le public et à améliorer la prévention partout au pays. <br><br><br>",
+  "info.report.victim": "Si vous êtes victime de fraude, consultez le <a href=\"https://antifraudcentre-centreantifraude.ca/scams-fraudes/victim-victime-fra.htm\">site Web du CAFC</a> pour connaître les prochaines étapes.",
+
+  "footer.gov": "Gouvernement du Canada",
+  "footer.govUrl": "https://laws-lois.justice.gc.ca/fra/lois/C-46/section-380.html",
+  "footer.cafc": "Centre antifraude du Canada (CAFC)",
+  "footer.cafcUrl": "https://antifraudcentre-centreantifraude.ca/index-fra.htm",
+  "footer.statcan": "Statistique Canada",
+  "footer.statcanUrl": "https://www.statcan.gc.ca/fr/debut",
+  "footer.cra": "Agence du revenu du Canada (ARC)",
+  "footer.craUrl": "https://www.canada.ca/fr/agence-revenu/campagnes/fraude-arnaques.html",
+  "footer.imagesBy": "Images de",
+  "footer.from": "sur",
+});
@@ -1,43 +1,58 @@
 // -------------------------------------------------------------------
-// 1) CONFIG
+// 1) GLOBALS
 // -------------------------------------------------------------------
-const DATA_FILE = "data/CanadianAnti-FraudCentreReportingData-EN-CA-only.json";
-const GEOJSON_FILE = "data/CanadaProvincesCartoBoundary_EPSG4326.geojson";
-
-// -------------------------------------------------------------------
-// 2) GLOBALS
-// -------------------------------------------------------------------
-const greenColor = "#1b9e77";
-const purpleColor = "#7570b3";
+// Data files and name canonicalisation live in js/data.js (FraudData);
+// colours come from the current theme (js/theme.js)
 
 let data = [];
-let genderSelect, ageSelect, regionSelect;
+// Multi-select filter chips: values on offer and values picked per
+// field. Everything picked means "no filter"; nothing picked matches
+// no records.
+const FILTER_FIELDS = {
+  gender: {
+    label: I18n.t("main.filter.gender"), param: "gender", all: I18n.t("main.filter.gender.all"),
+    none: I18n.t("main.filter.gender.none"), count: "main.filter.gender.count"
+  },
+  ageRange: {
+    label: I18n.t("main.filter.age"), param: "age", all: I18n.t("main.filter.age.all"),
+    none: I18n.t("main.filter.age.none"), count: "main.filter.age.count"
+  },
+  region: {
+    label: I18n.t("main.filter.region"), param: "region", all: I18n.t("main.filter.region.all"),
+    none: I18n.t("main.filter.region.none"), count: "main.filter.region.count"
+  },
+};
+const filterOptions = { gender: [], ageRange: [], region: [] };
+const filterSelection = { gender: [], ageRange: [], region: [] };
+
+// Age presets, by the lower bound of each range ("60 - 69" -> 60)
+const AGE_PRESETS = {
+  [I18n.t("main.age.youth")]: low => low < 30,
+  [I18n.t("main.age.working")]: low => low >= 30 && low < 60,
+  [I18n.t("main.age.seniors")]: low => low >= 60,
+};
 
 let dateStartInput, dateEndInput;
 let defaultMaxDate = null;
 let defaultOneYearAgo = null;
 
-// Canadian provinces + territories
-const VALID_REGIONS = new Set([
-  "Alberta",
-  "British Columbia",
-  "Manitoba",
-  "New Brunswick",
-  "Newfoundland And Labrador",
-  "North West Territories",
-  "Nova Scotia",
-  "Nunavut",
-  "Ontario",
-  "Prince Edward Island",
-  "Quebec",
-  "Saskatchewan",
-  "Yukon",
-]);
+// Mini-map metric ("cases" | "loss")
+let mapMetricSelect;
+let mapMetric = "cases";
+
+// trend chart bucket size: "year" | "quarter" | "month" | "week"
+let trendGranularity = "year";
+let trendGranularityInputs;
+
+// true while controls are being set from the URL (no new history entry)
+let applyingUrlState = false;
 
 // MINI MAP globals
 let canadaGeoJson = null;
 let mapPathGenerator;
 let mapSvg;
+let mapView;                  // { zoomTo, reset, clear } (js/map-view.js)
+let mapViewOptions = MapView.defaultOptions();  // projection + Atlantic inset
 
 // PIE CHART globals
 const PIE_VIEWBOX_SIZE = 400;
@@ -46,6 +61,29 @@ const PIE_RADIUS = PIE_VIEWBOX_SIZE / 2 - 100;
 // inner radius for circular barplot
 const CIRC_INNER_RADIUS = 50;
 
+// What the circular bar plots measure. value() runs on the records of
+// one bar, so "Others" is recomputed from its records (a median of
+// medians would be wrong); only additive metrics show a share.
+const PIE_METRICS = {
+  cases: { label: I18n.t("main.metric.cases"), value: v => v.length, format: d3.format(",d"), additive: true },
+  loss: { label: I18n.t("main.metric.loss"), value: v => d3.sum(v, d => d.dollarLoss), format: d3.format("$,.0f"), additive: true },
+  medianLoss: { label: I18n.t("main.metric.medianLoss"), value: v => d3.median(v, d => d.dollarLoss) || 0, format: d3.format("$,.0f"), additive: false },
+  victims: { label: I18n.t("main.metric.victims"), value: v => d3.sum(v, d => d.victimCount), format: d3.format(",d"), additive: true },
+};
+
+// Metric per chart ("cases" | "loss" | "medianLoss" | "victims")
+const pieMetric = { method: "cases", category: "cases" };
+
+// HEATMAP globals: category x method cross-tab. A clicked cell, row or
+// column filters every other chart (null = not filtered on that field).
+const HEATMAP_WIDTH = 700;
+const heatmapMargin = { top: 120, right: 70, bottom: 40, left: 190 };
+const crossFilter = { category: null, method: null };
+let heatmapSort = "total";    // "total" | "name"
+
+// Rows behind each chart as last drawn, for CSV export (js/export.js)
+const exportRows = {};
+
 const pie = d3.pie().value(d => d.value);
 const arc = d3.arc().innerRadius(0).outerRadius(PIE_RADIUS);
 
@@ -92,29 +130,18 @@ const lossPath = trendG.append("path")
 
 
 // -------------------------------------------------------------------
-// 3) LOAD ALL DATA (PROMISES)
+// 2) LOAD ALL DATA (SHARED DATA LAYER)
 // -------------------------------------------------------------------
 Promise.all([
-  d3.json(DATA_FILE),
-  d3.json(GEOJSON_FILE)
-]).then(([raw, geoData]) => {
+  FraudData.loadRecords(),
+  FraudData.loadGeo()
+]).then(([records, geoData]) => {
 
   // Store GeoJSON globally
   canadaGeoJson = geoData;
 
-  if (!Array.isArray(raw)) throw new Error("JSON root is not an array");
-
-  data = raw.map(d => {
-    return {
-      ...d,
-      date: new Date(d.date),
-      region: d.region || "",
-      gender: d.gender || "",
-      ageRange: d.ageRange || "",
-      dollarLoss: +d.dollarLoss || 0,
-      victimCount: +d.victimCount || 0,
-    };
-  }).filter(d => d.date instanceof Date && !isNaN(d.date));
+  // Records arrive normalised: parsed dates, canonical names, Canada only
+  data = records;
 
   console.log("Loaded rows:", data.length);
 
@@ -122,25 +149,28 @@ Promise.all([
   defaultOneYearAgo = d3.timeYear.offset(defaultMaxDate, -1);
 
   initControls();
+  initHeatmapControls();
+  initExportMenus();
+  d3.select("#reportBtn").on("click", generateReport);
   initMap();
-  updateControls();
+  initTimeline();
+  initDatePresets();
+  restoreUrlState();
+
+  DataQuality.render("#dataQuality", FraudData.getQualityReports());
 
 }).catch(err => {
   console.error("Error loading data:", err);
-  d3.select("#summary-text").text("Error loading data. Check console.");
+  d3.select("#summary-text").text(I18n.t("main.loadError"));
 });
 
 
 // -------------------------------------------------------------------
-// 4) CONTROLS & FILTER HELPERS
+// 3) CONTROLS & FILTER HELPERS
 // -------------------------------------------------------------------
 
 // Initialize the dropdown controls
 function initControls() {
-  genderSelect = d3.select("#genderSelect");
-  ageSelect = d3.select("#ageSelect");
-  regionSelect = d3.select("#regionSelect");
-
   // date range inputs
   dateStartInput = d3.select("#dateStart");
   dateEndInput = d3.select("#dateEnd");
@@ -152,6 +182,13 @@ function initControls() {
     updateControls();
   });
 
+  // map projection, Atlantic inset and zoom reset (js/map-view.js)
+  MapView.renderControls("#mapViewControls", mapViewOptions, () => {
+    mapView.clear();
+    initMap();
+    updateMap();
+  }, () => mapView.reset());
+
   // initialize date inputs to default 12-month range
   const fmtInput = d3.timeFormat("%Y-%m-%d");
   if (defaultOneYearAgo && defaultMaxDate) {
@@ -159,62 +196,190 @@ function initControls() {
     dateEndInput.property("value", fmtInput(defaultMaxDate));
   }
 
+  // circular bar plot metrics (one toggle per chart)
+  Object.keys(pieMetric).forEach(chart => {
+    d3.selectAll(`input[name=${chart}Metric]`).on("change", function () {
+      pieMetric[chart] = this.value;
+      updateControls();
+    });
+  });
+
+  // trend chart granularity (year | quarter | month | week)
+  trendGranularityInputs = d3.selectAll("input[name=trendGranularity]");
+  trendGranularityInputs.on("change", function () {
+    trendGranularity = this.value;
+    updateControls();
+  });
+
   // when dates change, recompute summary and charts
   dateStartInput.on("change", updateControls);
   dateEndInput.on("change", updateControls);
-
-  // map metric selector (cases | loss) – duplicate handler retained for now
-  mapMetricSelect = d3.select("#mapMetricSelect");
-  mapMetricSelect.on("change", () => {
-    mapMetric = mapMetricSelect.node().value;
-    updateControls();
+  // Filter chips: values that occur in the records (regions from
+  // PROVINCE_NAMES, sorted by their displayed name), all picked to begin with
+  const reported = new Set(data.map(d => d.region));
+  filterOptions.gender = Array.from(new Set(data.map(d => d.gender))).sort();
+  filterOptions.ageRange = Array.from(new Set(data.map(d => d.ageRange))).sort(FraudData.compareAgeRanges);
+  filterOptions.region = FraudData.PROVINCE_NAMES.filter(r => reported.has(r)).sort(I18n.compareProvinces);
+
+  Object.keys(FILTER_FIELDS).forEach(field => {
+    filterSelection[field] = filterOptions[field].slice();
+    initFilterChips(field);
   });
+}
 
-  const genders = Array.from(new Set(data.map(d => d.gender))).filter(Boolean).sort();
-  const ages = Array.from(new Set(data.map(d => d.ageRange))).filter(Boolean).sort();
+// Builds one chip group into #<field>Filter: All / None (+ presets), then
+// one toggle chip per value
+function initFilterChips(field) {
+  const container = d3.select(`#${field}Filter`);
+  container.selectAll("*").remove();
 
-  // Regions: keep only valid Canadian regions
-  const regions = Array.from(
-    new Set(
-      data
-        .map(d => (d.region || "").trim())
-        .filter(r => r && VALID_REGIONS.has(r))
-    )
-  ).sort();
-
-  function fillSelect(sel, values) {
-    sel.selectAll("*").remove();
-    sel.append("option").attr("value", "all").text("All");
-    values.forEach(v => {
-      sel.append("option")
-        .attr("value", v)
-        .text(v);
+  container.append("div")
+    .attr("class", "filter-group-label")
+    .text(FILTER_FIELDS[field].label);
+
+  const buttons = container.append("div")
+    .attr("class", "d-flex flex-wrap gap-1 mb-1");
+
+  const presets = [[I18n.t("main.filter.all"), () => filterOptions[field]], [I18n.t("main.filter.none"), () => []]];
+  if (field === "ageRange") {
+    Object.entries(AGE_PRESETS).forEach(([name, test]) => {
+      presets.push([name, () => filterOptions.ageRange.filter(a => test(parseInt(a, 10)))]);
     });
   }
 
-  fillSelect(genderSelect, genders);
-  fillSelect(ageSelect, ages);
-  fillSelect(regionSelect, regions);
+  buttons.selectAll("button")
+    .data(presets)
+    .enter()
+    .append("button")
+    .attr("type", "button")
+    .attr("class", "btn btn-sm btn-outline-secondary filter-preset-btn")
+    .text(([name]) => name)
+    .on("click", (event, [, values]) => {
+      setFilterSelection(field, values());
+      updateControls();
+    });
 
-  genderSelect.on("change", updateControls);
-  ageSelect.on("change", updateControls);
-  regionSelect.on("change", updateControls);
+  const chips = container.append("div")
+    .attr("class", "d-flex flex-wrap gap-1")
+    .selectAll("span.filter-chip")
+    .data(filterOptions[field])
+    .enter()
+    .append("span")
+    .attr("class", "filter-chip");
+
+  chips.append("input")
+    .attr("type", "checkbox")
+    .attr("class", "btn-check")
+    .attr("id", (d, i) => `${field}Chip${i}`)
+    .attr("autocomplete", "off")
+    .attr("value", d => d)
+    .on("change", () => {
+      setFilterSelection(field,
+        container.selectAll("input:checked").nodes().map(n => n.value)
+      );
+      updateControls();
+    });
 
-  // Optional defaults:
-  // genderSelect.property("value", "Male");
-  // ageSelect.property("value", "40-49");
-  // regionSelect.property("value", "Ontario");
+  chips.append("label")
+    .attr("class", "btn btn-sm btn-outline-light")
+    .attr("for", (d, i) => `${field}Chip${i}`)
+    .text(d => filterValueLabel(field, d));
+}
+
+// Chip / summary text for a value: province and gender names follow
+// the language, age ranges are shown as they are
+function filterValueLabel(field, value) {
+  if (field === "region") return I18n.province(value);
+  if (field === "gender") return I18n.term(value);
+  return value;
+}
+
+// Keep the selection in option order and mirror it in the chips, the
+// preset buttons and the sentence above them
+function setFilterSelection(field, values) {
+  const selection = filterOptions[field].filter(v => values.includes(v));
+  filterSelection[field] = selection;
+
+  const container = d3.select(`#${field}Filter`);
+  container.selectAll("input.btn-check")
+    .property("checked", d => selection.includes(d));
+
+  // A preset button is active when the selection matches it exactly
+  container.selectAll(".filter-preset-btn")
+    .classed("active", ([, presetValues]) => {
+      const preset = presetValues();
+      return preset.length === selection.length && preset.every(v => selection.includes(v));
+    });
+
+  d3.select(`#${field}Summary`).text(filterSummary(field));
+}
+
+// "everyone", "Female", "Seniors 60+", "3 age ranges", ...
+function filterSummary(field) {
+  const selection = filterSelection[field];
+  const labels = FILTER_FIELDS[field];
+
+  if (selection.length === filterOptions[field].length) return labels.all;
+  if (!selection.length) return labels.none;
+
+  if (field === "ageRange") {
+    const preset = Object.entries(AGE_PRESETS).find(([, test]) => {
+      const values = filterOptions.ageRange.filter(a => test(parseInt(a, 10)));
+      return values.length === selection.length && values.every(v => selection.includes(v));
+    });
+    if (preset) return preset[0];
+  }
+
+  return selection.length <= 2
+    ? selection.map(v => filterValueLabel(field, v)).join(" & ")
+    : I18n.t(labels.count, { count: selection.length });
+}
+
+// Filter value for FraudData: "all" when every value is picked
+function selectionFilter(field) {
+  return filterSelection[field].length === filterOptions[field].length
+    ? "all"
+    : filterSelection[field];
+}
+
+// Filter chips + heatmap pick as FraudData filters (no date window)
+function demographicFilters() {
+  const { gender, age, region } = getFilters();
+  return {
+    gender,
+    ageRange: age,
+    province: region,
+    category: crossFilter.category,
+    method: crossFilter.method
+  };
 }
 
 // Helper: read current filters
 function getFilters() {
   return {
-    gender: genderSelect ? genderSelect.node().value : "all",
-    age: ageSelect ? ageSelect.node().value : "all",
-    region: regionSelect ? regionSelect.node().value : "all",
+    gender: selectionFilter("gender"),
+    age: selectionFilter("ageRange"),
+    region: selectionFilter("region"),
   };
 }
 
+// Map click: pick one region (clicking it again picks all); shift adds /
+// removes one, starting from none when everything is picked
+function toggleRegion(region, additive) {
+  if (!filterOptions.region.includes(region)) return;
+
+  const current = selectionFilter("region") === "all" ? [] : filterSelection.region;
+  let next;
+  if (additive) {
+    next = current.includes(region) ? current.filter(r => r !== region) : current.concat(region);
+  } else {
+    next = current.length === 1 && current[0] === region ? [] : [region];
+  }
+
+  setFilterSelection("region", next.length ? next : filterOptions.region);
+  updateControls();
+}
+
 // Setup a responsive pie SVG and return centered <g>
 function setupResponsivePie(selectorId) {
   return d3.select(selectorId)
@@ -228,7 +393,7 @@ function setupResponsivePie(selectorId) {
 
 
 // -------------------------------------------------------------------
-// 5) MINI MAP (INIT + UPDATE)
+// 4) MINI MAP (INIT + UPDATE)
 // -------------------------------------------------------------------
 function initMap() {
   // 1. Get dimensions
@@ -243,97 +408,165 @@ function initMap() {
     .attr("viewBox", `0 0 ${width} ${height}`)
     .attr("preserveAspectRatio", "xMidYMid meet");
 
-  // 3. Define Projection with fitSize
-  const projection = d3.geoTransverseMercator()
-    .rotate([96, 0])  // orient Canada upright
-    .fitSize([width, height], canadaGeoJson);
+  // 3. Projection picked in the map toolbar, fitted to the SVG
+  const projection = MapView.projection(mapViewOptions.projection, [width, height], canadaGeoJson);
 
   mapPathGenerator = d3.geoPath().projection(projection);
 
-  // 4. Clear & draw map paths
+  // 4. Clear & draw map paths (into the zoomable layer)
   mapSvg.selectAll("*").remove();
+  const palette = Theme.palette();
 
-  mapSvg.selectAll("path")
+  MapView.layer(mapSvg).selectAll("path")
     .data(canadaGeoJson.features)
     .enter()
     .append("path")
     .attr("d", mapPathGenerator)
-    .attr("stroke", "#454545")
+    .attr("stroke", palette.border)
     .attr("stroke-width", 0.5)
-    .attr("fill", "#555");
+    .attr("fill", palette.empty)
+    .attr("class", "mini-map-province")
+    .call(MapView.clickOrZoom, {
+      click: (event, d) => toggleRegion(d.properties.PRENAME, event.shiftKey),
+      zoom: (event, d) => mapView.zoomTo(d)
+    })
+    .on("mousemove", (event, d) => showMapTooltip(event, d.properties.PRENAME))
+    .on("mouseleave", () => d3.select("#tooltip").style("display", "none"));
 
-  // 5. Province abbreviations
-  mapSvg.selectAll("text.region-label")
+  // 5. Province abbreviations (placed and scaled by MapView)
+  MapView.labelLayer(mapSvg).selectAll("text.region-label")
     .data(canadaGeoJson.features)
     .enter()
     .append("text")
     .attr("class", "region-label")
-    .text(d => d.properties.PREABBR)
-    .attr("transform", d => {
-      const [x, y] = mapPathGenerator.centroid(d);
-      return `translate(${x}, ${y})`;
-    })
+    .text(d => I18n.provinceAbbr(d.properties.PRENAME))
     .attr("text-anchor", "middle")
     .attr("alignment-baseline", "middle")
     .style("font-size", "0.5em")
-    .style("fill", "white")
+    .style("fill", palette.text)
     .style("pointer-events", "none")
-    .style("text-shadow", "0px 0px 2px #000");
+    .style("text-shadow", `0px 0px 2px ${palette.halo}`);
+
+  // 6. Zoom / pan (double-click zooms to a province) + optional Atlantic inset
+  mapView = MapView.attach(mapSvg, {
+    width,
+    height,
+    path: mapPathGenerator,
+    geojson: canadaGeoJson,
+    inset: mapViewOptions.inset
+  });
 }
 
+// Cases / loss per province for the gender, age, heatmap and date filters
+// (not the region filter, so unselected provinces still have values)
+let mapTotals = new Map();
+
 function updateMap() {
   if (!canadaGeoJson) return;
 
-  const filters = getFilters();
-  const selectedRegion = filters.region;
+  const { gender, age } = getFilters();
+  const { start, end } = getDateRange();
+  mapTotals = FraudData.rollupRecords(
+    data,
+    { gender, ageRange: age, category: crossFilter.category, method: crossFilter.method, start, end },
+    d => d.region
+  );
+
+  exportRows.map = canadaGeoJson.features.map(f => {
+    const totals = mapTotals.get(f.properties.PRENAME) || { cases: 0, loss: 0 };
+    return { province: f.properties.PRENAME, cases: totals.cases, loss: totals.loss };
+  });
+
+  // Choropleth of the metric picked in #mapMetricSelect
+  const value = name => (mapTotals.get(name) || { cases: 0, loss: 0 })[mapMetric];
+  const maxValue = d3.max(mapTotals.values(), d => d[mapMetric]) || 1;
+  const color = d3.scaleSequential()
+    .domain([0, maxValue])
+    .interpolator(t => Theme.ramp(mapMetric)(0.15 + 0.85 * t));
 
-  const baseColor = "#555";
+  // Record regions are canonicalised to the boundary file's PRENAME
+  const regionFilter = selectionFilter("region");
+  const isSelected = name => regionFilter !== "all" && regionFilter.includes(name);
 
-  mapSvg.selectAll("path")
+  mapSvg.selectAll("g.map-layer path")
+    .classed("selected", d => isSelected(d.properties.PRENAME))
     .transition().duration(200)
-    .attr("fill", d => {
-      let featureName = d.properties.PRENAME;
-
-      if (featureName.toLowerCase() === "newfoundland and labrador") {
-        featureName = "Newfoundland And Labrador";
-      }
-
-      if (featureName === "Northwest Territories") {
-        featureName = "North West Territories";
-      }
-
-      if (selectedRegion === "all") {
-        return greenColor;
-      } else {
-        return featureName === selectedRegion ? greenColor : baseColor;
-      }
+    .attr("fill", d => value(d.properties.PRENAME) > 0 ? color(value(d.properties.PRENAME)) : Theme.palette().empty)
+    .attr("fill-opacity", d => regionFilter === "all" || isSelected(d.properties.PRENAME) ? 1 : 0.4);
+
+  // Selected provinces on top so their outline is not hidden
+  mapSvg.selectAll("g.map-layer path.selected").raise();
+
+  // Keyboard: Enter / Space filters like a click (shift adds)
+  mapSvg.selectAll("g.map-layer path")
+    .call(A11y.focusable, {
+      key: d => d.properties.PRENAME,
+      label: d => mapTooltipHtml(d.properties.PRENAME),
+      onSelect: (event, d) => toggleRegion(d.properties.PRENAME, event.shiftKey),
+      selected: d => isSelected(d.properties.PRENAME)
     });
+
+  // Legend: 0 - max ramp for the metric
+  const fmt = mapMetric === "cases" ? d3.format(",d") : d3.format("$,.0f");
+  const legend = d3.select("#miniMapLegend");
+  legend.select(".mini-map-legend-label")
+    .text(I18n.t(mapMetric === "cases" ? "main.map.legend.cases" : "main.map.legend.loss"));
+  legend.select(".mini-map-legend-ramp")
+    .style("background", `linear-gradient(to right, ${d3.range(0, 1.01, 0.25).map(t => color(t * maxValue)).join(", ")})`);
+  legend.select(".mini-map-legend-min").text(fmt(0));
+  legend.select(".mini-map-legend-max").text(fmt(maxValue));
+}
+
+function mapTooltipHtml(name) {
+  const totals = mapTotals.get(name) || { cases: 0, loss: 0 };
+  const hint = filterOptions.region.includes(name)
+    ? I18n.t("main.map.hint")
+    : I18n.t("main.map.noReports");
+
+  return `<strong>${I18n.province(name)}</strong><br>` +
+    `${I18n.labelled(I18n.t("metric.cases"), d3.format(",d")(totals.cases))}<br>` +
+    `${I18n.labelled(I18n.t("metric.loss"), d3.format("$,.0f")(totals.loss))}<br>` +
+    `<span class="small text-muted">${hint}</span>`;
+}
+
+function showMapTooltip(event, name) {
+  d3.select("#tooltip")
+    .html(mapTooltipHtml(name))
+    .style("left", (event.pageX + 10) + "px")
+    .style("top", (event.pageY + 10) + "px")
+    .style("display", "block");
 }
 
 
 // -------------------------------------------------------------------
-// 6) PIE CHARTS (CIRCULAR BAR PLOT)
+// 5) PIE CHARTS (CIRCULAR BAR PLOT)
 // -------------------------------------------------------------------
-function updatePieChart(svgGroup, filteredData, accessor) {
+// Returns the bars drawn ({ key, value, records }) for export
+function updatePieChart(svgGroup, filteredData, accessor, metricKey = "cases") {
   if (!filteredData.length) {
     svgGroup.selectAll("*").remove();
-    return;
+    return [];
   }
 
-  // 1) Aggregate counts
+  const metric = PIE_METRICS[metricKey];
+
+  // 1) Aggregate by the selected metric, largest first
   const aggregated = Array.from(
-    d3.rollup(filteredData, v => v.length, accessor),
-    ([key, value]) => ({ key: key || "Unknown", value })
+    d3.group(filteredData, accessor),
+    ([key, records]) => ({ key: key || "Unknown", value: metric.value(records), records })
   ).sort((a, b) => d3.descending(a.value, b.value));
 
-  const topN = aggregated.slice(0, 20);
-  if (aggregated.length > 20) {
-    const other = d3.sum(aggregated.slice(20), d => d.value);
-    topN.push({ key: "Others", value: other });
+  // One colour per bar: past the theme's palette, the rest are "Others"
+  const maxBars = Theme.maxCategories();
+  const folded = aggregated.length > maxBars;
+  const topN = aggregated.slice(0, folded ? maxBars - 1 : maxBars);
+  if (folded) {
+    const rest = aggregated.slice(maxBars - 1).flatMap(d => d.records);
+    topN.push({ key: "Others", value: metric.value(rest), records: rest });
   }
 
   const dataForChart = topN;
-  const total = d3.sum(dataForChart, d => d.value);
+  const total = metric.additive ? metric.value(filteredData) : 0;
 
   // 2) Scales
   const x = d3.scaleBand()
@@ -347,12 +580,19 @@ function updatePieChart(svgGroup, filteredData, accessor) {
 
   const color = d3.scaleOrdinal()
     .domain(dataForChart.map(d => d.key))
-    .range(d3.schemeSet3);
+    .range(Theme.palette().categorical);
 
   const tooltip = d3.select("#tooltip");
   const fmtInt = d3.format(",d");
   const fmtPct = d3.format(".1%");
 
+  // Metric value, its share (additive metrics) and the case count behind it
+  const tooltipHtml = d =>
+    `<strong>${I18n.term(d.key)}</strong><br>` +
+    `${I18n.labelled(metric.label, metric.format(d.value))}<br>` +
+    (metric.additive ? `${I18n.labelled(I18n.t("common.share"), fmtPct(total ? d.value / total : 0))}<br>` : "") +
+    (metricKey !== "cases" ? I18n.labelled(I18n.t("metric.cases"), fmtInt(d.records.length)) : "");
+
   // 3) Bars (circular)
   const bars = svgGroup.selectAll("path.circular-bar")
     .data(dataForChart, d => d.key);
@@ -371,19 +611,15 @@ function updatePieChart(svgGroup, filteredData, accessor) {
       .padRadius(CIRC_INNER_RADIUS)
     )
     .on("mousemove", (event, d) => {
-      const pct = total ? d.value / total : 0;
-      tooltip.html(
-        `<strong>${d.key}</strong><br>` +
-        `Cases: ${fmtInt(d.value)}<br>` +
-        `Share: ${fmtPct(pct)}`
-      )
+      tooltip.html(tooltipHtml(d))
         .style("left", (event.pageX + 10) + "px")
         .style("top", (event.pageY + 10) + "px")
         .style("display", "block");
     })
     .on("mouseleave", () => {
       tooltip.style("display", "none");
-    });
+    })
+    .call(A11y.focusable, { key: d => d.key, label: tooltipHtml });
 
   bars.exit().remove();
 
@@ -407,12 +643,7 @@ function updatePieChart(svgGroup, filteredData, accessor) {
       return `rotate(${rotate})translate(${r},0)`;
     })
     .on("mousemove", (event, d) => {
-      const pct = total ? d.value / total : 0;
-      tooltip.html(
-        `<strong>${d.key}</strong><br>` +
-        `Cases: ${fmtInt(d.value)}<br>` +
-        `Share: ${fmtPct(pct)}`
-      )
+      tooltip.html(tooltipHtml(d))
         .style("left", (event.pageX + 10) + "px")
         .style("top", (event.pageY + 10) + "px")
         .style("display", "block");
@@ -421,16 +652,16 @@ function updatePieChart(svgGroup, filteredData, accessor) {
       tooltip.style("display", "none");
     });
 
-  // 5) Label text (white)
+  // 5) Label text
   const labels = labelEnter.merge(labelGroups).selectAll("text")
     .data(d => [d]);
 
   labels.enter()
     .append("text")
     .merge(labels)
-    .text(d => d.key)
+    .text(d => I18n.term(d.key))
     .style("font-size", "0.7em")
-    .style("fill", "#ffffff")
+    .style("fill", Theme.palette().text)
     .attr("alignment-baseline", "middle")
     .attr("transform", d => {
       const angle = x(d.key) + x.bandwidth() / 2;
@@ -441,13 +672,56 @@ function updatePieChart(svgGroup, filteredData, accessor) {
 
   labels.exit().remove();
   labelGroups.exit().remove();
+
+  return dataForChart;
+}
+
+// One CSV row per bar with every metric, not just the one drawn
+function pieExportRows(field, bars) {
+  return bars.map(d => {
+    const row = { [field]: d.key };
+    Object.entries(PIE_METRICS).forEach(([key, metric]) => {
+      row[key] = metric.value(d.records);
+    });
+    return row;
+  });
 }
 
 
 // -------------------------------------------------------------------
-// 7) TREND CHART (CASES & LOSS OVER TIME)
+// 6) TREND CHART (CASES & LOSS OVER TIME)
 // -------------------------------------------------------------------
-function updateTrendChart(demoFiltered) {
+// Buckets for the trend chart. Points sit at the middle of each bucket
+// on a time axis, so the date-window band lines up with real dates.
+const fmtQuarter = d => I18n.t("main.trend.quarter", { quarter: Math.floor(d.getMonth() / 3) + 1, year: d.getFullYear() });
+const fmtWeekRange = I18n.timeFormat("date.dayShort");
+
+const TREND_GRANULARITIES = {
+  year: {
+    interval: d3.timeYear,
+    label: d3.timeFormat("%Y"),
+  },
+  quarter: {
+    interval: d3.timeMonth.every(3),
+    label: fmtQuarter,
+  },
+  month: {
+    interval: d3.timeMonth,
+    label: I18n.timeFormat("date.monthLong"),
+  },
+  // ISO weeks start on Monday; %V / %G are the ISO week number and year
+  week: {
+    interval: d3.timeMonday,
+    label: d => I18n.t("main.trend.week", {
+      week: d3.timeFormat("%V")(d),
+      year: d3.timeFormat("%G")(d),
+      from: fmtWeekRange(d),
+      to: fmtWeekRange(d3.timeDay.offset(d, 6))
+    }),
+  },
+};
+
+function updateTrendChart(demoFiltered, windowStart, windowEnd) {
   // If no data, clear chart
   if (!demoFiltered.length) {
     casesPath.attr("d", null);
@@ -456,81 +730,131 @@ function updateTrendChart(demoFiltered) {
     yAxisLeftG.selectAll("*").remove();
     yAxisRightG.selectAll("*").remove();
     trendG.select(".chart-legend").remove();
+    trendG.select(".trend-window").remove();
+    trendG.selectAll(".trend-key").remove();
+    exportRows.trend = [];
     return;
   }
 
-  // Aggregate by year
-  const yearly = Array.from(
-    d3.rollup(
-      demoFiltered,
-      v => ({
-        cases: v.length,
-        loss: d3.sum(v, d => d.dollarLoss)
-      }),
-      d => d.date.getFullYear()
-    ),
-    ([year, vals]) => ({ year: +year, cases: vals.cases, loss: vals.loss })
-  ).sort((a, b) => d3.ascending(a.year, b.year));
+  const { interval, label } = TREND_GRANULARITIES[trendGranularity];
+  const palette = Theme.palette();
+
+  // Aggregate by bucket start
+  const byBucket = d3.rollup(
+    demoFiltered,
+    v => ({
+      cases: v.length,
+      loss: d3.sum(v, d => d.dollarLoss)
+    }),
+    d => interval.floor(d.date).getTime()
+  );
+
+  // Every bucket in the span, so quiet months / weeks show as zero
+  const [minDate, maxDate] = d3.extent(demoFiltered, d => d.date);
+  const firstBucket = interval.floor(minDate);
+  const endBucket = interval.offset(interval.floor(maxDate), 1);
+
+  const series = interval.range(firstBucket, endBucket).map(start => {
+    const next = interval.offset(start, 1);
+    const vals = byBucket.get(start.getTime()) || { cases: 0, loss: 0 };
+    return {
+      start,
+      mid: new Date((start.getTime() + next.getTime()) / 2),
+      cases: vals.cases,
+      loss: vals.loss
+    };
+  });
+
+  exportRows.trend = series.map(d => ({
+    period: label(d.start),
+    start: fmtUrlDate(d.start),
+    cases: d.cases,
+    loss: d.loss
+  }));
 
   // Scales
-  const x = d3.scaleLinear()
-    .domain(d3.extent(yearly, d => d.year))
+  const x = d3.scaleTime()
+    .domain([firstBucket, endBucket])
     .range([0, trendInnerWidth]);
 
   const yCases = d3.scaleLinear()
-    .domain([0, d3.max(yearly, d => d.cases) || 1])
+    .domain([0, d3.max(series, d => d.cases) || 1])
     .nice()
     .range([trendInnerHeight, 0]);
 
   const yLoss = d3.scaleLinear()
-    .domain([0, d3.max(yearly, d => d.loss) || 1])
+    .domain([0, d3.max(series, d => d.loss) || 1])
     .nice()
     .range([trendInnerHeight, 0]);
 
+  // Date window from #dateStart / #dateEnd, clipped to the chart
+  const band = trendG.selectAll(".trend-window").data(
+    windowStart && windowEnd && windowStart < endBucket && windowEnd >= firstBucket ? [null] : []
+  );
+
+  band.enter()
+    .insert("rect", ".cases-line")
+    .attr("class", "trend-window")
+    .attr("fill", palette.muted)
+    .attr("fill-opacity", 0.18)
+    .style("pointer-events", "none")
+    .merge(band)
+    .attr("x", x(d3.max([windowStart, firstBucket])))
+    .attr("width", () => {
+      const end = d3.min([d3.timeDay.offset(windowEnd, 1), endBucket]);
+      return Math.max(0, x(end) - x(d3.max([windowStart, firstBucket])));
+    })
+    .attr("y", 0)
+    .attr("height", trendInnerHeight);
+
+  band.exit().remove();
+
   // Line generators
   const casesLine = d3.line()
-    .x(d => x(d.year))
+    .x(d => x(d.mid))
     .y(d => yCases(d.cases));
 
   const lossLine = d3.line()
-    .x(d => x(d.year))
+    .x(d => x(d.mid))
     .y(d => yLoss(d.loss));
 
   // Update paths
   casesPath
-    .datum(yearly)
+    .datum(series)
     .attr("d", casesLine)
-    .attr("stroke", greenColor)
+    .attr("stroke", palette.cases)
     .attr("fill", "none")
     .attr("stroke-width", 2);
 
   lossPath
-    .datum(yearly)
+    .datum(series)
     .attr("d", lossLine)
-    .attr("stroke", purpleColor)
+    .attr("stroke", palette.loss)
     .attr("fill", "none")
     .attr("stroke-width", 2);
 
-  // Axes
-  const xAxis = d3.axisBottom(x).ticks(yearly.length).tickFormat(d3.format("d"));
+  // Axes (years get one tick each; finer buckets let d3 pick the ticks)
+  const xAxis = trendGranularity === "year"
+    ? d3.axisBottom(x).ticks(d3.timeYear.every(1)).tickFormat(d3.timeFormat("%Y"))
+    : d3.axisBottom(x).ticks(8);
   const yAxisLeft = d3.axisLeft(yCases).ticks(4);
   const yAxisRight = d3.axisRight(yLoss).ticks(4);
 
   xAxisG.call(xAxis);
 
-  // Left axis (cases - green)
+  // Left axis (cases colour)
   yAxisLeftG.call(yAxisLeft)
-    .call(g => g.selectAll("text").attr("fill", greenColor))
-    .call(g => g.selectAll("line").attr("stroke", greenColor))
-    .call(g => g.select(".domain").attr("stroke", greenColor));
+    .call(g => g.selectAll("text").attr("fill", palette.cases))
+    .call(g => g.selectAll("line").attr("stroke", palette.cases))
+    .call(g => g.select(".domain").attr("stroke", palette.cases));
 
-  // Right axis (loss - purple)
+  // Right axis (loss colour)
   yAxisRightG
     .attr("transform", `translate(${trendInnerWidth},0)`)
     .call(yAxisRight)
-    .call(g => g.selectAll("text").attr("fill", purpleColor))
-    .call(g => g.selectAll("line").attr("stroke", purpleColor))
-    .call(g => g.select(".domain").attr("stroke", purpleColor));
+    .call(g => g.selectAll("text").attr("fill", palette.loss))
+    .call(g => g.selectAll("line").attr("stroke", palette.loss))
+    .call(g => g.select(".domain").attr("stroke", palette.loss));
 
   // Legend (remove old, add new)
   trendG.select(".chart-legend").remove();
@@ -543,29 +867,48 @@ function updateTrendChart(demoFiltered) {
     .attr("cx", 0)
     .attr("cy", 0)
     .attr("r", 5)
-    .style("fill", greenColor);
+    .style("fill", palette.cases);
 
   legend.append("text")
     .attr("x", 10)
     .attr("y", 4)
-    .text("Cases")
+    .text(I18n.t("main.trend.cases"))
     .style("font-size", "0.8em")
     .attr("alignment-baseline", "middle")
-    .style("fill", greenColor);
+    .style("fill", palette.cases);
 
   legend.append("circle")
     .attr("cx", 60)
     .attr("cy", 0)
     .attr("r", 5)
-    .style("fill", purpleColor);
+    .style("fill", palette.loss);
 
   legend.append("text")
     .attr("x", 70)
     .attr("y", 4)
-    .text("Loss($)")
+    .text(I18n.t("main.trend.loss"))
     .style("font-size", "0.8em")
     .attr("alignment-baseline", "middle")
-    .style("fill", purpleColor);
+    .style("fill", palette.loss);
+
+  // Keyboard stops: one invisible point per bucket on the cases line
+  const fmtInt = d3.format(",d");
+  const fmtMoney = d3.format("$,.2f");
+  trendG.selectAll("circle.trend-key")
+    .data(series, d => d.start.getTime())
+    .join("circle")
+    .attr("class", "trend-key")
+    .attr("cx", d => x(d.mid))
+    .attr("cy", d => yCases(d.cases))
+    .attr("r", 5)
+    .attr("fill", "none")
+    .style("pointer-events", "none")
+    .call(A11y.focusable, {
+      key: d => String(d.start.getTime()),
+      label: d => `<strong>${label(d.start)}</strong><br>` +
+        `${I18n.labelled(I18n.t("metric.cases"), fmtInt(d.cases))}<br>` +
+        I18n.labelled(I18n.t("metric.loss"), fmtMoney(d.loss))
+    });
 
   // Tooltip & interactions overlay
   const overlay = trendG.selectAll(".trend-overlay").data([null]);
@@ -581,23 +924,13 @@ function updateTrendChart(demoFiltered) {
     .attr("width", trendInnerWidth)
     .attr("height", trendInnerHeight)
     .on("mousemove", function (event) {
-      if (!yearly || !yearly.length) return;
+      if (!series.length) return;
 
+      // Snap to the nearest bucket
       const [mx] = d3.pointer(event, this);
-      const xVal = x.invert(mx);
+      const nearest = series[d3.bisector(d => d.mid).center(series, x.invert(mx))];
 
-      // Find nearest year
-      let nearest = yearly[0];
-      let minDiff = Math.abs(yearly[0].year - xVal);
-      for (let i = 1; i < yearly.length; i++) {
-        const diff = Math.abs(yearly[i].year - xVal);
-        if (diff < minDiff) {
-          minDiff = diff;
-          nearest = yearly[i];
-        }
-      }
-
-      const xPos = x(nearest.year);
+      const xPos = x(nearest.mid);
 
       // Hover vertical line
       const hoverLine = trendG.selectAll(".trend-hover-line").data([null]);
@@ -605,7 +938,7 @@ function updateTrendChart(demoFiltered) {
         .merge(hoverLine)
         .attr("x1", xPos).attr("x2", xPos)
         .attr("y1", 0).attr("y2", trendInnerHeight)
-        .attr("stroke", "#6b7280")
+        .attr("stroke", palette.muted)
         .attr("stroke-width", 1)
         .attr("stroke-dasharray", "4,4")
         .style("opacity", 0.9);
@@ -617,8 +950,8 @@ function updateTrendChart(demoFiltered) {
         .merge(hoverPointCases)
         .attr("cx", xPos)
         .attr("cy", d => yCases(d.cases))
-        .attr("fill", greenColor)
-        .attr("stroke", "#fff")
+        .attr("fill", palette.cases)
+        .attr("stroke", palette.text)
         .attr("stroke-width", 1)
         .style("pointer-events", "none");
 
@@ -628,17 +961,17 @@ function updateTrendChart(demoFiltered) {
         .merge(hoverPointLoss)
         .attr("cx", xPos)
         .attr("cy", d => yLoss(d.loss))
-        .attr("fill", purpleColor)
-        .attr("stroke", "#fff")
+        .attr("fill", palette.loss)
+        .attr("stroke", palette.text)
         .attr("stroke-width", 1)
         .style("pointer-events", "none");
 
       // Tooltip
       const fmtInt2 = d3.format(",d");
-      const fmtMoney2 = d3.format(",.2f");
-      const html = `<strong>${nearest.year}</strong><br/>
-                    <span style="color:${greenColor}">Cases: ${fmtInt2(nearest.cases)}</span><br/>
-                    <span style="color:${purpleColor}">Loss: $${fmtMoney2(nearest.loss)}</span>`;
+      const fmtMoney2 = d3.format("$,.2f");
+      const html = `<strong>${label(nearest.start)}</strong><br/>
+                    <span style="color:${palette.cases}">${I18n.labelled(I18n.t("metric.cases"), fmtInt2(nearest.cases))}</span><br/>
+                    <span style="color:${palette.loss}">${I18n.labelled(I18n.t("metric.loss"), fmtMoney2(nearest.loss))}</span>`;
 
       d3.select("#tooltip")
         .html(html)
@@ -658,50 +991,407 @@ function updateTrendChart(demoFiltered) {
 
 
 // -------------------------------------------------------------------
-// 8) SUMMARY + MASTER UPDATE PIPELINE
+// 7) CATEGORY x METHOD HEATMAP
 // -------------------------------------------------------------------
-function updateControls() {
-  if (!data.length) return;
+// records: every filter except the heatmap's own, so the whole matrix
+// stays visible and the picked cells are highlighted
+function updateHeatmap(records) {
+  const svg = d3.select("#heatmap-svg");
+  svg.selectAll("*").remove();
+
+  const key = field => d => d[field] || "Unknown";
+  const counts = d3.rollup(records, v => v.length, key("category"), key("method"));
+  const rowTotals = d3.rollup(records, v => v.length, key("category"));
+  const colTotals = d3.rollup(records, v => v.length, key("method"));
+
+  // Order rows / columns by their marginal totals or by name
+  const order = totals => Array.from(totals.keys()).sort(heatmapSort === "name"
+    ? d3.ascending
+    : (a, b) => d3.descending(totals.get(a), totals.get(b)) || d3.ascending(a, b));
+  const rows = order(rowTotals);
+  const cols = order(colTotals);
+
+  exportRows.heatmap = rows.flatMap(category => cols.map(method => ({
+    category,
+    method,
+    cases: counts.get(category).get(method) || 0
+  })));
+
+  const innerWidth = HEATMAP_WIDTH - heatmapMargin.left - heatmapMargin.right;
+  const cell = cols.length ? Math.min(36, innerWidth / cols.length) : 0;
+  const height = heatmapMargin.top + rows.length * cell + heatmapMargin.bottom;
+
+  svg.attr("viewBox", `0 0 ${HEATMAP_WIDTH} ${Math.max(height, 160)}`)
+    .attr("preserveAspectRatio", "xMidYMin meet")
+    .style("width", "100%")
+    .style("height", "auto");
+
+  if (!records.length) {
+    svg.append("text")
+      .attr("x", HEATMAP_WIDTH / 2)
+      .attr("y", 80)
+      .attr("text-anchor", "middle")
+      .style("fill", Theme.palette().text)
+      .text(I18n.t("main.noMatch"));
+    return;
+  }
 
-  const { gender, age, region } = getFilters();
+  const x = d3.scaleBand().domain(cols).range([0, cols.length * cell]).padding(0.06);
+  const y = d3.scaleBand().domain(rows).range([0, rows.length * cell]).padding(0.06);
+  const color = d3.scaleSequential()
+    .domain([0, d3.max(Array.from(counts.values()), m => d3.max(m.values())) || 1])
+    .interpolator(t => Theme.palette().casesRamp(0.1 + 0.9 * t));
 
-  // Default: last 12 months relative to max date
-  let maxDate = defaultMaxDate;
-  let oneYearAgo = defaultOneYearAgo;
+  const g = svg.append("g")
+    .attr("transform", `translate(${heatmapMargin.left},${heatmapMargin.top})`);
 
-  if (dateStartInput && dateEndInput) {
-    const startVal = dateStartInput.node().value;
-    const endVal = dateEndInput.node().value;
-    const parseInput = d3.timeParse("%Y-%m-%d");
+  const tooltip = d3.select("#tooltip");
+  const fmtInt = d3.format(",d");
+  const fmtPct = d3.format(".1%");
 
-    if (startVal && endVal) {
-      const startDate = parseInput(startVal);
-      const endDate = parseInput(endVal);
+  // Picked cells stay bright, the rest fade
+  const picked = (category, method) =>
+    (!crossFilter.category || crossFilter.category === category) &&
+    (!crossFilter.method || crossFilter.method === method);
+
+  const cellTooltip = d =>
+    I18n.t("main.heatmap.cell", { category: I18n.term(d.category), method: I18n.term(d.method) }) + "<br>" +
+    `${I18n.labelled(I18n.t("metric.cases"), fmtInt(d.value))}<br>` +
+    I18n.t("main.heatmap.shareOf", { share: fmtPct(d.value / rowTotals.get(d.category)), name: I18n.term(d.category) }) + "<br>" +
+    I18n.t("main.heatmap.shareOf", { share: fmtPct(d.value / colTotals.get(d.method)), name: I18n.term(d.method) });
+
+  // 1) Cells
+  const cells = rows.flatMap(category => cols.map(method => ({
+    category,
+    method,
+    value: (counts.get(category) || new Map()).get(method) || 0
+  })));
+
+  g.selectAll("rect.heatmap-cell")
+    .data(cells)
+    .enter()
+    .append("rect")
+    .attr("class", "heatmap-cell")
+    .attr("x", d => x(d.method))
+    .attr("y", d => y(d.category))
+    .attr("width", x.bandwidth())
+    .attr("height", y.bandwidth())
+    .attr("fill", d => d.value ? color(d.value) : Theme.palette().background)
+    .attr("opacity", d => picked(d.category, d.method) ? 1 : 0.3)
+    .on("mousemove", (event, d) => {
+      tooltip.html(cellTooltip(d))
+        .style("left", (event.pageX + 10) + "px")
+        .style("top", (event.pageY + 10) + "px")
+        .style("display", "block");
+    })
+    .on("mouseleave", () => tooltip.style("display", "none"))
+    .on("click", (event, d) => toggleCrossFilter(d.category, d.method))
+    .call(A11y.focusable, {
+      key: d => `${d.category}|${d.method}`,
+      label: cellTooltip,
+      onSelect: (event, d) => toggleCrossFilter(d.category, d.method),
+      selected: d => crossFilter.category === d.category && crossFilter.method === d.method
+    });
 
-      if (startDate && endDate && startDate <= endDate) {
-        oneYearAgo = startDate;
-        maxDate = endDate;
-      }
-    }
+  // 2) Row labels + totals (click filters the category)
+  g.selectAll("text.heatmap-row")
+    .data(rows)
+    .enter()
+    .append("text")
+    .attr("class", "heatmap-row")
+    .attr("x", -6)
+    .attr("y", d => y(d) + y.bandwidth() / 2)
+    .attr("text-anchor", "end")
+    .attr("alignment-baseline", "middle")
+    .text(I18n.term)
+    .on("click", (event, d) => toggleCrossFilter(d, null))
+    .call(A11y.focusable, {
+      key: d => `row|${d}`,
+      label: d => I18n.labelled(I18n.term(d), I18n.t("main.heatmap.total", { count: fmtInt(rowTotals.get(d)) })),
+      onSelect: (event, d) => toggleCrossFilter(d, null),
+      selected: d => crossFilter.category === d && !crossFilter.method
+    });
+
+  g.selectAll("text.heatmap-row-total")
+    .data(rows)
+    .enter()
+    .append("text")
+    .attr("class", "heatmap-total")
+    .attr("x", cols.length * cell + 6)
+    .attr("y", d => y(d) + y.bandwidth() / 2)
+    .attr("alignment-baseline", "middle")
+    .text(d => fmtInt(rowTotals.get(d)));
+
+  // 3) Column labels + totals (click filters the method)
+  g.selectAll("text.heatmap-col")
+    .data(cols)
+    .enter()
+    .append("text")
+    .attr("class", "heatmap-col")
+    .attr("transform", d => `translate(${x(d) + x.bandwidth() / 2},-6) rotate(-50)`)
+    .text(I18n.term)
+    .on("click", (event, d) => toggleCrossFilter(null, d))
+    .call(A11y.focusable, {
+      key: d => `col|${d}`,
+      label: d => I18n.labelled(I18n.term(d), I18n.t("main.heatmap.total", { count: fmtInt(colTotals.get(d)) })),
+      onSelect: (event, d) => toggleCrossFilter(null, d),
+      selected: d => crossFilter.method === d && !crossFilter.category
+    });
+
+  g.selectAll("text.heatmap-col-total")
+    .data(cols)
+    .enter()
+    .append("text")
+    .attr("class", "heatmap-total")
+    .attr("x", d => x(d) + x.bandwidth() / 2)
+    .attr("y", rows.length * cell + 14)
+    .attr("text-anchor", "middle")
+    .text(d => fmtInt(colTotals.get(d)));
+
+  g.append("text")
+    .attr("class", "heatmap-total")
+    .attr("x", cols.length * cell + 6)
+    .attr("y", rows.length * cell + 14)
+    .text(I18n.t("main.heatmap.total", { count: fmtInt(records.length) }));
+
+  // Bold the picked row / column labels
+  g.selectAll("text.heatmap-row").classed("active", d => d === crossFilter.category);
+  g.selectAll("text.heatmap-col").classed("active", d => d === crossFilter.method);
+}
+
+// Cell: category + method; row / column label: one of them. Clicking the
+// current pick again clears it.
+function toggleCrossFilter(category, method) {
+  const same = crossFilter.category === category && crossFilter.method === method;
+  setCrossFilter(same ? null : category, same ? null : method);
+  updateControls();
+}
+
+function setCrossFilter(category, method) {
+  crossFilter.category = category;
+  crossFilter.method = method;
+
+  const parts = [category && I18n.term(category), method && I18n.t("main.heatmap.via", { method: I18n.term(method) })]
+    .filter(Boolean);
+  d3.select("#crossFilterNote").style("display", parts.length ? null : "none");
+  d3.select("#crossFilterText").text(parts.join(" "));
+}
+
+function initHeatmapControls() {
+  d3.selectAll("input[name=heatmapSort]").on("change", function () {
+    heatmapSort = this.value;
+    updateControls();
+  });
+
+  d3.select("#crossFilterClear").on("click", () => {
+    setCrossFilter(null, null);
+    updateControls();
+  });
+}
+
+
+// -------------------------------------------------------------------
+// 8) TIMELINE BRUSH + DATE PRESETS
+// -------------------------------------------------------------------
+// A context strip under the trend chart shows monthly reports for the
+// whole data span; brushing it sets #dateStart / #dateEnd. The inputs,
+// the presets and the brush all go through setDateRange, and
+// updateControls moves the brush back to whatever range is applied.
+const TIMELINE_HEIGHT = 70;
+const timelineMargin = { top: 6, right: trendMargin.right, bottom: 20, left: trendMargin.left };
+const timelineInnerHeight = TIMELINE_HEIGHT - timelineMargin.top - timelineMargin.bottom;
+
+let timelineX;
+let timelineBrush;
+let timelineBrushG;
+
+function initTimeline() {
+  const svg = d3.select("#timeline-svg")
+    .attr("viewBox", `0 0 ${TREND_WIDTH} ${TIMELINE_HEIGHT}`)
+    .attr("preserveAspectRatio", "xMidYMid meet")
+    .style("width", "100%")
+    .style("height", "auto");
+
+  svg.selectAll("*").remove();
+
+  const g = svg.append("g")
+    .attr("transform", `translate(${timelineMargin.left},${timelineMargin.top})`);
+
+  const [minDate, maxDate] = d3.extent(data, d => d.date);
+  const firstMonth = d3.timeMonth.floor(minDate);
+  const endDay = d3.timeDay.offset(d3.timeDay.floor(maxDate), 1);
+
+  timelineX = d3.scaleTime()
+    .domain([d3.timeDay.floor(minDate), endDay])
+    .range([0, trendInnerWidth]);
+
+  // Backdrop: all reports per month, independent of the filters
+  const monthly = d3.rollup(data, v => v.length, d => d3.timeMonth.floor(d.date).getTime());
+  const months = d3.timeMonth.range(firstMonth, d3.timeMonth.ceil(endDay));
+
+  const y = d3.scaleLinear()
+    .domain([0, d3.max(monthly.values()) || 1])
+    .range([timelineInnerHeight, 0]);
+
+  g.append("path")
+    .datum(months)
+    .attr("class", "timeline-area")
+    .attr("fill", Theme.palette().cases)
+    .attr("fill-opacity", 0.35)
+    .attr("d", d3.area()
+      .curve(d3.curveStepAfter)
+      .x(d => timelineX(d))
+      .y0(timelineInnerHeight)
+      .y1(d => y(monthly.get(d.getTime()) || 0)));
+
+  g.append("g")
+    .attr("class", "x-axis")
+    .attr("transform", `translate(0,${timelineInnerHeight})`)
+    .call(d3.axisBottom(timelineX).ticks(d3.timeYear.every(1)).tickFormat(d3.timeFormat("%Y")));
+
+  timelineBrush = d3.brushX()
+    .extent([[0, 0], [trendInnerWidth, timelineInnerHeight]])
+    .on("end", onTimelineBrush);
+
+  timelineBrushG = g.append("g")
+    .attr("class", "timeline-brush")
+    .call(timelineBrush);
+}
+
+function onTimelineBrush(event) {
+  // Ignore moves made by moveTimelineBrush
+  if (!event.sourceEvent) return;
+
+  // A click without a drag keeps the current range
+  if (!event.selection) {
+    updateControls();
+    return;
   }
 
-  const filtered = data.filter(d => {
-    // Time window
-    if (d.date < oneYearAgo || d.date > maxDate) return false;
+  // Snap to whole days; the end date is inclusive
+  const [start, endExclusive] = event.selection.map(px => d3.timeDay.round(timelineX.invert(px)));
+  const end = d3.max([start, d3.timeDay.offset(endExclusive, -1)]);
+  setDateRange(start, end);
+}
+
+function moveTimelineBrush(start, end) {
+  if (!timelineBrushG) return;
 
-    // Demographics
-    if (gender !== "all" && d.gender !== gender) return false;
-    if (age !== "all" && d.ageRange !== age) return false;
-    if (region !== "all" && d.region !== region) return false;
+  const [x0, x1] = timelineX.range();
+  const from = Math.max(x0, timelineX(start));
+  const to = Math.min(x1, timelineX(d3.timeDay.offset(end, 1)));
 
-    return true;
+  timelineBrushG.call(timelineBrush.move, from < to ? [from, to] : null);
+}
+
+function setDateRange(start, end) {
+  const fmtInput = d3.timeFormat("%Y-%m-%d");
+  dateStartInput.property("value", fmtInput(start));
+  dateEndInput.property("value", fmtInput(end));
+  updateControls();
+}
+
+// Presets are relative to the newest report, like the default range
+function getDatePresets() {
+  const latest = d3.timeDay.floor(defaultMaxDate);
+  const lastDays = days => [d3.timeDay.offset(latest, -(days - 1)), latest];
+
+  const years = Array.from(new Set(data.map(d => d.date.getFullYear()))).sort(d3.ascending);
+
+  return [
+    { label: I18n.t("main.date.lastDays", { days: 30 }), range: lastDays(30) },
+    { label: I18n.t("main.date.lastDays", { days: 90 }), range: lastDays(90) },
+    { label: I18n.t("main.date.lastDays", { days: 365 }), range: lastDays(365) },
+    { label: I18n.t("main.date.yearToDate"), range: [d3.timeYear.floor(latest), latest] },
+  ].concat(years.map(year => ({
+    label: String(year),
+    range: [new Date(year, 0, 1), d3.min([new Date(year, 11, 31), latest])],
+  })));
+}
+
+function initDatePresets() {
+  d3.select("#datePresets")
+    .selectAll("button")
+    .data(getDatePresets())
+    .enter()
+    .append("button")
+    .attr("type", "button")
+    .attr("class", "btn btn-sm btn-outline-light")
+    .text(d => d.label)
+    .on("click", (event, d) => setDateRange(d.range[0], d.range[1]));
+}
+
+// Highlight the preset matching the applied range, if any
+function updateDatePresets(start, end) {
+  const sameDay = (a, b) => +d3.timeDay.floor(a) === +d3.timeDay.floor(b);
+  d3.selectAll("#datePresets button")
+    .classed("active", d => sameDay(d.range[0], start) && sameDay(d.range[1], end));
+}
+
+// Read #dateStart / #dateEnd. Invalid input falls back to the default
+// last 12 months and returns a message saying so.
+function getDateRange() {
+  const parseInput = d3.timeParse("%Y-%m-%d");
+  const startVal = dateStartInput.node().value;
+  const endVal = dateEndInput.node().value;
+  const fallback = { start: defaultOneYearAgo, end: defaultMaxDate };
+
+  if (!startVal || !endVal) {
+    return { ...fallback, message: I18n.t("main.date.missing") };
+  }
+
+  const start = parseInput(startVal);
+  const end = parseInput(endVal);
+  if (!start || !end) {
+    return { ...fallback, message: I18n.t("main.date.invalid") };
+  }
+  if (start > end) {
+    return { ...fallback, message: I18n.t("main.date.reversed") };
+  }
+
+  const [minDate, maxDate] = d3.extent(data, d => d.date);
+  if (end < d3.timeDay.floor(minDate) || start > maxDate) {
+    const fmt = I18n.timeFormat("date.day");
+    return { start, end, message: I18n.t("main.date.empty", { start: fmt(minDate), end: fmt(maxDate) }) };
+  }
+
+  return { start, end, message: null };
+}
+
+function showDateRangeMessage(message) {
+  d3.select("#dateRangeMessage")
+    .style("display", message ? "block" : "none")
+    .text(message || "");
+}
+
+
+// -------------------------------------------------------------------
+// 9) SUMMARY + MASTER UPDATE PIPELINE
+// -------------------------------------------------------------------
+function updateControls() {
+  if (!data.length) return;
+
+  const { gender, age, region } = getFilters();
+
+  // Date window from the inputs (default: last 12 months relative to
+  // max date); say so when the inputs cannot be used
+  const { start: oneYearAgo, end: maxDate, message } = getDateRange();
+  showDateRangeMessage(message);
+  moveTimelineBrush(oneYearAgo, maxDate);
+  updateDatePresets(oneYearAgo, maxDate);
+
+  // Demographic filters + heatmap pick, then the time window on top
+  const demoFilters = demographicFilters();
+  const filtered = FraudData.filterRecords(data, {
+    ...demoFilters,
+    start: oneYearAgo,
+    end: maxDate
   });
 
-  const totalCases = filtered.length;
-  const totalLoss = d3.sum(filtered, d => d.dollarLoss);
+  const { cases: totalCases, loss: totalLoss } = FraudData.sumRecords(filtered);
 
   const fmtInt = d3.format(",d");
-  const fmtMoney = d3.format(",.2f");
+  const fmtMoney = d3.format("$,.2f");
 
   const casesStr = fmtInt(totalCases);
   const lossStr = fmtMoney(totalLoss);
@@ -712,8 +1402,8 @@ function updateControls() {
     <div class="col-6 col-md-6">
       <div class="card shadow-sm h-100 text-white bg-dark ">
         <div class="card-body">
-          <p class="card-subtitle text-muted mb-1">Reported cases</p>
-          <h3 class="card-title mb-0" style="color:${greenColor}">${casesStr}</h3>
+          <p class="card-subtitle text-muted mb-1">${I18n.t("report.figure.cases")}</p>
+          <h3 class="card-title mb-0" style="color:${Theme.palette().cases}">${casesStr}</h3>
         </div>
       </div>
     </div>
@@ -722,8 +1412,8 @@ function updateControls() {
     <div class="col-6 col-md-6">
       <div class="card shadow-sm h-100 text-white bg-dark ">
         <div class="card-body">
-          <p class="card-subtitle text-muted mb-1">Estimated losses</p>
-          <h3 class="card-title mb-0" style="color:${purpleColor}">$${lossStr}</h3>
+          <p class="card-subtitle text-muted mb-1">${I18n.t("report.figure.loss")}</p>
+          <h3 class="card-title mb-0" style="color:${Theme.palette().loss}">${lossStr}</h3>
         </div>
       </div>
     </div>
@@ -733,33 +1423,321 @@ function updateControls() {
   d3.select("#summary-text").html(summaryHtml);
 
   // Update pie charts with fully filtered data
-  updatePieChart(pieCategoryG, filtered, d => d.category);
-  updatePieChart(pieMethodG, filtered, d => d.method);
-
-  // Update yearly trend chart using demographic filters only (no date filtering)
-  const demoFiltered = data.filter(d => {
-    if (gender !== "all" && d.gender !== gender) return false;
-    if (age !== "all" && d.ageRange !== age) return false;
-    if (region !== "all" && d.region !== region) return false;
-    return true;
-  });
-  updateTrendChart(demoFiltered);
+  exportRows.category = pieExportRows("category",
+    updatePieChart(pieCategoryG, filtered, d => d.category, pieMetric.category));
+  exportRows.method = pieExportRows("method",
+    updatePieChart(pieMethodG, filtered, d => d.method, pieMetric.method));
+
+  // Trend chart uses demographic filters only; the date window is shaded
+  const demoFiltered = FraudData.filterRecords(data, demoFilters);
+  updateTrendChart(demoFiltered, oneYearAgo, maxDate);
+
+  // Heatmap shows every category / method (minus its own pick)
+  updateHeatmap(FraudData.filterRecords(data, {
+    ...demoFilters,
+    category: null,
+    method: null,
+    start: oneYearAgo,
+    end: maxDate
+  }));
 
   // Update map coloring
   updateMap();
 
   // Debug counter
   d3.select("#debug")
-    .text(`Filtered records: ${filtered.length} / ${data.length} total.`);
+    .text(I18n.t("main.debug", { count: filtered.length, total: data.length }));
+
+  // Keep the address bar in step with the controls
+  syncUrl();
+  A11y.refresh();
+}
+
+
+// -------------------------------------------------------------------
+// 10) URL STATE (SHAREABLE LINKS + BACK/FORWARD)
+// -------------------------------------------------------------------
+// ?gender=&age=&region=&start=YYYY-MM-DD&end=YYYY-MM-DD&metric=cases|loss
+//  &grain=quarter|month|week&methodMetric=&categoryMetric=loss|medianLoss|victims
+//  &category=&method=&sort=name&lang=fr
+// gender / age / region repeat once per picked value and are left out
+// when everything is picked; a single empty value means none is picked.
+// Values equal to the defaults are left out so the bare URL stays clean.
+const fmtUrlDate = d3.timeFormat("%Y-%m-%d");
+const parseUrlDate = d3.timeParse("%Y-%m-%d");
+
+function getUrlState() {
+  const params = new URLSearchParams();
+
+  Object.entries(FILTER_FIELDS).forEach(([field, { param }]) => {
+    const value = selectionFilter(field);
+    if (value === "all") return;
+    if (!value.length) params.set(param, "");
+    value.forEach(v => params.append(param, v));
+  });
+
+  const start = dateStartInput.node().value;
+  const end = dateEndInput.node().value;
+  if (start && start !== fmtUrlDate(defaultOneYearAgo)) params.set("start", start);
+  if (end && end !== fmtUrlDate(defaultMaxDate)) params.set("end", end);
+
+  if (mapMetric !== "cases") params.set("metric", mapMetric);
+  if (trendGranularity !== "year") params.set("grain", trendGranularity);
+  Object.entries(pieMetric).forEach(([chart, metric]) => {
+    if (metric !== "cases") params.set(`${chart}Metric`, metric);
+  });
+
+  if (crossFilter.category) params.set("category", crossFilter.category);
+  if (crossFilter.method) params.set("method", crossFilter.method);
+  if (heatmapSort !== "total") params.set("sort", heatmapSort);
+
+  // Language is read by js/i18n.js; keep it so pushState does not drop it
+  if (I18n.lang !== I18n.DEFAULT_LANG) params.set("lang", I18n.lang);
+
+  return params;
+}
+
+// Push a history entry when the controls differ from the current URL
+function syncUrl(replace = false) {
+  if (applyingUrlState) return;
+
+  const query = getUrlState().toString();
+  if (!replace && window.location.search.replace(/^\?/, "") === query) return;
+
+  const url = `${window.location.pathname}${query ? "?" + query : ""}${window.location.hash}`;
+  if (replace) history.replaceState(null, "", url);
+  else history.pushState(null, "", url);
+}
+
+function applyUrlState() {
+  const params = new URLSearchParams(window.location.search);
+
+  // Unknown values are dropped; with none left (and no explicit empty
+  // value) the field falls back to everything picked
+  Object.entries(FILTER_FIELDS).forEach(([field, { param }]) => {
+    const values = params.getAll(param);
+    const valid = filterOptions[field].filter(v => values.includes(v));
+    setFilterSelection(field, valid.length || values.includes("") ? valid : filterOptions[field]);
+  });
+
+  const start = parseUrlDate(params.get("start") || "");
+  const end = parseUrlDate(params.get("end") || "");
+  dateStartInput.property("value", fmtUrlDate(start || defaultOneYearAgo));
+  dateEndInput.property("value", fmtUrlDate(end || defaultMaxDate));
+
+  const metric = params.get("metric");
+  mapMetric = metric === "loss" ? "loss" : "cases";
+  mapMetricSelect.property("value", mapMetric);
+
+  const grain = params.get("grain");
+  trendGranularity = TREND_GRANULARITIES[grain] ? grain : "year";
+  trendGranularityInputs.property("checked", function () { return this.value === trendGranularity; });
+
+  Object.keys(pieMetric).forEach(chart => {
+    const value = params.get(`${chart}Metric`);
+    pieMetric[chart] = PIE_METRICS[value] ? value : "cases";
+    d3.selectAll(`input[name=${chart}Metric]`)
+      .property("checked", function () { return this.value === pieMetric[chart]; });
+  });
+
+  // Heatmap pick: only values that occur in the records
+  const known = field => {
+    const value = params.get(field);
+    return value && data.some(d => d[field] === value) ? value : null;
+  };
+  setCrossFilter(known("category"), known("method"));
+
+  heatmapSort = params.get("sort") === "name" ? "name" : "total";
+  d3.selectAll("input[name=heatmapSort]")
+    .property("checked", function () { return this.value === heatmapSort; });
+}
+
+// Apply the URL to the controls and redraw without adding history;
+// on first load also tidy the URL (drops unknown or invalid values)
+function restoreUrlState(isInitial = true) {
+  applyingUrlState = true;
+  applyUrlState();
+  updateControls();
+  applyingUrlState = false;
+
+  if (isInitial) syncUrl(true);
 }
 
+window.addEventListener("popstate", () => {
+  if (data.length) restoreUrlState(false);
+});
+
 
 // -------------------------------------------------------------------
-// 9) WINDOW RESIZE HANDLER
+// 11) EXPORT (SVG / PNG / CSV PER CHART)
+// -------------------------------------------------------------------
+// Filters each chart actually applies, as [label, value] pairs for the
+// CSV header; multi-select filters list every picked value
+function exportFilters(...keys) {
+  const fmt = d3.timeFormat("%Y-%m-%d");
+  const { start, end } = getDateRange();
+  const picked = field => {
+    const filter = selectionFilter(field);
+    if (filter === "all") return FILTER_FIELDS[field].all;
+    return filter.length ? filter.map(v => filterValueLabel(field, v)).join(" | ") : FILTER_FIELDS[field].none;
+  };
+  const all = I18n.t("main.filter.all");
+
+  const pairs = {
+    dates: [I18n.t("main.export.dates"), I18n.t("main.dateRange", { start: fmt(start), end: fmt(end) })],
+    gender: [I18n.t("filter.gender"), picked("gender")],
+    age: [I18n.t("filter.ageRange"), picked("ageRange")],
+    region: [I18n.t("main.filter.region"), picked("region")],
+    category: [I18n.t("main.export.category"), crossFilter.category ? I18n.term(crossFilter.category) : all],
+    method: [I18n.t("main.export.method"), crossFilter.method ? I18n.term(crossFilter.method) : all],
+    granularity: [I18n.t("main.export.granularity"), I18n.t(`main.grain.${trendGranularity}`)]
+  };
+  return keys.map(key => pairs[key]);
+}
+
+function initExportMenus() {
+  const charts = [
+    {
+      selector: "#mapExport", svg: "#mini-map-svg", name: "personal-risk-map", title: I18n.t("main.chart.map"), rows: "map",
+      filters: () => exportFilters("dates", "gender", "age", "category", "method")
+    },
+    {
+      selector: "#methodExport", svg: "#pie-method", name: "personal-risk-methods", title: I18n.t("main.chart.method"), rows: "method",
+      filters: () => exportFilters("dates", "gender", "age", "region", "category", "method")
+    },
+    {
+      selector: "#categoryExport", svg: "#pie-category", name: "personal-risk-categories", title: I18n.t("main.chart.category"), rows: "category",
+      filters: () => exportFilters("dates", "gender", "age", "region", "category", "method")
+    },
+    {
+      selector: "#heatmapExport", svg: "#heatmap-svg", name: "personal-risk-category-method", title: I18n.t("main.chart.heatmap"), rows: "heatmap",
+      filters: () => exportFilters("dates", "gender", "age", "region")
+    },
+    {
+      selector: "#trendExport", svg: "#trend-svg", name: "personal-risk-trend", title: I18n.t("main.chart.trend"), rows: "trend",
+      filters: () => exportFilters("granularity", "gender", "age", "region", "category", "method")
+    }
+  ];
+
+  charts.forEach(chart => {
+    ChartExport.renderMenu(chart.selector, {
+      title: chart.title,
+      name: chart.name,
+      svg: chart.svg,
+      rows: () => exportRows[chart.rows] || [],
+      filters: chart.filters,
+      dataset: "records"
+    });
+    A11y.tableToggle(chart.selector, {
+      id: chart.rows + "Table",
+      title: chart.title,
+      rows: () => exportRows[chart.rows] || []
+    });
+  });
+}
+
+
+// -------------------------------------------------------------------
+// 12) PRINTABLE REPORT (CURRENT PROFILE)
+// -------------------------------------------------------------------
+function generateReport() {
+  if (!data.length) return;
+
+  const fmtDay = I18n.timeFormat("date.day");
+  const { start, end } = getDateRange();
+  const demoFilters = demographicFilters();
+  const demoFiltered = FraudData.filterRecords(data, demoFilters);
+  const filtered = FraudData.filterRecords(demoFiltered, { start, end });
+  const totals = FraudData.sumRecords(filtered);
+
+  // Same wording as the picker sentence at the top of the page
+  const profile = I18n.t("main.profile", {
+    gender: filterSummary("gender"),
+    age: filterSummary("ageRange"),
+    region: filterSummary("region")
+  });
+  const period = I18n.t("main.dateRange", { start: fmtDay(start), end: fmtDay(end) });
+
+  // Yearly totals for the profile; the change sentence skips the
+  // latest year when the data stops part-way through it
+  const byYear = d3.rollup(demoFiltered, v => FraudData.sumRecords(v), d => d.date.getFullYear());
+  const series = Array.from(byYear, ([year, v]) => ({ year, cases: v.cases, loss: v.loss }))
+    .sort((a, b) => d3.ascending(a.year, b.year));
+  const lastFullYear = d3.timeDay.offset(defaultMaxDate, 1).getFullYear() - 1;
+  const toYear = Math.min(end.getFullYear(), lastFullYear);
+  const before = series.find(d => d.year === toYear - 1);
+  const after = series.find(d => d.year === toYear);
+
+  const topRows = (accessor, n) => Array.from(
+    d3.rollup(filtered, v => FraudData.sumRecords(v), accessor),
+    ([key, v]) => ({ key: key || "Unknown", cases: v.cases, loss: v.loss })
+  )
+    .sort((a, b) => d3.descending(a.cases, b.cases))
+    .slice(0, n);
+  const categories = topRows(d => d.category, 5);
+  const methods = topRows(d => d.method, 5);
+  const months = topRows(d => d3.timeFormat("%B")(d.date), 3);
+
+  const columns = label => [
+    { label, value: d => I18n.term(d.key) },
+    { label: I18n.t("report.col.cases"), value: d => Report.formatInt(d.cases) },
+    { label: I18n.t("report.col.loss"), value: d => Report.formatDollar(d.loss) }
+  ];
+
+  Report.open({
+    title: I18n.t("report.profileTitle", { name: profile }),
+    subtitle: I18n.t("main.report.subtitle", { period }),
+    figures: [
+      { label: I18n.t("report.figure.cases"), value: Report.formatInt(totals.cases) },
+      { label: I18n.t("report.figure.loss"), value: Report.formatDollar(totals.loss) },
+      { label: I18n.t("main.metric.victims"), value: Report.formatInt(totals.victims) },
+      { label: I18n.t("main.metric.medianLoss"), value: PIE_METRICS.medianLoss.format(PIE_METRICS.medianLoss.value(filtered)) }
+    ],
+    narrative: [
+      I18n.t("main.report.summary", {
+        period,
+        profile,
+        cases: Report.formatInt(totals.cases),
+        loss: Report.formatDollar(totals.loss)
+      }),
+      before && after && Report.describeChange(I18n.t("report.noun.cases"), before.cases, after.cases, before.year, toYear, Report.formatInt),
+      before && after && Report.describeChange(I18n.t("report.noun.losses"), before.loss, after.loss, before.year, toYear, Report.formatDollar),
+      Report.describePeak(series, "loss", I18n.t("report.noun.losses"), Report.formatDollar),
+      Report.describeTop(categories, I18n.t("report.what.category")),
+      Report.describeTop(methods, I18n.t("report.what.method"))
+    ],
+    charts: [
+      { title: I18n.t(`main.report.map.${mapMetric}`), node: Report.snapshot(mapSvg.node()) },
+      { title: I18n.t(`main.report.trend.${trendGranularity}`), node: Report.snapshot(svgTrend.node()) }
+    ],
+    tables: [
+      { title: I18n.t("report.topCategories"), columns: columns(I18n.t("column.category")), rows: categories },
+      { title: I18n.t("report.topMethods"), columns: columns(I18n.t("column.method")), rows: methods },
+      { title: I18n.t("main.report.topMonths"), columns: columns(I18n.t("main.report.month")), rows: months }
+    ],
+    filters: exportFilters("dates", "gender", "age", "region", "category", "method")
+  });
+}
+
+
+// -------------------------------------------------------------------
+// 13) WINDOW RESIZE HANDLER
 // -------------------------------------------------------------------
 window.addEventListener("resize", () => {
   if (canadaGeoJson) {
     initMap();
     updateMap();
   }
-});
\ No newline at end of file
+});
+
+// -------------------------------------------------------------------
+// 14) THEME SWITCH (js/theme.js)
+// -------------------------------------------------------------------
+// The map and timeline take their colours when built, the rest on
+// every update
+Theme.onChange(() => {
+  if (!data.length) return;
+  initMap();
+  initTimeline();
+  updateControls();
+});
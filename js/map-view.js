@@ -0,0 +1,293 @@
+// -------------------------------------------------------------------
+// MAP VIEW (PROJECTION, ZOOM / PAN, ATLANTIC INSET)
+// Shared by the three province maps. Each page still draws its own
+// paths and labels; this module picks the projection, wraps the drawing
+// in a zoomable layer, keeps labels readable while zoomed and adds the
+// optional Atlantic inset and the toolbar that controls them.
+// -------------------------------------------------------------------
+const MapView = (function () {
+
+  // Lambert Conformal Conic is the Statistics Canada standard
+  // (standard parallels 49°N and 77°N, central meridian 91°52'W)
+  const PROJECTIONS = {
+    transverseMercator: {
+      label: I18n.t("mapView.projection.transverseMercator"),
+      create: () => d3.geoTransverseMercator().rotate([96, 0]),
+    },
+    lambert: {
+      label: I18n.t("mapView.projection.lambert"),
+      create: () => d3.geoConicConformal()
+        .parallels([49, 77])
+        .rotate([91 + 52 / 60, 0])
+        .center([0, 63 + 23 / 60]),
+    },
+    albers: {
+      label: I18n.t("mapView.projection.albers"),
+      create: () => d3.geoConicEqualArea()
+        .parallels([50, 70])
+        .rotate([96, 0]),
+    },
+  };
+
+  const MAX_ZOOM = 12;
+  const ZOOM_MS = 750;
+
+  // Labels of features smaller than this on screen (px²) stay hidden
+  // until the map is zoomed in far enough to fit them
+  const MIN_LABEL_AREA = 150;
+
+  // Shared default; each page keeps its own copy
+  function defaultOptions() {
+    return { projection: "transverseMercator", inset: false };
+  }
+
+  // Projection for options.projection, fitted to [width, height]
+  function projection(key, size, geojson) {
+    const entry = PROJECTIONS[key] || PROJECTIONS.transverseMercator;
+    return entry.create().fitSize(size, geojson);
+  }
+
+
+  // -----------------------------------------------------------------
+  // 1) LAYERS
+  // -----------------------------------------------------------------
+  // svg > g.map-zoom (zoom transform) > g.map-layer#<svg id>-layer and
+  // g.map-labels above it. Pages draw shapes into layer(svg) and labels
+  // into labelLayer(svg); the inset re-uses the shape layer with <use>,
+  // which ignores the zoom transform on the parent group.
+  function zoomGroup(svg) {
+    return svg.selectAll("g.map-zoom")
+      .data([null])
+      .join("g")
+      .attr("class", "map-zoom");
+  }
+
+  function layer(svg) {
+    const zoomG = zoomGroup(svg);
+    const shapes = zoomG.selectAll("g.map-layer")
+      .data([null])
+      .join("g")
+      .attr("class", "map-layer")
+      .attr("id", `${svg.attr("id")}-layer`);
+
+    zoomG.selectAll("g.map-labels").raise();
+    return shapes;
+  }
+
+  function labelLayer(svg) {
+    return zoomGroup(svg).selectAll("g.map-labels")
+      .data([null])
+      .join("g")
+      .attr("class", "map-labels");
+  }
+
+  // Keep labels at the same screen size at any zoom and hide the ones
+  // whose province is still too small to hold them
+  function scaleLabels(svg, path, k) {
+    svg.selectAll("g.map-labels text.region-label")
+      .attr("transform", d => {
+        const [x, y] = path.centroid(d);
+        return `translate(${x}, ${y}) scale(${1 / k})`;
+      })
+      .style("display", d => path.area(d) * k * k < MIN_LABEL_AREA ? "none" : null);
+  }
+
+
+  // -----------------------------------------------------------------
+  // 2) ZOOM + INSET
+  // -----------------------------------------------------------------
+  // Call after (re)drawing the layer. Returns { zoomTo(feature), reset(),
+  // clear() }; the current zoom survives redraws because d3 keeps it on
+  // the svg.
+  const focused = new WeakMap();  // svg node -> feature zoomed to
+
+  function attach(svg, { width, height, path, geojson, inset }) {
+    const zoomG = svg.select("g.map-zoom");
+
+    const zoom = d3.zoom()
+      .scaleExtent([1, MAX_ZOOM])
+      .extent([[0, 0], [width, height]])
+      .translateExtent([[0, 0], [width, height]])
+      .on("zoom", event => {
+        zoomG.attr("transform", event.transform);
+        scaleLabels(svg, path, event.transform.k);
+      });
+
+    // Double-click is left to the pages (no zoom step on dblclick)
+    svg.call(zoom).on("dblclick.zoom", null);
+
+    const current = d3.zoomTransform(svg.node());
+    zoomG.attr("transform", current);
+    scaleLabels(svg, path, current.k);
+
+    // Zoom to a feature (or collection); zooming to the focused one resets
+    function zoomTo(feature) {
+      if (focused.get(svg.node()) === feature) {
+        reset();
+        return;
+      }
+      focused.set(svg.node(), feature);
+
+      const [[x0, y0], [x1, y1]] = path.bounds(feature);
+      const k = Math.min(MAX_ZOOM, 0.85 / Math.max((x1 - x0) / width, (y1 - y0) / height));
+      const transform = d3.zoomIdentity
+        .translate(width / 2, height / 2)
+        .scale(k)
+        .translate(-(x0 + x1) / 2, -(y0 + y1) / 2);
+
+      svg.transition().duration(ZOOM_MS).call(zoom.transform, transform);
+    }
+
+    function reset() {
+      focused.delete(svg.node());
+      svg.transition().duration(ZOOM_MS).call(zoom.transform, d3.zoomIdentity);
+    }
+
+    // Immediate reset, for a new projection: the page redraws right after,
+    // and the next attach() must read the identity, not a transition's
+    // starting point
+    function clear() {
+      focused.delete(svg.node());
+      svg.interrupt().call(zoom.transform, d3.zoomIdentity);
+    }
+
+    drawInset(svg, { width, height, path, geojson, inset, zoomTo });
+
+    return { zoomTo, reset, clear };
+  }
+
+  // Magnified copy of the Atlantic provinces in the bottom-left corner;
+  // clicking it zooms the main map there
+  function drawInset(svg, { width, height, path, geojson, inset, zoomTo }) {
+    svg.selectAll("g.map-inset").remove();
+    if (!inset) return;
+
+    const atlantic = {
+      type: "FeatureCollection",
+      features: geojson.features.filter(f =>
+        FraudData.PROVINCE_GROUPS.Atlantic.includes(f.properties.PRENAME)
+      ),
+    };
+    if (!atlantic.features.length) return;
+
+    const boxWidth = Math.round(width * 0.28);
+    const boxHeight = Math.round(height * 0.28);
+    const [[x0, y0], [x1, y1]] = path.bounds(atlantic);
+    const k = Math.min((boxWidth - 8) / (x1 - x0), (boxHeight - 8) / (y1 - y0));
+    const clipId = `${svg.attr("id")}-inset-clip`;
+
+    const g = svg.append("g")
+      .attr("class", "map-inset")
+      .attr("transform", `translate(8, ${height - boxHeight - 8})`)
+      .on("click", () => zoomTo(atlantic));
+
+    g.append("title").text(I18n.t("mapView.insetTitle"));
+
+    g.append("clipPath")
+      .attr("id", clipId)
+      .append("rect")
+      .attr("width", boxWidth)
+      .attr("height", boxHeight);
+
+    g.append("rect")
+      .attr("class", "map-inset-frame")
+      .attr("width", boxWidth)
+      .attr("height", boxHeight);
+
+    g.append("g")
+      .attr("clip-path", `url(#${clipId})`)
+      .append("use")
+      .attr("href", `#${svg.attr("id")}-layer`)
+      .attr("transform",
+        `translate(${(boxWidth - k * (x1 - x0)) / 2}, ${(boxHeight - k * (y1 - y0)) / 2}) ` +
+        `scale(${k}) translate(${-x0}, ${-y0})`
+      );
+  }
+
+  // Click picks a province, double-click zooms to it. The click waits
+  // out the double-click interval, so a double-click never toggles the
+  // pick (twice) on its way to zooming.
+  const DBLCLICK_MS = 250;
+
+  function clickOrZoom(selection, { click, zoom }) {
+    let pending = null;
+    selection
+      .on("click.mapview", (event, d) => {
+        clearTimeout(pending);
+        if (event.detail > 1) return;   // second click of a double-click
+        pending = setTimeout(() => click(event, d), DBLCLICK_MS);
+      })
+      .on("dblclick.mapview", (event, d) => {
+        clearTimeout(pending);
+        zoom(event, d);
+      });
+  }
+
+
+  // -----------------------------------------------------------------
+  // 3) TOOLBAR (PROJECTION, INSET, RESET)
+  // -----------------------------------------------------------------
+  // Builds the controls into container and keeps options in sync; ids are
+  // prefixed with the container id like Classify.renderControls.
+  function renderControls(selector, options, onChange, onReset) {
+    const container = d3.select(selector);
+    const prefix = container.attr("id");
+    container.selectAll("*").remove();
+
+    container.append("label")
+      .attr("for", `${prefix}-projection`)
+      .attr("class", "visually-hidden")
+      .text(I18n.t("mapView.projection"));
+
+    container.append("select")
+      .attr("id", `${prefix}-projection`)
+      .attr("class", "form-select form-select-sm w-auto")
+      .on("change", function () {
+        options.projection = this.value;
+        onChange();
+      })
+      .selectAll("option")
+      .data(Object.entries(PROJECTIONS))
+      .enter()
+      .append("option")
+      .attr("value", ([key]) => key)
+      .property("selected", ([key]) => key === options.projection)
+      .text(([, p]) => p.label);
+
+    const insetToggle = container.append("div")
+      .attr("class", "form-check form-check-inline small mb-0");
+
+    insetToggle.append("input")
+      .attr("type", "checkbox")
+      .attr("id", `${prefix}-inset`)
+      .attr("class", "form-check-input")
+      .property("checked", options.inset)
+      .on("change", function () {
+        options.inset = this.checked;
+        onChange();
+      });
+
+    insetToggle.append("label")
+      .attr("for", `${prefix}-inset`)
+      .attr("class", "form-check-label")
+      .text(I18n.t("mapView.inset"));
+
+    container.append("button")
+      .attr("type", "button")
+      .attr("class", "btn btn-sm btn-outline-light")
+      .text(I18n.t("mapView.reset"))
+      .on("click", onReset);
+  }
+
+
+  return {
+    PROJECTIONS,
+    defaultOptions,
+    projection,
+    layer,
+    labelLayer,
+    attach,
+    clickOrZoom,
+    renderControls,
+  };
+})();
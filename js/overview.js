@@ -1,9 +1,7 @@
 // -------------------------------------------------------------------
 // 1) GLOBAL STATE & CONSTANTS
 // -------------------------------------------------------------------
-const greenColor = "#1b9e77";
-const purpleColor = "#7570b3";
-
+// Colours (cases / loss, ramps, slices) come from js/theme.js
 let geojson = null;
 let fraudData = null;
 let metaYears = [];
@@ -12,21 +10,48 @@ let metaAgeRanges = [];
 let provinceNameSet = new Set();
 
 let selectedMetric = "cases";  // "cases" | "loss"
+let selectedNorm = "total";    // key of FraudData.NORMALISATIONS
 let selectedGender = "ALL";
 let selectedAge = "ALL";
 let selectedYear = null;       // null = all years
+let classOptions = Classify.defaultOptions();  // map classification
+let mapMode = "magnitude";     // one of MAP_MODES
+let changeFromYear = null;     // years compared by the change map / growth ranking
+let changeToYear = null;
+let changeMeasure = "pct";     // "pct" | "abs"
+let barRanking = "volume";     // "volume" | "growth"
 
 let mapSvg, trendSvg, barSvg;
 let mapWidth, mapHeight;
 let trendWidth, trendHeight;
 let barWidth, barHeight;
 let projection, path;
+let mapLayer, mapLabels;      // zoomable shape + label groups (js/map-view.js)
+let mapView;                  // { zoomTo, reset, clear } for the current map
+let mapViewOptions = MapView.defaultOptions();  // projection + inset
 
 let donutSvg, donutWidth, donutHeight, donutRadius;
 let donutG;
 
 let genderSvg, genderG, genderRadius, genderWidth, genderHeight;
 
+let pyramidSvg, pyramidWidth, pyramidHeight;
+let pyramidRegion = "ALL";    // province shown by the age x gender pyramid
+
+// Rows behind each chart as last drawn, for CSV export (js/export.js)
+const exportRows = {};
+
+// Duration of chart transitions between filter states / played years
+const TRANSITION_MS = 750;
+
+// Map modes: one metric, change between years, circles (size = one
+// metric, colour = the other), 3 x 3 cases-vs-loss choropleth
+const MAP_MODES = ["magnitude", "change", "symbols", "bivariate"];
+
+// Slice angles from the previous donut draw, keyed by category
+const previousGenderSlices = new Map();
+const previousAgeSlices = new Map();
+
 const tooltip = d3.select("#tooltip");
 
 
@@ -34,22 +59,55 @@ const tooltip = d3.select("#tooltip");
 // 2) FORMATTERS & SMALL HELPERS
 // -------------------------------------------------------------------
 const formatInt = d3.format(",.0f");
-const formatDollar = d3.format("$,");  // no decimals
+const formatDollar = d3.format("$,.0f");  // no decimals
+const formatRate = d3.format(",.1f");
 
-function formatMetricValue(value, metric) {
+// Rates (per 100k residents) keep one decimal; ratios of loss are dollars
+function formatMetricValue(value, metric, norm = "total") {
+  if (value == null) return I18n.t("common.na");
   if (!value || !isFinite(value)) return "0";
-  return metric === "loss" ? formatDollar(value) : formatInt(value);
+  if (metric === "loss" || FraudData.NORMALISATIONS[norm].lossOnly) return formatDollar(value);
+  return norm === "total" ? formatInt(value) : formatRate(value);
+}
+
+// Label for the active metric + normalisation, e.g. "Cases per 100,000 residents"
+function activeMetricLabel() {
+  return FraudData.metricLabel(selectedMetric, selectedNorm);
+}
+
+// "+12.5%", "−$3,400", "±0"
+function formatChange(value, measure = changeMeasure) {
+  if (value == null || !isFinite(value)) return I18n.t("common.na");
+  const sign = value > 0 ? "+" : value < 0 ? "−" : "±";
+  return measure === "pct"
+    ? sign + I18n.percent(Math.abs(value))
+    : sign + formatMetricValue(Math.abs(value), selectedMetric, selectedNorm);
+}
+
+// Years a total covers: "all years" (null) spans every year in the data,
+// so rates per 100k come out as average yearly rates
+function yearsCovered(year) {
+  return year == null ? metaYears : year;
+}
+
+// Export row plus a victims column when the data reports victims
+function withVictims(row, totals) {
+  if (fraudData.meta.hasVictims) row.victims = totals.victims;
+  return row;
 }
 
 
 // -------------------------------------------------------------------
-// 3) LOAD DATA (GEOJSON + AGGREGATED TREND)
+// 3) LOAD DATA (SHARED DATA LAYER: GEOJSON + AGGREGATED TREND)
 // -------------------------------------------------------------------
 Promise.all([
-  d3.json("data/CanadaProvincesCartoBoundary_EPSG4326.geojson"),
-  d3.json("data/CanadianAnti-FraudCentreReportingData_aggregated_for_trend.json")
+  FraudData.loadGeo(),
+  FraudData.loadAggregate()
 ]).then(([geo, fraud]) => {
   geojson = geo;
+
+  // Rows arrive with canonical region / gender / age names and only
+  // Canadian provinces, so no page-level normalisation is needed
   fraudData = fraud;
 
   provinceNameSet = new Set(
@@ -60,53 +118,20 @@ Promise.all([
   metaGenders = fraudData.meta.genders;
   metaAgeRanges = fraudData.meta.ageRanges;
 
-  preprocessData();
   initControls();
   initSVGs();
+  initExportMenus();
+  renderDataWarning(FraudData.checkCube(fraudData));
   updateAll();
+
+  DataQuality.render("#dataQuality", FraudData.getQualityReports());
 }).catch(err => {
   console.error("Error loading data:", err);
 });
 
 
 // -------------------------------------------------------------------
-// 4) PREPROCESS / NORMALIZE DATA
-// -------------------------------------------------------------------
-function preprocessData() {
-  // Normalize region names; keep only provinces in boundary file
-  const provinceMap = new Map();
-  provinceNameSet.forEach(name => {
-    provinceMap.set(name.toLowerCase(), name);
-  });
-
-  function normalizeRegion(raw) {
-    if (!raw) return null;
-    let candidate = raw;
-
-    if (raw === "Newfoundland And Labrador") {
-      candidate = "Newfoundland and Labrador";
-    } else if (raw === "North West Territories" || raw === "Northwest Territories") {
-      candidate = "Northwest Territories";
-    }
-
-    const lower = candidate.toLowerCase();
-    for (const full of provinceNameSet) {
-      if (full.toLowerCase() === lower) return full;
-    }
-    // not a province in this boundary file
-    return null;
-  }
-
-  fraudData.mapByYear.forEach(d => {
-    d.cases = +d.cases;
-    d.loss = +d.loss;
-    d.regionNormalized = normalizeRegion(d.region);
-  });
-}
-
-
-// -------------------------------------------------------------------
-// 5) UI CONTROLS (DROPDOWNS & BUTTONS)
+// 4) UI CONTROLS (DROPDOWNS & BUTTONS)
 // -------------------------------------------------------------------
 function initControls() {
   const genderSelect = d3.select("#genderSelect");
@@ -115,40 +140,18 @@ function initControls() {
     .enter()
     .append("option")
     .attr("value", d => d)
-    .text(d => d);
+    .text(d => I18n.term(d));
 
   // Metric buttons (cases vs loss)
   const btnCase = d3.select("#btnCase");
   const btnLoss = d3.select("#btnLoss");
 
-  function updateMetricStyles() {
-    if (selectedMetric === "cases") {
-      // Case active (green solid)
-      btnCase.style("background-color", greenColor)
-        .style("border-color", greenColor)
-        .style("color", "white");
-
-      // Loss inactive (purple outline)
-      btnLoss.style("background-color", "transparent")
-        .style("color", purpleColor)
-        .style("border-color", purpleColor);
-    } else {
-      // Case inactive (green outline)
-      btnCase.style("background-color", "transparent")
-        .style("color", greenColor)
-        .style("border-color", greenColor);
-
-      // Loss active (purple solid)
-      btnLoss.style("background-color", purpleColor)
-        .style("color", "white")
-        .style("border-color", purpleColor);
-    }
-  }
-
   // Metric button click handlers
   btnCase.on("click", () => {
     if (selectedMetric !== "cases") {
       selectedMetric = "cases";
+      // Loss-only ratios have no case equivalent
+      if (FraudData.NORMALISATIONS[selectedNorm].lossOnly) selectedNorm = "total";
       updateMetricStyles();
       updateAll();
     }
@@ -162,6 +165,33 @@ function initControls() {
     }
   });
 
+  // Normalisation dropdown (total, per 100k residents, per case, per victim)
+  const normSelect = d3.select("#normSelect");
+  normSelect.selectAll("option")
+    .data(Object.entries(FraudData.NORMALISATIONS))
+    .enter()
+    .append("option")
+    .attr("value", ([key]) => key)
+    .property("disabled", ([key]) => key === "perVictim" && !fraudData.meta.hasVictims)
+    .text(([key]) =>
+      key === "perVictim" && !fraudData.meta.hasVictims
+        ? I18n.t("overview.notInFile", { label: FraudData.normLabel(key) })
+        : FraudData.normLabel(key)
+    );
+
+  normSelect.on("change", function () {
+    selectedNorm = this.value;
+    if (FraudData.NORMALISATIONS[selectedNorm].lossOnly) selectedMetric = "loss";
+    updateMetricStyles();
+    updateAll();
+  });
+
+  // Map classification (method, class count, manual breaks)
+  Classify.renderControls("#classControls", classOptions, updateMap);
+
+  // Map projection, Atlantic inset and zoom reset (built by js/map-view.js)
+  MapView.renderControls("#mapViewControls", mapViewOptions, applyMapViewOptions, () => mapView.reset());
+
   // Initialize metric button styles
   updateMetricStyles();
 
@@ -173,6 +203,7 @@ function initControls() {
 
   // "All years" button (trend chart)
   d3.select("#allYearsBtn").on("click", function () {
+    stopPlayback();
     selectedYear = null;
     d3.select(this).classed("active", true);
     updateAll();
@@ -191,16 +222,133 @@ function initControls() {
     d3.select(this).classed("active", true);
     updateAll();
   });
+
+  // Pyramid province (All Canada or one province)
+  d3.select("#pyramidRegionSelect").selectAll("option")
+    .data(["ALL"].concat(Array.from(provinceNameSet).sort(I18n.compareProvinces)))
+    .enter()
+    .append("option")
+    .attr("value", d => d)
+    .text(d => d === "ALL" ? I18n.t("overview.allCanada") : I18n.province(d));
+
+  d3.select("#pyramidRegionSelect").on("change", function () {
+    pyramidRegion = this.value;
+    updateAll();
+  });
+
+  // Play / pause / step through the years
+  initPlaybackControls();
+
+  // Change map (two years, percent or absolute) + growth ranking
+  changeFromYear = metaYears[0];
+  changeToYear = metaYears[metaYears.length - 1];
+
+  ["#changeFromSelect", "#changeToSelect"].forEach(sel => {
+    d3.select(sel).selectAll("option")
+      .data(metaYears)
+      .enter()
+      .append("option")
+      .attr("value", d => d)
+      .text(d => d);
+  });
+
+  d3.select("#mapModeSelect").on("change", function () {
+    mapMode = this.value;
+    updateAll();
+  });
+
+  d3.select("#changeFromSelect").on("change", function () {
+    changeFromYear = +this.value;
+    updateAll();
+  });
+
+  d3.select("#changeToSelect").on("change", function () {
+    changeToYear = +this.value;
+    updateAll();
+  });
+
+  d3.select("#changeMeasureSelect").on("change", function () {
+    changeMeasure = this.value;
+    updateAll();
+  });
+
+  d3.select("#barRankSelect").on("change", function () {
+    barRanking = this.value;
+    updateAll();
+  });
+
+  // Undo / redo of cross-filter clicks
+  d3.select("#undoBtn").on("click", undoView);
+  d3.select("#redoBtn").on("click", redoView);
+
+  // Restore a shared view (#metric=&gender=&age=&year=) before first draw
+  applyViewState(viewStateFromHash(window.location.hash));
+}
+
+// Style the cases / loss toggle for the active metric
+function updateMetricStyles() {
+  const btnCase = d3.select("#btnCase");
+  const btnLoss = d3.select("#btnLoss");
+
+  d3.select("#normSelect").property("value", selectedNorm);
+  const { cases: casesColor, loss: lossColor, onMetric } = Theme.palette();
+
+  if (selectedMetric === "cases") {
+    // Case active (solid)
+    btnCase.style("background-color", casesColor)
+      .style("border-color", casesColor)
+      .style("color", onMetric);
+
+    // Loss inactive (outline)
+    btnLoss.style("background-color", "transparent")
+      .style("color", lossColor)
+      .style("border-color", lossColor);
+  } else {
+    // Case inactive (outline)
+    btnCase.style("background-color", "transparent")
+      .style("color", casesColor)
+      .style("border-color", casesColor);
+
+    // Loss active (solid)
+    btnLoss.style("background-color", lossColor)
+      .style("color", onMetric)
+      .style("border-color", lossColor);
+  }
+}
+
+// Warn when detail rows in the aggregate file do not add up to their
+// published subtotals; the charts report the subtotal rows
+function renderDataWarning(issues) {
+  const warning = d3.select("#dataWarning");
+  if (!issues.length) {
+    warning.style("display", "none");
+    return;
+  }
+
+  const examples = issues.slice(0, 3).map(d => I18n.t("overview.warning.example", {
+    key: d.key,
+    over: I18n.t(`overview.warning.over.${d.over}`),
+    detail: formatMetricValue(d.detail, d.metric),
+    subtotal: formatMetricValue(d.subtotal, d.metric),
+    metric: I18n.t(`metric.${d.metric}`),
+  }));
+
+  warning
+    .style("display", "block")
+    .html(
+      I18n.t("overview.warning", { count: issues.length }) +
+      `<ul class="mb-0">${examples.map(e => `<li>${e}</li>`).join("")}</ul>`
+    );
 }
 
 function updateYearLabel() {
   const yearLabel = document.getElementById("yearLabel");
-  yearLabel.textContent = selectedYear == null ? "All years" : selectedYear;
+  yearLabel.textContent = selectedYear == null ? I18n.t("overview.allYears") : selectedYear;
 }
 
 
 // -------------------------------------------------------------------
-// 6) SVG INITIALIZATION & LAYOUT
+// 5) SVG INITIALIZATION & LAYOUT
 // -------------------------------------------------------------------
 function initSVGs() {
   // --- Map setup ---
@@ -212,12 +360,12 @@ function initSVGs() {
     .attr("width", mapWidth)
     .attr("height", mapHeight);
 
-  projection = d3.geoTransverseMercator()
-    .rotate([96, 0])
-    .fitSize([mapWidth, mapHeight], geojson);
-
+  projection = MapView.projection(mapViewOptions.projection, [mapWidth, mapHeight], geojson);
   path = d3.geoPath().projection(projection);
 
+  mapLayer = MapView.layer(mapSvg);
+  mapLabels = MapView.labelLayer(mapSvg);
+
   // --- Trend chart setup ---
   const trendParent = document.getElementById("trendChart").parentElement;
   trendWidth = trendParent.clientWidth;
@@ -270,11 +418,20 @@ function initSVGs() {
 
   donutG = donutSvg.append("g")
     .attr("transform", `translate(${donutWidth / 2},${donutHeight / 2})`);
+
+  // --- Age x gender pyramid setup ---
+  const pyramidParent = document.getElementById("pyramidChart").parentElement;
+  pyramidWidth = pyramidParent.clientWidth;
+  pyramidHeight = pyramidParent.clientHeight;
+
+  pyramidSvg = d3.select("#pyramidChart")
+    .attr("width", pyramidWidth)
+    .attr("height", pyramidHeight);
 }
 
 
 // -------------------------------------------------------------------
-// 7) UPDATE PIPELINE (ENTRY POINT)
+// 6) UPDATE PIPELINE (ENTRY POINT)
 // -------------------------------------------------------------------
 function updateAll() {
   updateMap();
@@ -282,151 +439,518 @@ function updateAll() {
   updateBarChart();
   updateAgeChart();
   updateGenderChart();
+  updatePyramidChart();
+  updatePlaybackControls();
+  updateChangeControls();
+  recordViewState();
+  A11y.refresh();
 }
 
 
 // -------------------------------------------------------------------
-// 8) DATA HELPERS (FILTER & AGGREGATE)
+// 7) DATA HELPERS (FILTER & AGGREGATE)
 // -------------------------------------------------------------------
-function filteredMapByYearRows(filterYear) {
-  // Only Canadian provinces (regionNormalized != null)
-  return fraudData.mapByYear.filter(d => {
-    if (!d.regionNormalized) return false;
-    if (filterYear != null && d.year !== filterYear) return false;
-    if (selectedGender !== "ALL" && d.gender !== selectedGender) return false;
-    if (selectedAge !== "ALL" && d.ageRange !== selectedAge) return false;
-    return true;
-  });
-}
-
+// The cube helpers pick the roll-up row for every dimension left at "ALL",
+// so detail and subtotal rows are never summed together
 function aggregateByYear() {
-  const result = [];
-  metaYears.forEach(year => {
-    const rows = filteredMapByYearRows(year);
-    const total = d3.sum(rows, d => d[selectedMetric]);
-    result.push({ year, value: total || 0 });
-  });
-  return result;
+  const grouped = FraudData.cubeRollup(
+    fraudData,
+    { gender: selectedGender, ageRange: selectedAge },
+    "year"
+  );
+
+  // National rates use the population of all provinces for that year
+  return metaYears.map(year => ({
+    year,
+    value: FraudData.normalise(grouped.get(year), selectedMetric, selectedNorm, null, year) || 0
+  }));
 }
 
 function aggregateByProvince(filterYear) {
-  const rows = filteredMapByYearRows(filterYear);
-  const grouped = d3.rollup(
-    rows,
-    v => d3.sum(v, d => d[selectedMetric]),
-    d => d.regionNormalized
+  const grouped = FraudData.cubeRollup(
+    fraudData,
+    { year: filterYear, gender: selectedGender, ageRange: selectedAge },
+    "region"
   );
 
+  // value is normalised (null when it cannot be computed); totals stay raw
   const result = [];
   provinceNameSet.forEach(name => {
-    const v = grouped.get(name) || 0;
-    result.push({ province: name, value: v });
+    const totals = grouped.get(name) || { cases: 0, loss: 0, victims: 0 };
+    const v = FraudData.normalise(totals, selectedMetric, selectedNorm, name, yearsCovered(filterYear));
+    result.push({ province: name, value: v, totals });
   });
   return result;
 }
 
 
+// Change in the active metric / normalisation between the two chosen
+// years; value is the measure being shown (percent or absolute)
+function changeByProvince() {
+  const before = new Map(
+    aggregateByProvince(changeFromYear).map(d => [d.province, d.value])
+  );
+
+  return aggregateByProvince(changeToYear).map(d => {
+    const change = FraudData.change(before.get(d.province), d.value);
+    return { province: d.province, change, value: change ? change[changeMeasure] : null };
+  });
+}
+
+// Mirror the change settings in their controls
+function updateChangeControls() {
+  d3.select("#mapModeSelect").property("value", mapMode);
+  d3.select("#changeFromSelect").property("value", changeFromYear);
+  d3.select("#changeToSelect").property("value", changeToYear);
+  d3.select("#changeMeasureSelect").property("value", changeMeasure);
+  d3.select("#barRankSelect").property("value", barRanking);
+
+  // Year pair + measure matter to the change map and the growth ranking
+  d3.select("#changeYears")
+    .classed("d-none", mapMode !== "change" && barRanking !== "growth");
+  d3.select("#barRankSelect option[value=growth]")
+    .text(I18n.t("overview.growth", { from: changeFromYear, to: changeToYear }));
+}
+
+
 // -------------------------------------------------------------------
-// 9) MAP (CHOROPLETH + LEGEND + SUBTITLE)
+// 8) MAP (CHOROPLETH + LEGEND + SUBTITLE)
 // -------------------------------------------------------------------
 function updateMap() {
-  const provinceValues = aggregateByProvince(selectedYear);
-  const maxVal = d3.max(provinceValues, d => d.value) || 0;
+  if (mapMode === "symbols" || mapMode === "bivariate") {
+    updateTwoMetricMap();
+    return;
+  }
 
-  const interp = selectedMetric === "cases" ? d3.interpolateGreens : d3.interpolatePurples;
-  const color = d3.scaleSequential()
-    .domain([0, maxVal || 1])
-    .interpolator(interp);
+  // Circles and the extra legend belong to the two-metric modes
+  mapLayer.selectAll("g.map-symbols").remove();
+  d3.select("#mapLegendExtra").selectAll("*").remove();
+
+  const changeMode = mapMode === "change";
+  const provinceValues = changeMode ? changeByProvince() : aggregateByProvince(selectedYear);
+
+  // Provinces without reports (or without a value in one of the compared
+  // years) stay grey and are left out of the breaks
+  const hasValue = d => d && (changeMode ? d.value != null : d.value > 0);
+
+  const palette = Theme.palette();
+  const classification = changeMode
+    ? Classify.classifyDiverging(provinceValues.map(d => d.value), classOptions.k, palette.diverging)
+    : Classify.classify(
+      provinceValues.filter(hasValue).map(d => d.value),
+      classOptions,
+      Theme.ramp(selectedMetric)
+    );
 
   const valueByProvince = new Map(
-    provinceValues.map(d => [d.province, d.value])
+    provinceValues.map(d => [d.province, d])
   );
 
-  const featureSelection = mapSvg.selectAll("path.map-province")
+  exportRows.map = provinceValues.map(d => changeMode
+    ? {
+      province: d.province,
+      // Fixed keys: year-named keys would sort ahead of province (and
+      // merge when both years are the same)
+      from_year: changeFromYear,
+      from_value: d.change ? d.change.from : null,
+      to_year: changeToYear,
+      to_value: d.change ? d.change.to : null,
+      [changeMeasure === "pct" ? "change_pct" : "change"]: d.value
+    }
+    : withVictims({
+      province: d.province,
+      value: d.value,
+      cases: d.totals.cases,
+      loss: d.totals.loss
+    }, d.totals));
+
+  const featureSelection = mapLayer.selectAll("path.map-province")
     .data(geojson.features, d => d.properties.PRUID);
 
   // Draw/update provinces
-  featureSelection.enter()
+  const provinces = featureSelection.enter()
     .append("path")
     .attr("class", "map-province")
-    .attr("d", path)
+    .attr("fill", palette.noData)
     .merge(featureSelection)
-    .attr("fill", d => {
-      const pname = d.properties.PRENAME;
-      const v = valueByProvince.get(pname) || 0;
-      return v > 0 ? color(v) : "#e5e7eb";
-    })
-    .on("mousemove", (event, d) => {
-      const pname = d.properties.PRENAME;
-      const v = valueByProvince.get(pname) || 0;
+    .attr("d", path);
 
-      const metricLabel = selectedMetric === "cases" ? "Cases" : "Loss";
+  provinces.transition()
+    .duration(TRANSITION_MS)
+    .attr("fill", d => {
+      const entry = valueByProvince.get(d.properties.PRENAME);
+      return hasValue(entry) ? classification.scale(entry.value) : palette.noData;
+    });
 
+  // Tooltip, also read out as the province's label
+  const provinceTooltip = d => {
+    const pname = d.properties.PRENAME;
+    const entry = valueByProvince.get(pname);
+    return `<strong>${I18n.province(pname)}</strong><br>` +
+      (changeMode
+        ? changeDetail(entry)
+        : I18n.labelled(activeMetricLabel(), formatMetricValue(entry ? entry.value : 0, selectedMetric, selectedNorm)) +
+          normalisationDetail(entry));
+  };
+
+  provinces
+    .on("mousemove", (event, d) => {
       tooltip
         .style("display", "block")
         .style("left", (event.pageX + 12) + "px")
         .style("top", (event.pageY + 12) + "px")
-        .html(
-          `<strong>${pname}</strong><br>` +
-          `${metricLabel}: ${formatMetricValue(v, selectedMetric)}`
-        );
+        .html(provinceTooltip(d));
     })
     .on("mouseleave", () => {
       tooltip.style("display", "none");
+    })
+    .on("click", (event, d) => mapView.zoomTo(d))
+    .call(A11y.focusable, {
+      key: d => d.properties.PRENAME,
+      label: provinceTooltip,
+      onSelect: (event, d) => mapView.zoomTo(d)
     });
 
   featureSelection.exit().remove();
 
-  // Province labels
-  mapSvg.selectAll("text.region-label")
+  drawRegionLabels();
+  attachMapView();
+
+  // Stepped legend: one swatch per class, same breaks as the fill
+  d3.select("#legendLabel").text(
+    changeMode
+      ? I18n.t("overview.changeIn", { metric: activeMetricLabel(), from: changeFromYear, to: changeToYear })
+      : activeMetricLabel()
+  );
+  d3.select("#legendMethod").text(
+    changeMode
+      ? `${Classify.DIVERGING_LABEL} · ${I18n.t("common.divergingKey")}`
+      : Classify.METHODS[classification.method]
+  );
+
+  const formatClassValue = v => changeMode
+    ? formatChange(v)
+    : formatMetricValue(v, selectedMetric, selectedNorm);
+
+  updateLegendClasses(provinceValues.some(hasValue) ? classification.classes : [], formatClassValue);
+
+  // Subtitle: metric / filters
+  updateMapSubtitle(changeMode
+    ? I18n.t("overview.subtitle.change", {
+      from: changeFromYear,
+      to: changeToYear,
+      measure: I18n.t(`overview.measure.${changeMeasure}`)
+    })
+    : null);
+}
+
+// Province abbreviations, drawn once; MapView places and scales them
+function drawRegionLabels() {
+  const palette = Theme.palette();
+  mapLabels.selectAll("text.region-label")
     .data(geojson.features)
     .enter()
     .append("text")
     .attr("class", "region-label")
-    .text(d => d.properties.PREABBR)
-    .attr("transform", d => {
-      const [x, y] = path.centroid(d);
-      return `translate(${x}, ${y})`;
-    })
+    .text(d => I18n.provinceAbbr(d.properties.PRENAME))
     .attr("text-anchor", "middle")
     .attr("alignment-baseline", "middle")
     .style("font-size", "1em")
     .style("font-weight", "bold")
-    .style("fill", "#fff")
-    .style("stroke", "#333")
     .style("stroke-width", "2px")
     .style("paint-order", "stroke")
     .style("stroke-linejoin", "round")
     .style("pointer-events", "none");
 
-  // Legend labels
-  d3.select("#legendLabel").text(
-    selectedMetric === "cases" ? "Cases" : "Loss"
+  // Colours on every draw, so a theme switch reaches existing labels
+  mapLabels.selectAll("text.region-label")
+    .style("fill", palette.text)
+    .style("stroke", palette.halo);
+}
+
+// Zoom / pan, label scaling and inset for the drawn map
+function attachMapView() {
+  mapView = MapView.attach(mapSvg, {
+    width: mapWidth,
+    height: mapHeight,
+    path,
+    geojson,
+    inset: mapViewOptions.inset
+  });
+}
+
+// New projection: refit, drop the zoom (it was in the old coordinates), redraw
+function applyMapViewOptions() {
+  projection = MapView.projection(mapViewOptions.projection, [mapWidth, mapHeight], geojson);
+  path = d3.geoPath().projection(projection);
+  mapView.clear();
+  updateMap();
+}
+
+// Stepped legend rows (highest class on top), one per colour class
+function updateLegendClasses(classes, formatValue) {
+  const classRows = d3.select("#mapLegendClasses")
+    .selectAll("div.legend-class")
+    .data(classes.slice().reverse())
+    .join(enter => {
+      const row = enter.append("div").attr("class", "legend-class");
+      row.append("span").attr("class", "legend-swatch");
+      row.append("span").attr("class", "legend-range");
+      return row;
+    });
+
+  classRows.select(".legend-swatch").style("background", d => d.color);
+  classRows.select(".legend-range").text(d =>
+    `${formatValue(d.from)} – ${formatValue(d.to)} (${d.count})`
   );
-  d3.select("#legendMin").text("0");
-  d3.select("#legendMax").text(formatMetricValue(maxVal || 0, selectedMetric));
+}
+
+// Subtitle: period / filters / normalisation; periodText overrides the year
+function updateMapSubtitle(periodText) {
+  const genderText = selectedGender === "ALL"
+    ? I18n.t("overview.allGenders")
+    : I18n.t("overview.subtitle.gender", { gender: I18n.term(selectedGender) });
+  const ageText = selectedAge === "ALL"
+    ? I18n.t("overview.allAgeRanges")
+    : I18n.t("overview.subtitle.age", { age: selectedAge });
+  const yearText = periodText || (selectedYear == null
+    ? I18n.t("overview.allYears")
+    : I18n.t("overview.subtitle.year", { year: selectedYear }));
+
+  const normText = selectedNorm === "total" ? I18n.t("overview.rawTotals") : activeMetricLabel();
+
+  d3.select("#mapSubtitle").text(`${yearText} · ${genderText} · ${ageText} · ${normText}`);
+}
+
+// Cases and loss side by side for the two-metric modes. Loss uses the
+// active normalisation; cases fall back to totals for loss-only ones.
+function casesNorm() {
+  return FraudData.NORMALISATIONS[selectedNorm].lossOnly ? "total" : selectedNorm;
+}
+
+function metricPairByProvince() {
+  return aggregateByProvince(selectedYear).map(d => ({
+    province: d.province,
+    totals: d.totals,
+    cases: FraudData.normalise(d.totals, "cases", casesNorm(), d.province, yearsCovered(selectedYear)),
+    loss: FraudData.normalise(d.totals, "loss", selectedNorm, d.province, yearsCovered(selectedYear))
+  }));
+}
+
+function metricPairDetail(entry) {
+  if (!entry) return "";
+  return I18n.labelled(FraudData.metricLabel("cases", casesNorm()), formatMetricValue(entry.cases, "cases", casesNorm())) + "<br>" +
+    I18n.labelled(FraudData.metricLabel("loss", selectedNorm), formatMetricValue(entry.loss, "loss", selectedNorm));
+}
 
-  // Legend gradient background
-  const gradEl = d3.select("#mapLegendGradient");
-  if (maxVal === 0) {
-    gradEl.style("background", "linear-gradient(to right, #e5e7eb, #e5e7eb)");
+// Proportional symbols (size = selected metric, colour = the other one)
+// or a 3 x 3 bivariate choropleth of cases against loss
+function updateTwoMetricMap() {
+  const symbols = mapMode === "symbols";
+  const pairs = metricPairByProvince();
+  const pairByProvince = new Map(pairs.map(d => [d.province, d]));
+
+  // Fixed keys in every language; the normalisation is in the export's
+  // filter lines
+  exportRows.map = pairs.map(d => withVictims({
+    province: d.province,
+    cases: d.cases,
+    loss: d.loss
+  }, d.totals));
+  const reported = d => d && d.totals.cases > 0;
+
+  const sizeMetric = selectedMetric;
+  const colorMetric = selectedMetric === "cases" ? "loss" : "cases";
+  const normFor = metric => metric === "cases" ? casesNorm() : selectedNorm;
+
+  const colorClasses = Classify.classify(
+    pairs.filter(reported).map(d => d[colorMetric]),
+    classOptions,
+    Theme.ramp(colorMetric)
+  );
+  const bivariate = Classify.classifyBivariate(
+    pairs.filter(reported).map(d => ({ x: d.cases, y: d.loss }))
+  );
+
+  const featureSelection = mapLayer.selectAll("path.map-province")
+    .data(geojson.features, d => d.properties.PRUID);
+
+  const provinces = featureSelection.enter()
+    .append("path")
+    .attr("class", "map-province")
+    .attr("fill", Theme.palette().noData)
+    .merge(featureSelection)
+    .attr("d", path);
+
+  // Circles sit on a neutral base map
+  provinces.transition()
+    .duration(TRANSITION_MS)
+    .attr("fill", d => {
+      const entry = pairByProvince.get(d.properties.PRENAME);
+      if (symbols || !reported(entry)) return Theme.palette().noData;
+      return bivariate.cell(entry.cases, entry.loss).color;
+    });
+
+  const levels = ["low", "medium", "high"];
+  const tooltipHtml = pname => {
+    const entry = pairByProvince.get(pname);
+    const cellText = !symbols && reported(entry)
+      ? (c => `<br><span class="small">${I18n.t("overview.bivariate.cell", {
+        cases: I18n.t(`overview.level.${levels[c.x]}`),
+        loss: I18n.t(`overview.level.${levels[c.y]}`)
+      })}</span>`)(bivariate.cell(entry.cases, entry.loss))
+      : "";
+    return `<strong>${I18n.province(pname)}</strong><br>${metricPairDetail(entry)}${cellText}`;
+  };
+  const showTooltip = (event, pname) => {
+    tooltip
+      .style("display", "block")
+      .style("left", (event.pageX + 12) + "px")
+      .style("top", (event.pageY + 12) + "px")
+      .html(tooltipHtml(pname));
+  };
+
+  provinces
+    .on("mousemove", (event, d) => showTooltip(event, d.properties.PRENAME))
+    .on("mouseleave", () => tooltip.style("display", "none"))
+    .on("click", (event, d) => mapView.zoomTo(d))
+    .call(A11y.focusable, {
+      key: d => d.properties.PRENAME,
+      label: d => tooltipHtml(d.properties.PRENAME),
+      onSelect: (event, d) => mapView.zoomTo(d)
+    });
+
+  featureSelection.exit().remove();
+
+  // Graduated circles at province centroids (area ∝ value)
+  const maxRadius = Math.min(mapWidth, mapHeight) / 12;
+  const radius = d3.scaleSqrt()
+    .domain([0, d3.max(pairs, d => d[sizeMetric]) || 1])
+    .range([0, maxRadius]);
+
+  const symbolData = symbols
+    ? geojson.features
+      .map(f => ({ feature: f, entry: pairByProvince.get(f.properties.PRENAME) }))
+      .filter(d => reported(d.entry) && d.entry[sizeMetric] > 0)
+      .sort((a, b) => d3.descending(a.entry[sizeMetric], b.entry[sizeMetric]))
+    : [];
+
+  const symbolLayer = mapLayer.selectAll("g.map-symbols")
+    .data([null])
+    .join("g")
+    .attr("class", "map-symbols");
+
+  symbolLayer.selectAll("circle.map-symbol")
+    .data(symbolData, d => d.feature.properties.PRUID)
+    .join(
+      enter => enter.append("circle")
+        .attr("class", "map-symbol")
+        .attr("r", 0),
+      update => update,
+      exit => exit.transition().duration(TRANSITION_MS).attr("r", 0).remove()
+    )
+    .attr("cx", d => path.centroid(d.feature)[0])
+    .attr("cy", d => path.centroid(d.feature)[1])
+    .on("mousemove", (event, d) => showTooltip(event, d.entry.province))
+    .on("mouseleave", () => tooltip.style("display", "none"))
+    .on("click", (event, d) => mapView.zoomTo(d.feature))
+    .transition()
+    .duration(TRANSITION_MS)
+    .attr("r", d => radius(d.entry[sizeMetric]))
+    .attr("fill", d => colorClasses.scale(d.entry[colorMetric]));
+
+  drawRegionLabels();
+  attachMapView();
+
+  // Legend: colour classes + size key, or the 3 x 3 square
+  const extra = d3.select("#mapLegendExtra");
+  extra.selectAll("*").remove();
+
+  if (symbols) {
+    d3.select("#legendLabel").text(
+      I18n.t("overview.symbols.legend", {
+        size: FraudData.metricLabel(sizeMetric, normFor(sizeMetric)),
+        colour: FraudData.metricLabel(colorMetric, normFor(colorMetric))
+      })
+    );
+    d3.select("#legendMethod").text(Classify.METHODS[colorClasses.method]);
+    updateLegendClasses(
+      symbolData.length ? colorClasses.classes : [],
+      v => formatMetricValue(v, colorMetric, normFor(colorMetric))
+    );
+
+    // Nested circles for the largest value, half and a tenth of it
+    const maxValue = radius.domain()[1];
+    const keyValues = symbolData.length ? [maxValue, maxValue / 2, maxValue / 10] : [];
+    const keySvg = extra.append("svg")
+      .attr("class", "symbol-key")
+      .attr("width", maxRadius * 2 + 90)
+      .attr("height", maxRadius * 2 + 4);
+
+    const key = keySvg.selectAll("g")
+      .data(keyValues)
+      .enter()
+      .append("g");
+
+    key.append("circle")
+      .attr("cx", maxRadius + 2)
+      .attr("cy", v => maxRadius * 2 + 2 - radius(v))
+      .attr("r", v => radius(v));
+
+    key.append("text")
+      .attr("x", maxRadius * 2 + 8)
+      .attr("y", v => maxRadius * 2 + 2 - 2 * radius(v))
+      .attr("alignment-baseline", "middle")
+      .text(v => formatMetricValue(v, sizeMetric, normFor(sizeMetric)));
   } else {
-    const stops = [0, 0.25, 0.5, 0.75, 1].map(t => interp(t));
-    const grad = `linear-gradient(to right, ${stops.join(",")})`;
-    gradEl.style("background", grad);
+    d3.select("#legendLabel").text(
+      I18n.t("overview.bivariate.legend", {
+        cases: FraudData.metricLabel("cases", casesNorm()),
+        loss: FraudData.metricLabel("loss", selectedNorm)
+      })
+    );
+    d3.select("#legendMethod").text(I18n.t("overview.bivariate.method"));
+    updateLegendClasses([], String);
+    Classify.renderBivariateLegend("#mapLegendExtra", I18n.t("metric.cases"), I18n.t("metric.loss"), bivariate);
   }
 
-  // Subtitle: metric / filters
-  const genderText = selectedGender === "ALL" ? "All genders" : `Gender: ${selectedGender}`;
-  const ageText = selectedAge === "ALL" ? "All age ranges" : `Age: ${selectedAge}`;
-  const yearText = selectedYear == null ? "All years" : `Year: ${selectedYear}`;
+  updateMapSubtitle(null);
+}
+
+// Direction and size of a change, plus the two values it compares
+function changeDetail(entry) {
+  if (!entry || !entry.change) {
+    return I18n.t("change.noValue", { from: changeFromYear, to: changeToYear });
+  }
+
+  const c = entry.change;
+  const direction = I18n.t(c.abs > 0 ? "change.increase" : c.abs < 0 ? "change.decrease" : "change.none");
+  const pct = c.pct == null
+    ? I18n.t("change.noReports", { year: changeFromYear })
+    : formatChange(c.pct, "pct");
+
+  return `${I18n.labelled(direction, formatChange(c.abs, "abs"))} (${pct})<br>` +
+    `<span class="small">${I18n.labelled(activeMetricLabel(),
+      `${changeFromYear} ${formatMetricValue(c.from, selectedMetric, selectedNorm)} → ` +
+      `${changeToYear} ${formatMetricValue(c.to, selectedMetric, selectedNorm)}`)}</span>`;
+}
 
-  d3.select("#mapSubtitle").text(`${yearText} · ${genderText} · ${ageText}`);
+// Raw totals behind a normalised value, shown under it in tooltips
+function normalisationDetail(entry) {
+  if (selectedNorm === "total" || !entry) return "";
+  const t = entry.totals;
+  const part = (key, value) => I18n.labelled(I18n.t(key), value);
+  const parts = [part("metric.cases", formatInt(t.cases)), part("metric.loss", formatDollar(t.loss))];
+  if (selectedNorm === "per100k") {
+    parts.push(part("common.population", formatInt(FraudData.population(entry.province, selectedYear))));
+  }
+  if (selectedNorm === "perVictim") parts.push(part("common.victims", formatInt(t.victims)));
+  return `<br><span class="small">${parts.join(" · ")}</span>`;
 }
 
 
 // -------------------------------------------------------------------
-// 10) TREND CHART (YEARLY CASES/LOSS)
+// 9) TREND CHART (YEARLY CASES/LOSS)
 // -------------------------------------------------------------------
 function updateTrendChart() {
   trendSvg.selectAll("*").remove();
@@ -435,7 +959,7 @@ function updateTrendChart() {
   const innerWidth = trendWidth - margin.left - margin.right;
   const innerHeight = trendHeight - margin.top - margin.bottom;
 
-  const trendColor = selectedMetric === "cases" ? greenColor : purpleColor;
+  const trendColor = Theme.metricColor(selectedMetric);
 
   const g = trendSvg.append("g")
     .attr("transform", `translate(${margin.left},${margin.top})`);
@@ -443,6 +967,8 @@ function updateTrendChart() {
   const data = aggregateByYear();
   const maxVal = d3.max(data, d => d.value) || 0;
 
+  exportRows.trend = data.map(d => ({ year: d.year, value: d.value }));
+
   const x = d3.scalePoint()
     .domain(data.map(d => d.year))
     .range([0, innerWidth])
@@ -456,7 +982,7 @@ function updateTrendChart() {
   const xAxis = d3.axisBottom(x).tickFormat(d3.format("d"));
   const yAxis = d3.axisLeft(y)
     .ticks(4)
-    .tickFormat(v => formatMetricValue(v, selectedMetric));
+    .tickFormat(v => formatMetricValue(v, selectedMetric, selectedNorm));
 
   g.append("g")
     .attr("class", "axis x-axis")
@@ -471,8 +997,20 @@ function updateTrendChart() {
     .x(d => x(d.year))
     .y(d => y(d.value));
 
+  const pointTooltip = d =>
+    `<strong>${d.year}</strong><br>` +
+    I18n.labelled(activeMetricLabel(), formatMetricValue(d.value, selectedMetric, selectedNorm));
+
+  const selectYear = d => {
+    stopPlayback();
+    selectedYear = d.year;
+    d3.select("#allYearsBtn").classed("active", false);
+    updateAll();
+  };
+
   g.append("path")
     .datum(data)
+    .attr("class", "trend-line")
     .attr("fill", "none")
     .attr("stroke", trendColor)
     .attr("stroke-width", 2)
@@ -494,43 +1032,82 @@ function updateTrendChart() {
         .style("display", "block")
         .style("left", (event.pageX + 12) + "px")
         .style("top", (event.pageY + 12) + "px")
-        .html(
-          `<strong>${d.year}</strong><br>` +
-          `${selectedMetric === "cases" ? "Cases" : "Loss"}: ${formatMetricValue(d.value, selectedMetric)}`
-        );
+        .html(pointTooltip(d));
     })
     .on("mouseleave", () => {
       tooltip.style("display", "none");
     })
-    .on("click", (event, d) => {
-      selectedYear = d.year;
-      d3.select("#allYearsBtn").classed("active", false);
-      updateAll();
+    .on("click", (event, d) => selectYear(d))
+    .call(A11y.focusable, {
+      key: d => String(d.year),
+      label: pointTooltip,
+      onSelect: (event, d) => selectYear(d),
+      selected: d => d.year === selectedYear
     });
+
+  // Current year marker (clicked or played)
+  if (selectedYear != null && x(selectedYear) != null) {
+    const current = data.find(d => d.year === selectedYear);
+
+    g.insert("line", ".trend-line")
+      .attr("class", "current-year-line")
+      .attr("x1", x(selectedYear))
+      .attr("x2", x(selectedYear))
+      .attr("y1", 0)
+      .attr("y2", innerHeight)
+      .attr("stroke", trendColor)
+      .attr("stroke-dasharray", "3,3");
+
+    g.append("text")
+      .attr("class", "current-year-label")
+      .attr("x", x(selectedYear))
+      .attr("y", y(current.value) - 8)
+      .attr("text-anchor", "middle")
+      .style("fill", Theme.palette().text)
+      .style("font-size", "0.65rem")
+      .style("font-weight", "bold")
+      .style("pointer-events", "none")
+      .text(selectedYear);
+  }
 }
 
 
 // -------------------------------------------------------------------
-// 11) BAR CHART (TOP PROVINCES)
+// 10) BAR CHART (TOP PROVINCES)
 // -------------------------------------------------------------------
 function updateBarChart() {
-  barSvg.selectAll("*").remove();
-
   const margin = { top: 4, right: 20, bottom: 20, left: 110 };
   const innerWidth = barWidth - margin.left - margin.right;
   const innerHeight = barHeight - margin.top - margin.bottom;
 
-  const barColor = selectedMetric === "cases" ? greenColor : purpleColor;
+  const barColor = Theme.metricColor(selectedMetric);
 
-  const g = barSvg.append("g")
-    .attr("transform", `translate(${margin.left},${margin.top})`);
+  // Groups persist between updates so bars can slide to their new rank
+  let g = barSvg.select("g.bar-chart");
+  if (g.empty()) {
+    g = barSvg.append("g").attr("class", "bar-chart");
+    g.append("g").attr("class", "axis y-axis");
+    g.append("g").attr("class", "axis x-axis");
+  }
+  g.attr("transform", `translate(${margin.left},${margin.top})`);
+
+  // Rank by volume in the selected year, or by change between the
+  // chosen years (bars then grow left or right from zero)
+  const growth = barRanking === "growth";
 
-  const data = aggregateByProvince(selectedYear)
-    .filter(d => d.value > 0)
+  const data = (growth ? changeByProvince() : aggregateByProvince(selectedYear))
+    .filter(d => growth ? d.value != null : d.value > 0)
     .sort((a, b) => d3.descending(a.value, b.value))
     .slice(0, 10); // top 10
 
+  exportRows.bar = data.map((d, i) => ({
+    rank: i + 1,
+    province: d.province,
+    [growth ? (changeMeasure === "pct" ? "change_pct" : "change") : "value"]: d.value
+  }));
+
   const maxVal = d3.max(data, d => d.value) || 0;
+  const minVal = Math.min(0, d3.min(data, d => d.value) || 0);
 
   const y = d3.scaleBand()
     .domain(data.map(d => d.province))
@@ -538,83 +1115,139 @@ function updateBarChart() {
     .padding(0.22);
 
   const x = d3.scaleLinear()
-    .domain([0, maxVal || 1])
+    .domain([minVal, maxVal || 1])
     .range([0, innerWidth])
     .nice();
 
-  const yAxis = d3.axisLeft(y);
+  const barFill = d => growth
+    ? Theme.palette().diverging(d.value >= 0 ? 0.85 : 0.15)
+    : barColor;
+
+  const barTooltip = d =>
+    `<strong>${I18n.province(d.province)}</strong><br>` +
+    (growth
+      ? changeDetail(d)
+      : I18n.labelled(activeMetricLabel(), formatMetricValue(d.value, selectedMetric, selectedNorm)) +
+        normalisationDetail(d));
+
+  const yAxis = d3.axisLeft(y).tickFormat(I18n.province);
   const xAxis = d3.axisBottom(x)
     .ticks(4)
-    .tickFormat(v => formatMetricValue(v, selectedMetric));
+    .tickFormat(v => growth ? formatChange(v) : formatMetricValue(v, selectedMetric, selectedNorm));
 
-  g.append("g")
-    .attr("class", "axis y-axis")
+  const t = barSvg.transition().duration(TRANSITION_MS);
+
+  g.select(".y-axis")
+    .transition(t)
     .call(yAxis);
 
-  g.append("g")
-    .attr("class", "axis x-axis")
+  g.select(".x-axis")
     .attr("transform", `translate(0,${innerHeight})`)
+    .transition(t)
     .call(xAxis);
 
-  const bars = g.selectAll("rect.bar")
-    .data(data, d => d.province);
-
-  bars.enter()
-    .append("rect")
-    .attr("class", "bar")
-    .attr("x", 0)
-    .attr("y", d => y(d.province))
-    .attr("height", y.bandwidth())
-    .attr("width", d => x(d.value))
-    .attr("fill", barColor)
+  g.selectAll("rect.bar")
+    .data(data, d => d.province)
+    .join(
+      enter => enter.append("rect")
+        .attr("class", "bar")
+        .attr("x", x(0))
+        .attr("y", d => y(d.province))
+        .attr("height", y.bandwidth())
+        .attr("width", 0),
+      update => update,
+      exit => exit.transition(t)
+        .attr("width", 0)
+        .style("opacity", 0)
+        .remove()
+    )
     .on("mousemove", (event, d) => {
       tooltip
         .style("display", "block")
         .style("left", (event.pageX + 12) + "px")
         .style("top", (event.pageY + 12) + "px")
-        .html(
-          `<strong>${d.province}</strong><br>` +
-          `${selectedMetric === "cases" ? "Cases" : "Loss"}: ${formatMetricValue(d.value, selectedMetric)}`
-        );
+        .html(barTooltip(d));
     })
     .on("mouseleave", () => {
       tooltip.style("display", "none");
-    });
-
-  bars.exit().remove();
+    })
+    .call(A11y.focusable, {
+      key: d => d.province,
+      label: d => `${I18n.t("overview.rank", { rank: data.indexOf(d) + 1 })}<br>${barTooltip(d)}`
+    })
+    .transition(t)
+    .attr("x", d => x(Math.min(0, d.value)))
+    .attr("y", d => y(d.province))
+    .attr("height", y.bandwidth())
+    .attr("width", d => Math.abs(x(d.value) - x(0)))
+    .attr("fill", barFill)
+    .style("opacity", 1);
 }
 
 
 // -------------------------------------------------------------------
-// 12) GENDER DONUT CHART
+// 11) GENDER DONUT CHART
 // -------------------------------------------------------------------
+// Donuts are redrawn on every update; slices animate from the angles
+// they had last time (new categories grow from their start angle)
+function tweenSlices(paths, arc, previous) {
+  const from = new Map(previous);
+
+  previous.clear();
+  paths.each(d => previous.set(d.data[0], { startAngle: d.startAngle, endAngle: d.endAngle }));
+
+  paths
+    .attr("d", d => arc(from.get(d.data[0]) || { startAngle: d.startAngle, endAngle: d.startAngle }))
+    .transition()
+    .duration(TRANSITION_MS)
+    .attrTween("d", d => {
+      const start = from.get(d.data[0]) || { startAngle: d.startAngle, endAngle: d.startAngle };
+      const interpolate = d3.interpolate(start, { startAngle: d.startAngle, endAngle: d.endAngle });
+      return t => arc(interpolate(t));
+    });
+}
+
 function updateGenderChart() {
   genderG.selectAll("*").remove();
 
-  // 1) Filter data
-  const rows = fraudData.mapByYear.filter(d => {
-    if (!d.regionNormalized) return false;
-    if (selectedYear != null && d.year !== selectedYear) return false;
-    if (selectedAge !== "ALL" && d.ageRange !== selectedAge) return false;
-    return true;
-  });
-
-  const grouped = d3.rollup(
-    rows,
-    v => d3.sum(v, d => d[selectedMetric]),
-    d => d.gender
+  // 1) Filter + group data
+  const grouped = FraudData.cubeRollup(
+    fraudData,
+    { year: selectedYear, ageRange: selectedAge },
+    "gender"
   );
 
-  const data = Array.from(grouped)
-    .filter(d => d[0] !== "ALL")
+  const data = Array.from(grouped, ([key, v]) => [key, v[selectedMetric]])
     .sort((a, b) => b[1] - a[1]);
 
   const total = d3.sum(data, d => d[1]);
 
+  exportRows.gender = data.map(([gender, value]) => ({ gender, [selectedMetric]: value, share: total ? value / total : 0 }));
+
+  // Tooltip (also the slice's screen-reader label) and click action
+  const sliceTooltip = d => {
+    const percent = I18n.percent(total > 0 ? d.data[1] / total * 100 : 0);
+    return `<strong>${I18n.term(d.data[0])}</strong><br>` +
+      I18n.labelled(I18n.t(`metric.${selectedMetric}`), formatMetricValue(d.data[1], selectedMetric)) + "<br>" +
+      I18n.labelled(I18n.t("common.share"), percent);
+  };
+
+  const toggleGender = d => {
+    const clickedGender = d.data[0];
+    if (selectedGender === clickedGender) {
+      selectedGender = "ALL";
+      d3.select("#allGendersBtn").classed("active", true);
+    } else {
+      selectedGender = clickedGender;
+      d3.select("#allGendersBtn").classed("active", false);
+    }
+    updateAll();
+  };
+
   // 2) Colors (match age chart)
   const color = d3.scaleOrdinal()
     .domain(data.map(d => d[0]))
-    .range(d3.schemeSet3);
+    .range(Theme.palette().categorical);
 
   // 3) Pie layout
   const pie = d3.pie().value(d => d[1]).sort(null);
@@ -662,46 +1295,36 @@ function updateGenderChart() {
 
   const allLabels = [...rightLabels, ...leftLabels];
 
-  // 6) Slices
+  // 6) Slices (tween from the previous draw's angles)
   genderG.selectAll("path")
     .data(data_ready)
     .enter()
     .append("path")
-    .attr("d", arc)
+    .call(tweenSlices, arc, previousGenderSlices)
     .attr("fill", d => color(d.data[0]))
-    .attr("stroke", d => d.data[0] === selectedGender ? "white" : "none")
+    .attr("stroke", d => d.data[0] === selectedGender ? Theme.palette().text : "none")
     .style("stroke-width", "2px")
     .style("cursor", "pointer")
     .attr("opacity", d => {
       if (selectedGender === "ALL") return 0.7;
       return d.data[0] === selectedGender ? 1.0 : 0.3;
     })
-    .on("click", (event, d) => {
-      const clickedGender = d.data[0];
-      if (selectedGender === clickedGender) {
-        selectedGender = "ALL";
-        d3.select("#allGendersBtn").classed("active", true);
-      } else {
-        selectedGender = clickedGender;
-        d3.select("#allGendersBtn").classed("active", false);
-      }
-      updateAll();
-    })
+    .on("click", (event, d) => toggleGender(d))
     .on("mousemove", (event, d) => {
-      const percent = total > 0 ? (d.data[1] / total * 100).toFixed(1) + "%" : "0%";
-
       tooltip
         .style("display", "block")
         .style("left", (event.pageX + 12) + "px")
         .style("top", (event.pageY + 12) + "px")
-        .html(
-          `<strong>${d.data[0]}</strong><br>` +
-          `${selectedMetric === "cases" ? "Cases" : "Loss"}: ${formatMetricValue(d.data[1], selectedMetric)}<br>` +
-          `Share: ${percent}`
-        );
+        .html(sliceTooltip(d));
     })
     .on("mouseleave", () => {
       tooltip.style("display", "none");
+    })
+    .call(A11y.focusable, {
+      key: d => d.data[0],
+      label: sliceTooltip,
+      onSelect: (event, d) => toggleGender(d),
+      selected: d => d.data[0] === selectedGender
     });
 
   // 7) Polylines
@@ -709,7 +1332,7 @@ function updateGenderChart() {
     .data(allLabels)
     .enter()
     .append("polyline")
-    .attr("stroke", "white")
+    .attr("stroke", Theme.palette().text)
     .style("fill", "none")
     .attr("stroke-width", 1)
     .attr("opacity", l => {
@@ -723,28 +1346,21 @@ function updateGenderChart() {
     .data(allLabels)
     .enter()
     .append("text")
-    .text(l => l.d.data[0])
+    .text(l => I18n.term(l.d.data[0]))
     .attr("transform", l => `translate(${l.posC})`)
     .style("text-anchor", l => l.isRight ? "start" : "end")
     .style("font-size", "0.8em")
-    .style("fill", "white")
+    .style("fill", Theme.palette().text)
     .style("opacity", l => {
       if (selectedGender === "ALL") return 1;
       return l.d.data[0] === selectedGender ? 1 : 0.2;
     })
     .on("mousemove", (event, l) => {
-      const d = l.d;
-      const percent = total > 0 ? (d.data[1] / total * 100).toFixed(1) + "%" : "0%";
-
       tooltip
         .style("display", "block")
         .style("left", (event.pageX + 12) + "px")
         .style("top", (event.pageY + 12) + "px")
-        .html(
-          `<strong>${d.data[0]}</strong><br>` +
-          `${selectedMetric === "cases" ? "Cases" : "Loss"}: ${formatMetricValue(d.data[1], selectedMetric)}<br>` +
-          `Share: ${percent}`
-        );
+        .html(sliceTooltip(l.d));
     })
     .on("mouseleave", () => {
       tooltip.style("display", "none");
@@ -753,35 +1369,50 @@ function updateGenderChart() {
 
 
 // -------------------------------------------------------------------
-// 13) AGE DONUT CHART
+// 12) AGE DONUT CHART
 // -------------------------------------------------------------------
 function updateAgeChart() {
   donutG.selectAll("*").remove();
 
-  // 1) Filter data
-  const rows = fraudData.mapByYear.filter(d => {
-    if (!d.regionNormalized) return false;
-    if (selectedYear != null && d.year !== selectedYear) return false;
-    if (selectedGender !== "ALL" && d.gender !== selectedGender) return false;
-    return true;
-  });
-
-  const grouped = d3.rollup(
-    rows,
-    v => d3.sum(v, d => d[selectedMetric]),
-    d => d.ageRange
+  // 1) Filter + group data
+  const grouped = FraudData.cubeRollup(
+    fraudData,
+    { year: selectedYear, gender: selectedGender },
+    "ageRange"
   );
 
-  const data = Array.from(grouped)
-    .filter(d => d[0] !== "ALL")
+  const data = Array.from(grouped, ([key, v]) => [key, v[selectedMetric]])
     .sort((a, b) => metaAgeRanges.indexOf(a[0]) - metaAgeRanges.indexOf(b[0]));
 
   const total = d3.sum(data, d => d[1]);
 
+  exportRows.age = data.map(([ageRange, value]) => ({ ageRange, [selectedMetric]: value, share: total ? value / total : 0 }));
+
+  // Tooltip (also the slice's screen-reader label) and click action
+  const sliceTooltip = d => {
+    const percent = I18n.percent(total > 0 ? d.data[1] / total * 100 : 0);
+    return `<strong>${I18n.term(d.data[0])}</strong><br>` +
+      I18n.labelled(I18n.t(`metric.${selectedMetric}`), formatMetricValue(d.data[1], selectedMetric)) + "<br>" +
+      I18n.labelled(I18n.t("common.share"), percent);
+  };
+
+  const toggleAge = d => {
+    const clickedAge = d.data[0];
+
+    if (selectedAge === clickedAge) {
+      selectedAge = "ALL";
+      d3.select("#allAgesBtn").classed("active", true);
+    } else {
+      selectedAge = clickedAge;
+      d3.select("#allAgesBtn").classed("active", false);
+    }
+    updateAll();
+  };
+
   // 2) Colors (match gender chart)
   const color = d3.scaleOrdinal()
     .domain(data.map(d => d[0]))
-    .range(d3.schemeSet3);
+    .range(Theme.palette().categorical);
 
   // 3) Pie layout
   const pie = d3.pie()
@@ -833,47 +1464,36 @@ function updateAgeChart() {
 
   const allLabels = [...rightLabels, ...leftLabels];
 
-  // 6) Slices
+  // 6) Slices (tween from the previous draw's angles)
   donutG.selectAll("allSlices")
     .data(data_ready)
     .enter()
     .append("path")
-    .attr("d", arc)
+    .call(tweenSlices, arc, previousAgeSlices)
     .attr("fill", d => color(d.data[0]))
     .attr("opacity", d => {
       if (selectedAge === "ALL") return 0.7;
       return d.data[0] === selectedAge ? 1.0 : 0.3;
     })
-    .attr("stroke", d => d.data[0] === selectedAge ? "white" : "none")
+    .attr("stroke", d => d.data[0] === selectedAge ? Theme.palette().text : "none")
     .attr("stroke-width", "2px")
     .style("cursor", "pointer")
-    .on("click", (event, d) => {
-      const clickedAge = d.data[0];
-
-      if (selectedAge === clickedAge) {
-        selectedAge = "ALL";
-        d3.select("#allAgesBtn").classed("active", true);
-      } else {
-        selectedAge = clickedAge;
-        d3.select("#allAgesBtn").classed("active", false);
-      }
-      updateAll();
-    })
+    .on("click", (event, d) => toggleAge(d))
     .on("mousemove", (event, d) => {
-      const percent = total > 0 ? (d.data[1] / total * 100).toFixed(1) + "%" : "0%";
-
       tooltip
         .style("display", "block")
         .style("left", (event.pageX + 12) + "px")
         .style("top", (event.pageY + 12) + "px")
-        .html(
-          `<strong>${d.data[0]}</strong><br>` +
-          `${selectedMetric === "cases" ? "Cases" : "Loss"}: ${formatMetricValue(d.data[1], selectedMetric)}<br>` +
-          `Share: ${percent}`
-        );
+        .html(sliceTooltip(d));
     })
     .on("mouseleave", () => {
       tooltip.style("display", "none");
+    })
+    .call(A11y.focusable, {
+      key: d => d.data[0],
+      label: sliceTooltip,
+      onSelect: (event, d) => toggleAge(d),
+      selected: d => d.data[0] === selectedAge
     });
 
   // 7) Polylines
@@ -881,7 +1501,7 @@ function updateAgeChart() {
     .data(allLabels)
     .enter()
     .append("polyline")
-    .attr("stroke", "white")
+    .attr("stroke", Theme.palette().text)
     .style("fill", "none")
     .attr("stroke-width", 1)
     .attr("opacity", l => {
@@ -895,37 +1515,519 @@ function updateAgeChart() {
     .data(allLabels)
     .enter()
     .append("text")
-    .text(l => l.d.data[0])
+    .text(l => I18n.term(l.d.data[0]))
     .attr("transform", l => `translate(${l.posC})`)
     .style("text-anchor", l => l.isRight ? "start" : "end")
     .style("font-size", "0.8em")
-    .style("fill", "white")
+    .style("fill", Theme.palette().text)
     .style("opacity", l => {
       if (selectedAge === "ALL") return 1;
       return l.d.data[0] === selectedAge ? 1 : 0.2;
     })
     .on("mousemove", (event, l) => {
-      const d = l.d;
-      const percent = total > 0 ? (d.data[1] / total * 100).toFixed(1) + "%" : "0%";
+      tooltip
+        .style("display", "block")
+        .style("left", (event.pageX + 12) + "px")
+        .style("top", (event.pageY + 12) + "px")
+        .html(sliceTooltip(l.d));
+    })
+    .on("mouseleave", () => {
+      tooltip.style("display", "none");
+    });
+}
+
+
+// -------------------------------------------------------------------
+// 13) AGE x GENDER PYRAMID
+// -------------------------------------------------------------------
+// Male to the left, female to the right on one scale; the remaining
+// gender categories are stacked in a narrow column on their own scale
+// so they stay visible. Raw totals of the selected metric.
+const PYRAMID_LEFT = "Male";
+const PYRAMID_RIGHT = "Female";
+
+function updatePyramidChart() {
+  pyramidSvg.selectAll("*").remove();
+
+  const margin = { top: 22, right: 10, bottom: 24, left: 10 };
+  const innerWidth = pyramidWidth - margin.left - margin.right;
+  const innerHeight = pyramidHeight - margin.top - margin.bottom;
+  if (innerWidth <= 0 || innerHeight <= 0) return;
+
+  // 1) Metric per gender and age range
+  const ages = metaAgeRanges.slice().reverse();  // oldest on top
+  const others = metaGenders.filter(g => g !== PYRAMID_LEFT && g !== PYRAMID_RIGHT);
+
+  const valueByGender = new Map(metaGenders.map(gender => {
+    const grouped = FraudData.cubeRollup(
+      fraudData,
+      { year: selectedYear, province: pyramidRegion, gender },
+      "ageRange"
+    );
+    return [gender, new Map(ages.map(age => [age, (grouped.get(age) || {})[selectedMetric] || 0]))];
+  }));
+  const value = (gender, age) => (valueByGender.get(gender) || new Map()).get(age) || 0;
+
+  exportRows.pyramid = metaAgeRanges.flatMap(ageRange =>
+    metaGenders.map(gender => ({ ageRange, gender, [selectedMetric]: value(gender, ageRange) }))
+  );
+
+  // 2) Layout: [left bars | age labels | right bars] gap [others]
+  const labelWidth = 52;
+  const otherWidth = others.length ? innerWidth * 0.2 : 0;
+  const gap = others.length ? 18 : 0;
+  const side = (innerWidth - otherWidth - gap - labelWidth) / 2;
+  const centre = side + labelWidth / 2;
+  const otherX = 2 * side + labelWidth + gap;
+
+  const y = d3.scaleBand().domain(ages).range([0, innerHeight]).padding(0.15);
+
+  const maxSide = d3.max(ages, age => Math.max(value(PYRAMID_LEFT, age), value(PYRAMID_RIGHT, age))) || 1;
+  const x = d3.scaleLinear().domain([0, maxSide]).range([0, side]).nice();
 
+  const maxOther = d3.max(ages, age => d3.sum(others, g => value(g, age))) || 1;
+  const xOther = d3.scaleLinear().domain([0, maxOther]).range([0, otherWidth]).nice();
+
+  const color = d3.scaleOrdinal()
+    .domain(metaGenders)
+    .range(Theme.palette().categorical);
+
+  const g = pyramidSvg.append("g")
+    .attr("transform", `translate(${margin.left},${margin.top})`);
+
+  // 3) Bars: one per gender and age range; others stacked
+  const bars = [];
+  ages.forEach(age => {
+    bars.push({ gender: PYRAMID_LEFT, age, value: value(PYRAMID_LEFT, age), x0: centre - labelWidth / 2 - x(value(PYRAMID_LEFT, age)), width: x(value(PYRAMID_LEFT, age)) });
+    bars.push({ gender: PYRAMID_RIGHT, age, value: value(PYRAMID_RIGHT, age), x0: centre + labelWidth / 2, width: x(value(PYRAMID_RIGHT, age)) });
+
+    let offset = 0;
+    others.forEach(gender => {
+      const v = value(gender, age);
+      bars.push({ gender, age, value: v, x0: otherX + xOther(offset), width: xOther(offset + v) - xOther(offset) });
+      offset += v;
+    });
+  });
+
+  const isSelected = d =>
+    (selectedGender === "ALL" || selectedGender === d.gender) &&
+    (selectedAge === "ALL" || selectedAge === d.age);
+
+  const barTooltip = d => {
+    const ageTotal = d3.sum(metaGenders, gender => value(gender, d.age));
+    const percent = I18n.percent(ageTotal > 0 ? d.value / ageTotal * 100 : 0);
+    return `<strong>${I18n.term(d.gender)}, ${d.age}</strong><br>` +
+      I18n.labelled(I18n.t(`metric.${selectedMetric}`), formatMetricValue(d.value, selectedMetric)) + "<br>" +
+      I18n.labelled(I18n.t("overview.pyramid.shareOfAge", { age: d.age }), percent);
+  };
+
+  // Sets gender and age together; selecting the selected bar clears both
+  const selectBar = d => {
+    const same = selectedGender === d.gender && selectedAge === d.age;
+    selectedGender = same ? "ALL" : d.gender;
+    selectedAge = same ? "ALL" : d.age;
+    d3.select("#allGendersBtn").classed("active", selectedGender === "ALL");
+    d3.select("#allAgesBtn").classed("active", selectedAge === "ALL");
+    updateAll();
+  };
+
+  g.selectAll("rect.pyramid-bar")
+    .data(bars.filter(d => d.value > 0))
+    .enter()
+    .append("rect")
+    .attr("class", "pyramid-bar")
+    .attr("x", d => d.x0)
+    .attr("y", d => y(d.age))
+    .attr("width", d => d.width)
+    .attr("height", y.bandwidth())
+    .attr("fill", d => color(d.gender))
+    .attr("opacity", d => isSelected(d) ? 0.9 : 0.3)
+    .attr("stroke", d => d.gender === selectedGender && d.age === selectedAge ? Theme.palette().text : "none")
+    .style("cursor", "pointer")
+    .on("click", (event, d) => selectBar(d))
+    .on("mousemove", (event, d) => {
       tooltip
         .style("display", "block")
         .style("left", (event.pageX + 12) + "px")
         .style("top", (event.pageY + 12) + "px")
-        .html(
-          `<strong>${d.data[0]}</strong><br>` +
-          `${selectedMetric === "cases" ? "Cases" : "Loss"}: ${formatMetricValue(d.data[1], selectedMetric)}<br>` +
-          `Share: ${percent}`
-        );
+        .html(barTooltip(d));
     })
     .on("mouseleave", () => {
       tooltip.style("display", "none");
+    })
+    .call(A11y.focusable, {
+      key: d => `${d.gender}|${d.age}`,
+      label: barTooltip,
+      onSelect: (event, d) => selectBar(d),
+      selected: d => d.gender === selectedGender && d.age === selectedAge
+    });
+
+  // 4) Age labels down the middle
+  g.selectAll("text.pyramid-age")
+    .data(ages)
+    .enter()
+    .append("text")
+    .attr("class", "pyramid-age")
+    .attr("x", centre)
+    .attr("y", d => y(d) + y.bandwidth() / 2)
+    .attr("text-anchor", "middle")
+    .attr("alignment-baseline", "middle")
+    .text(d => d);
+
+  // 5) Axes (left axis runs right to left) + column headings
+  const tickFormat = v => formatMetricValue(v, selectedMetric);
+  const xLeft = d3.scaleLinear().domain(x.domain()).range([centre - labelWidth / 2, centre - labelWidth / 2 - side]);
+
+  g.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(0,${innerHeight})`)
+    .call(d3.axisBottom(xLeft).ticks(3).tickFormat(tickFormat));
+
+  g.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(${centre + labelWidth / 2},${innerHeight})`)
+    .call(d3.axisBottom(x).ticks(3).tickFormat(tickFormat));
+
+  const headings = [
+    { text: I18n.term(PYRAMID_LEFT), x: centre - labelWidth / 2 - side / 2 },
+    { text: I18n.term(PYRAMID_RIGHT), x: centre + labelWidth / 2 + side / 2 }
+  ];
+
+  if (others.length) {
+    g.append("g")
+      .attr("class", "axis")
+      .attr("transform", `translate(${otherX},${innerHeight})`)
+      .call(d3.axisBottom(xOther).ticks(2).tickFormat(tickFormat));
+    headings.push({ text: I18n.t("overview.pyramid.others"), x: otherX + otherWidth / 2 });
+  }
+
+  g.selectAll("text.pyramid-heading")
+    .data(headings)
+    .enter()
+    .append("text")
+    .attr("class", "pyramid-heading")
+    .attr("x", d => d.x)
+    .attr("y", -8)
+    .attr("text-anchor", "middle")
+    .text(d => d.text);
+}
+
+
+// -------------------------------------------------------------------
+// 14) YEAR PLAYBACK (PLAY / PAUSE / STEP)
+// -------------------------------------------------------------------
+// Steps selectedYear through metaYears; the charts tween between years.
+// A whole playback run is a single undo step.
+const PLAYBACK_INTERVAL = 1600;  // ms per year, longer than TRANSITION_MS
+
+let playbackTimer = null;
+
+function isPlaying() {
+  return playbackTimer !== null;
+}
+
+function showPlaybackYear(year) {
+  selectedYear = year;
+  d3.select("#allYearsBtn").classed("active", year == null);
+  updateAll();
+}
+
+function startPlayback() {
+  if (isPlaying() || !metaYears.length) return;
+
+  // Remember the view before playback so one undo returns to it
+  undoStack.push(getViewState());
+  redoStack = [];
+
+  // Restart from the first year unless paused part-way through
+  const startIndex = metaYears.indexOf(selectedYear);
+  const from = startIndex === -1 || startIndex === metaYears.length - 1 ? 0 : startIndex + 1;
+
+  playbackTimer = d3.interval(() => {
+    const next = metaYears.indexOf(selectedYear) + 1;
+    if (next >= metaYears.length) {
+      stopPlayback();
+      return;
+    }
+    showPlaybackYear(metaYears[next]);
+    if (next === metaYears.length - 1) stopPlayback();
+  }, PLAYBACK_INTERVAL);
+
+  updatePlaybackControls();
+  showPlaybackYear(metaYears[from]);
+}
+
+function stopPlayback() {
+  if (!isPlaying()) return;
+  playbackTimer.stop();
+  playbackTimer = null;
+  updatePlaybackControls();
+  recordViewState();
+}
+
+function stepPlayback(offset) {
+  stopPlayback();
+  const index = metaYears.indexOf(selectedYear);
+
+  // From "All years", stepping forward starts at the first year and
+  // stepping back at the last
+  const next = index === -1
+    ? (offset > 0 ? 0 : metaYears.length - 1)
+    : Math.max(0, Math.min(metaYears.length - 1, index + offset));
+  showPlaybackYear(metaYears[next]);
+}
+
+function updatePlaybackControls() {
+  d3.select("#playBtn")
+    .html(isPlaying() ? `&#10074;&#10074; ${I18n.t("overview.pause")}` : `&#9654; ${I18n.t("overview.play")}`)
+    .attr("aria-pressed", isPlaying());
+  d3.select("#playbackYear").text(selectedYear == null ? I18n.t("overview.allYears") : selectedYear);
+}
+
+function initPlaybackControls() {
+  d3.select("#playBtn").on("click", () => (isPlaying() ? stopPlayback() : startPlayback()));
+  d3.select("#stepBackBtn").on("click", () => stepPlayback(-1));
+  d3.select("#stepForwardBtn").on("click", () => stepPlayback(1));
+  updatePlaybackControls();
+}
+
+
+// -------------------------------------------------------------------
+// 15) VIEW STATE (URL HASH PERMALINK + UNDO / REDO)
+// -------------------------------------------------------------------
+// The hash holds only non-default values:
+// #metric=loss&norm=&gender=&age=&year=&mode=change&from=&to=&measure=abs&rank=growth
+let undoStack = [];
+let redoStack = [];
+let lastViewState = null;
+let restoringViewState = false;
+
+function getViewState() {
+  return {
+    metric: selectedMetric,
+    norm: selectedNorm,
+    gender: selectedGender,
+    age: selectedAge,
+    year: selectedYear,
+    mode: mapMode,
+    from: changeFromYear,
+    to: changeToYear,
+    measure: changeMeasure,
+    rank: barRanking,
+    pyramid: pyramidRegion
+  };
+}
+
+function sameViewState(a, b) {
+  return Object.keys(a).every(key => a[key] === b[key]);
+}
+
+function viewStateToHash(state) {
+  const params = new URLSearchParams();
+  if (state.metric !== "cases") params.set("metric", state.metric);
+  if (state.norm !== "total") params.set("norm", state.norm);
+  if (state.gender !== "ALL") params.set("gender", state.gender);
+  if (state.age !== "ALL") params.set("age", state.age);
+  if (state.year != null) params.set("year", state.year);
+  if (state.mode !== "magnitude") params.set("mode", state.mode);
+  if (state.from !== metaYears[0]) params.set("from", state.from);
+  if (state.to !== metaYears[metaYears.length - 1]) params.set("to", state.to);
+  if (state.measure !== "pct") params.set("measure", state.measure);
+  if (state.rank !== "volume") params.set("rank", state.rank);
+  if (state.pyramid !== "ALL") params.set("pyramid", state.pyramid);
+
+  const query = params.toString();
+  return query ? `#${query}` : "";
+}
+
+// Unknown or stale values fall back to the defaults
+function viewStateFromHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const gender = params.get("gender");
+  const age = params.get("age");
+  const year = +params.get("year");
+  const from = +params.get("from");
+  const to = +params.get("to");
+  const norm = params.get("norm");
+  const validNorm = FraudData.NORMALISATIONS[norm] &&
+    (norm !== "perVictim" || fraudData.meta.hasVictims);
+  const lossOnly = validNorm && FraudData.NORMALISATIONS[norm].lossOnly;
+
+  return {
+    metric: params.get("metric") === "loss" || lossOnly ? "loss" : "cases",
+    norm: validNorm ? norm : "total",
+    gender: metaGenders.includes(gender) ? gender : "ALL",
+    age: metaAgeRanges.includes(age) ? age : "ALL",
+    year: metaYears.includes(year) ? year : null,
+    mode: MAP_MODES.includes(params.get("mode")) ? params.get("mode") : "magnitude",
+    from: metaYears.includes(from) ? from : metaYears[0],
+    to: metaYears.includes(to) ? to : metaYears[metaYears.length - 1],
+    measure: params.get("measure") === "abs" ? "abs" : "pct",
+    rank: params.get("rank") === "growth" ? "growth" : "volume",
+    pyramid: provinceNameSet.has(params.get("pyramid")) ? params.get("pyramid") : "ALL"
+  };
+}
+
+// Set the selection globals and the controls that mirror them
+function applyViewState(state) {
+  selectedMetric = state.metric;
+  selectedNorm = state.norm;
+  selectedGender = state.gender;
+  selectedAge = state.age;
+  selectedYear = state.year;
+  mapMode = state.mode;
+  changeFromYear = state.from;
+  changeToYear = state.to;
+  changeMeasure = state.measure;
+  barRanking = state.rank;
+  pyramidRegion = state.pyramid;
+
+  updateMetricStyles();
+  updateChangeControls();
+  d3.select("#genderSelect").property("value", selectedGender);
+  d3.select("#allYearsBtn").classed("active", selectedYear == null);
+  d3.select("#allGendersBtn").classed("active", selectedGender === "ALL");
+  d3.select("#allAgesBtn").classed("active", selectedAge === "ALL");
+  d3.select("#pyramidRegionSelect").property("value", pyramidRegion);
+}
+
+// Runs after every redraw: remember the previous view for undo and
+// rewrite the hash (replaceState, so Back still leaves the page)
+function recordViewState() {
+  const state = getViewState();
+
+  // Playback pushes one undo entry when it starts (startPlayback)
+  if (lastViewState && !restoringViewState && !isPlaying() && !sameViewState(state, lastViewState)) {
+    undoStack.push(lastViewState);
+    redoStack = [];
+  }
+  lastViewState = state;
+
+  const hash = viewStateToHash(state);
+  if (window.location.hash !== hash) {
+    history.replaceState(null, "", window.location.pathname + window.location.search + hash);
+  }
+
+  d3.select("#undoBtn").property("disabled", !undoStack.length);
+  d3.select("#redoBtn").property("disabled", !redoStack.length);
+}
+
+function restoreViewState(state) {
+  stopPlayback();
+  restoringViewState = true;
+  applyViewState(state);
+  updateAll();
+  restoringViewState = false;
+}
+
+function undoView() {
+  if (!undoStack.length) return;
+  redoStack.push(getViewState());
+  restoreViewState(undoStack.pop());
+}
+
+function redoView() {
+  if (!redoStack.length) return;
+  undoStack.push(getViewState());
+  restoreViewState(redoStack.pop());
+}
+
+// Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes
+window.addEventListener("keydown", event => {
+  if (!fraudData || !(event.ctrlKey || event.metaKey)) return;
+  if (event.target.closest("input, select, textarea")) return;
+
+  const key = event.key.toLowerCase();
+  if (key === "z" && !event.shiftKey) {
+    event.preventDefault();
+    undoView();
+  } else if ((key === "z" && event.shiftKey) || key === "y") {
+    event.preventDefault();
+    redoView();
+  }
+});
+
+// A hash edited or pasted by hand becomes a normal, undoable change
+window.addEventListener("hashchange", () => {
+  if (!fraudData) return;
+  stopPlayback();
+  applyViewState(viewStateFromHash(window.location.hash));
+  updateAll();
+});
+
+
+// -------------------------------------------------------------------
+// 16) EXPORT (SVG / PNG / CSV PER PANEL)
+// -------------------------------------------------------------------
+// Filters each chart actually applies, as [label, value] pairs for the
+// CSV header
+function exportFilters(...keys) {
+  const pairs = {
+    year: ["filter.year", selectedYear == null ? I18n.t("overview.allYears") : selectedYear],
+    gender: ["filter.gender", selectedGender === "ALL" ? I18n.t("overview.allGenders") : I18n.term(selectedGender)],
+    age: ["filter.ageRange", selectedAge === "ALL" ? I18n.t("overview.allAges") : selectedAge],
+    metric: ["filter.metric", activeMetricLabel()],
+    rawMetric: ["filter.metric", FraudData.metricLabel(selectedMetric, "total")],
+    change: ["filter.change", `${changeFromYear} → ${changeToYear} (${I18n.t(`overview.measure.${changeMeasure}`)})`],
+    mapMode: ["filter.map", d3.select(`#mapModeSelect option[value=${mapMode}]`).text()],
+    ranking: ["filter.ranking", I18n.t(barRanking === "growth" ? "overview.byGrowth" : "overview.byVolume")],
+    pyramid: ["filter.province", pyramidRegion === "ALL" ? I18n.t("overview.allCanada") : I18n.province(pyramidRegion)],
+  };
+  return keys.map(key => [I18n.t(pairs[key][0]), pairs[key][1]]);
+}
+
+function initExportMenus() {
+  const panels = [
+    {
+      selector: "#mapExport", svg: "#map", name: "overview-map", title: I18n.t("overview.panel.map"), rows: "map",
+      filters: () => mapMode === "change"
+        ? exportFilters("mapMode", "change", "gender", "age", "metric")
+        : exportFilters("mapMode", "year", "gender", "age", "metric")
+    },
+    {
+      selector: "#barChartExport", svg: "#barChart", name: "overview-top-regions", title: I18n.t("overview.panel.bar"), rows: "bar",
+      filters: () => barRanking === "growth"
+        ? exportFilters("ranking", "change", "gender", "age", "metric")
+        : exportFilters("ranking", "year", "gender", "age", "metric")
+    },
+    {
+      selector: "#trendExport", svg: "#trendChart", name: "overview-trend", title: I18n.t("overview.panel.trend"), rows: "trend",
+      filters: () => exportFilters("gender", "age", "metric")
+    },
+    {
+      selector: "#genderExport", svg: "#genderChart", name: "overview-gender", title: I18n.t("overview.panel.gender"), rows: "gender",
+      filters: () => exportFilters("year", "age", "rawMetric")
+    },
+    {
+      selector: "#ageExport", svg: "#donutChart", name: "overview-age", title: I18n.t("overview.panel.age"), rows: "age",
+      filters: () => exportFilters("year", "gender", "rawMetric")
+    },
+    {
+      selector: "#pyramidExport", svg: "#pyramidChart", name: "overview-age-gender", title: I18n.t("overview.panel.pyramid"), rows: "pyramid",
+      filters: () => exportFilters("year", "pyramid", "rawMetric")
+    }
+  ];
+
+  panels.forEach(panel => {
+    ChartExport.renderMenu(panel.selector, {
+      title: panel.title,
+      name: panel.name,
+      svg: panel.svg,
+      rows: () => exportRows[panel.rows] || [],
+      filters: panel.filters,
+      dataset: "aggregate"
+    });
+    A11y.tableToggle(panel.selector, {
+      id: panel.rows + "Table",
+      title: panel.title,
+      rows: () => exportRows[panel.rows] || []
     });
+  });
 }
 
 
 // -------------------------------------------------------------------
-// 14) WINDOW RESIZE HANDLING (REDRAW ALL)
+// 17) WINDOW RESIZE HANDLING (REDRAW ALL)
 // -------------------------------------------------------------------
 window.addEventListener("resize", () => {
   // Map
@@ -934,6 +2036,7 @@ window.addEventListener("resize", () => {
   mapHeight = mapContainer.clientHeight;
   mapSvg.attr("width", mapWidth).attr("height", mapHeight);
   projection.fitSize([mapWidth, mapHeight], geojson);
+  mapView.clear();
 
   // Trend
   const trendParent = trendSvg.node().parentElement;
@@ -971,6 +2074,22 @@ window.addEventListener("resize", () => {
   donutSvg.attr("width", donutWidth).attr("height", donutHeight);
   donutG.attr("transform", `translate(${donutWidth / 2},${donutHeight / 2})`);
 
+  // Pyramid
+  const pyramidParent = pyramidSvg.node().parentElement;
+  pyramidWidth = pyramidParent.clientWidth;
+  pyramidHeight = pyramidParent.clientHeight;
+  pyramidSvg.attr("width", pyramidWidth).attr("height", pyramidHeight);
+
   // Redraw everything with new geometry
   updateAll();
 });
+
+
+// -------------------------------------------------------------------
+// 18) THEME SWITCH (js/theme.js)
+// -------------------------------------------------------------------
+Theme.onChange(() => {
+  if (!fraudData) return;
+  updateMetricStyles();
+  updateAll();
+});
@@ -0,0 +1,259 @@
+// -------------------------------------------------------------------
+// PRINTABLE REPORT
+// Builds a one-page handout into #printReport: headline figures, a
+// written summary, chart snapshots and top-N tables. On screen it is a
+// preview over the dashboard; css/print.css prints only the report.
+// -------------------------------------------------------------------
+const Report = (function () {
+
+  const formatInt = d3.format(",d");
+  const formatDollar = d3.format("$,.0f");
+  const formatShare = share => I18n.percent(share * 100, 0);
+
+
+  // -----------------------------------------------------------------
+  // 1) NARRATIVE SENTENCES
+  // -----------------------------------------------------------------
+  // "Losses rose 34% from 2023 to 2024." (null when there is nothing
+  // to compare). Sentences are catalogue templates (report.sentence.*)
+  function describeChange(noun, from, to, fromYear, toYear, format) {
+    if (!from && !to) return null;
+    if (!from) return I18n.t("report.sentence.fromNone", { noun, fromYear, toYear, to: format(to) });
+
+    const pct = Math.round(FraudData.change(from, to).pct);
+    if (pct === 0) return I18n.t("report.sentence.steady", { noun, fromYear, toYear, to: format(to) });
+    return I18n.t(pct > 0 ? "report.sentence.rose" : "report.sentence.fell",
+      { noun, fromYear, toYear, pct: I18n.percent(Math.abs(pct), 0) });
+  }
+
+  // "Reported cases peaked in 2023 at 1,234." for a yearly series
+  function describePeak(series, key, noun, format) {
+    if (series.length < 2) return null;
+    const peak = d3.greatest(series, d => d[key]);
+    return peak && peak[key] > 0
+      ? I18n.t("report.sentence.peak", { noun, year: peak.year, value: format(peak[key]) })
+      : null;
+  }
+
+  // "Investments was the most reported fraud category (23% of cases)."
+  function describeTop(rows, what) {
+    const total = d3.sum(rows, d => d.cases);
+    const top = rows.find(d => d.key !== "Others");
+    if (!top || !total) return null;
+    return I18n.t("report.sentence.top", { name: I18n.term(top.key), what, share: formatShare(top.cases / total) });
+  }
+
+
+  // -----------------------------------------------------------------
+  // 2) CHARTS
+  // -----------------------------------------------------------------
+  // Image of a chart as drawn on the page (styles inlined by js/export.js)
+  function snapshot(svgNode) {
+    const img = document.createElement("img");
+    img.alt = svgNode.getAttribute("aria-label") || "";
+    img.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(ChartExport.serialise(svgNode));
+    return img;
+  }
+
+  // Yearly cases (left axis) and loss (right axis) for pages without a
+  // trend chart of their own; series is [{ year, cases, loss }]
+  function trendChart(series, { width = 640, height = 220 } = {}) {
+    const margin = { top: 24, right: 70, bottom: 24, left: 50 };
+    const innerWidth = width - margin.left - margin.right;
+    const innerHeight = height - margin.top - margin.bottom;
+
+    const svg = d3.create("svg")
+      .attr("class", "report-trend")
+      .attr("viewBox", `0 0 ${width} ${height}`)
+      .attr("role", "img")
+      .attr("aria-label", I18n.t("report.trendLabel"));
+
+    const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+    const x = d3.scalePoint()
+      .domain(series.map(d => d.year))
+      .range([0, innerWidth])
+      .padding(0.3);
+    const yCases = d3.scaleLinear()
+      .domain([0, d3.max(series, d => d.cases) || 1])
+      .nice()
+      .range([innerHeight, 0]);
+    const yLoss = d3.scaleLinear()
+      .domain([0, d3.max(series, d => d.loss) || 1])
+      .nice()
+      .range([innerHeight, 0]);
+
+    g.append("g")
+      .attr("transform", `translate(0,${innerHeight})`)
+      .call(d3.axisBottom(x).tickFormat(d3.format("d")));
+    g.append("g").call(d3.axisLeft(yCases).ticks(4).tickFormat(d3.format("~s")));
+    g.append("g")
+      .attr("transform", `translate(${innerWidth},0)`)
+      .call(d3.axisRight(yLoss).ticks(4).tickFormat(d3.format("$~s")));
+
+    [
+      { key: "cases", y: yCases, color: Theme.metricColor("cases"), label: I18n.t("report.cases") },
+      { key: "loss", y: yLoss, color: Theme.metricColor("loss"), label: I18n.t("report.lossDollars") }
+    ].forEach((line, i) => {
+      g.append("path")
+        .datum(series)
+        .attr("fill", "none")
+        .attr("stroke", line.color)
+        .attr("stroke-width", 2)
+        .attr("d", d3.line().x(d => x(d.year)).y(d => line.y(d[line.key])));
+
+      g.selectAll(null)
+        .data(series)
+        .enter()
+        .append("circle")
+        .attr("cx", d => x(d.year))
+        .attr("cy", d => line.y(d[line.key]))
+        .attr("r", 3)
+        .attr("fill", line.color);
+
+      g.append("text")
+        .attr("x", i * 90)
+        .attr("y", -10)
+        .attr("fill", line.color)
+        .attr("font-size", 11)
+        .text(`● ${line.label}`);
+    });
+
+    return svg.node();
+  }
+
+
+  // -----------------------------------------------------------------
+  // 3) BUILD + SHOW
+  // -----------------------------------------------------------------
+  // report: { title, subtitle, figures: [{ label, value }],
+  //   narrative: [sentence | null], charts: [{ title, node }],
+  //   tables: [{ title, columns: [{ label, value(row) }], rows }],
+  //   sections: [{ title?, render(node) }], filters: [[label, value]] }
+  function open(report) {
+    const root = d3.select("#printReport");
+    root.selectAll("*").remove();
+
+    const toolbar = root.append("div").attr("class", "report-toolbar");
+    toolbar.append("button")
+      .attr("type", "button")
+      .attr("class", "btn btn-success btn-sm")
+      .text(I18n.t("report.print"))
+      .on("click", () => window.print());
+    toolbar.append("button")
+      .attr("type", "button")
+      .attr("class", "btn btn-outline-light btn-sm")
+      .text(I18n.t("report.close"))
+      .on("click", close);
+
+    const page = root.append("article")
+      .attr("class", "report-page")
+      .attr("aria-label", report.title);
+
+    // Header
+    const header = page.append("header").attr("class", "report-header");
+    header.append("div").attr("class", "report-brand").text(I18n.t("common.brand"));
+    header.append("h1").text(report.title);
+    if (report.subtitle) header.append("p").attr("class", "report-subtitle").text(report.subtitle);
+
+    // Headline figures
+    const figures = page.append("div")
+      .attr("class", "report-figures")
+      .selectAll("div")
+      .data(report.figures || [])
+      .enter()
+      .append("div")
+      .attr("class", "report-figure");
+
+    figures.append("div").attr("class", "report-figure-value").text(d => d.value);
+    figures.append("div").attr("class", "report-figure-label").text(d => d.label);
+
+    // Written summary
+    const sentences = (report.narrative || []).filter(Boolean);
+    if (sentences.length) {
+      page.append("p").attr("class", "report-narrative").text(sentences.join(" "));
+    }
+
+    // Chart snapshots
+    const charts = page.append("div").attr("class", "report-charts");
+    (report.charts || []).forEach(chart => {
+      const figure = charts.append("figure").attr("class", "report-chart");
+      figure.node().appendChild(chart.node);
+      figure.append("figcaption").text(chart.title);
+    });
+
+    // Top-N tables
+    const tables = page.append("div").attr("class", "report-tables");
+    (report.tables || []).forEach(table => {
+      const block = tables.append("div").attr("class", "report-table-block");
+      block.append("h2").text(table.title);
+
+      const t = block.append("table").attr("class", "report-table");
+      t.append("thead").append("tr")
+        .selectAll("th")
+        .data(table.columns)
+        .enter()
+        .append("th")
+        .attr("scope", "col")
+        .text(c => c.label);
+
+      t.append("tbody")
+        .selectAll("tr")
+        .data(table.rows)
+        .enter()
+        .append("tr")
+        .selectAll("td")
+        .data(row => table.columns.map(c => c.value(row)))
+        .enter()
+        .append("td")
+        .text(v => v);
+    });
+
+    // Page-specific blocks (e.g. the comparison page's top months)
+    (report.sections || []).forEach(section => {
+      const block = page.append("section").attr("class", "report-section");
+      if (section.title) block.append("h2").text(section.title);
+      section.render(block.append("div").node());
+    });
+
+    // Footer: filters, source, date
+    const source = FraudData.SOURCE;
+    const footer = page.append("footer").attr("class", "report-footer");
+    if (report.filters && report.filters.length) {
+      footer.append("p").text(
+        I18n.t("report.filters", {
+          filters: report.filters.map(([label, value]) => I18n.t("report.filter", { label, value })).join(" · ")
+        })
+      );
+    }
+    footer.append("p").text(I18n.t("report.source", { name: source.name, url: source.url }));
+    footer.append("p").text(I18n.t("report.generated", { date: I18n.timeFormat("date.long")(new Date()) }));
+
+    document.body.classList.add("report-open");
+    root.attr("aria-hidden", null);
+    toolbar.select("button").node().focus();
+  }
+
+  function close() {
+    document.body.classList.remove("report-open");
+    d3.select("#printReport").attr("aria-hidden", "true").selectAll("*").remove();
+  }
+
+  // Escape closes the preview
+  document.addEventListener("keydown", event => {
+    if (event.key === "Escape" && document.body.classList.contains("report-open")) close();
+  });
+
+
+  return {
+    formatInt,
+    formatDollar,
+    describeChange,
+    describePeak,
+    describeTop,
+    snapshot,
+    trendChart,
+    open,
+    close,
+  };
+})();
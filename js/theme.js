@@ -0,0 +1,251 @@
+// -------------------------------------------------------------------
+// COLOUR THEMES
+// Every colour the charts draw with: the cases / loss pair, map ramps,
+// the change (diverging) scale, slice palettes and map highlights.
+// Four palettes: the original dark one, a colour-blind-safe one
+// (Okabe-Ito / Paul Tol colours), high contrast and light. The choice
+// is remembered in localStorage; pages register a redraw with
+// onChange(). Page surfaces follow from css/theme.css via the
+// data-theme attribute on <html>.
+// -------------------------------------------------------------------
+const Theme = (function () {
+
+  // -----------------------------------------------------------------
+  // 1) PALETTES
+  // -----------------------------------------------------------------
+  // Shared by the dark themes: page surfaces and chart ink
+  const DARK_SURFACE = {
+    background: "#2f2f2f",   // page + empty heatmap cells
+    border: "#454545",       // province outlines (panel colour)
+    empty: "#555555",        // provinces with nothing reported
+    noData: "#e5e7eb",       // classed maps: no value
+    text: "#ffffff",
+    muted: "#9ca3af",
+    halo: "#000000",         // shadow behind map labels
+    dimmed: "rgba(0, 0, 0, 0.1)",
+  };
+
+  // Changes stay red = increase / blue = decrease in every theme
+  // (RdBu is colour-blind safe), so the legend wording holds
+  const diverging = t => d3.interpolateRdBu(1 - t);
+
+  // Okabe & Ito (2008), without black
+  const OKABE_ITO = ["#E69F00", "#56B4E9", "#009E73", "#F0E442", "#0072B2", "#D55E00", "#CC79A7", "#999999"];
+
+  // Twelve categories (as many as schemeSet3): Okabe-Ito topped up with
+  // the Paul Tol "muted" colours that stay apart from it under CVD. The
+  // high-contrast list swaps the darkest ones for colours that read on
+  // black.
+  const CVD_12 = ["#E69F00", "#56B4E9", "#009E73", "#F0E442", "#0072B2", "#D55E00", "#CC79A7",
+    "#332288", "#44AA99", "#882255", "#999933", "#DDDDDD"];
+  const CONTRAST_12 = ["#E69F00", "#56B4E9", "#009E73", "#F0E442", "#0072B2", "#D55E00", "#CC79A7",
+    "#FFFFFF", "#44AA99", "#AA4499", "#999933", "#999999"];
+
+  // Bivariate grids are row-major from low y to high y, each row low
+  // x -> high x (see Classify.classifyBivariate)
+  const BIVARIATE_TEAL_PINK = [
+    "#e8e8e8", "#ace4e4", "#5ac8c8",
+    "#dfb0d6", "#a5add3", "#5698b9",
+    "#be64ac", "#8c62aa", "#3b4994",
+  ];
+  const BIVARIATE_GOLD_PURPLE = [
+    "#e8e8e8", "#e4d9ac", "#c8b35a",
+    "#cbb8d7", "#c8ada0", "#af8e53",
+    "#9972af", "#976b82", "#804d36",
+  ];
+
+  // cases / loss: series colours (onMetric: text drawn on them);
+  // casesRamp / lossRamp: sequential map ramps; categorical: pies with
+  // many slices (12 colours in every theme); categoricalShort: pies with
+  // a handful; highlight: provinces picked on the comparison maps
+  const THEMES = {
+    default: {
+      ...DARK_SURFACE,
+      cases: "#1b9e77",
+      loss: "#7570b3",
+      onMetric: "#ffffff",
+      casesRamp: d3.interpolateGreens,
+      lossRamp: d3.interpolatePurples,
+      diverging,
+      categorical: d3.schemeSet3,
+      categoricalShort: d3.schemeSet2,
+      bivariate: BIVARIATE_TEAL_PINK,
+      highlight: "#ea63ffff",
+    },
+    cvd: {
+      ...DARK_SURFACE,
+      cases: "#56B4E9",
+      loss: "#E69F00",
+      onMetric: "#000000",
+      casesRamp: d3.interpolateBlues,
+      lossRamp: d3.interpolateOranges,
+      diverging,
+      categorical: CVD_12,
+      categoricalShort: OKABE_ITO,
+      bivariate: BIVARIATE_GOLD_PURPLE,
+      highlight: "#F0E442",
+    },
+    contrast: {
+      background: "#000000",
+      border: "#ffffff",
+      empty: "#333333",
+      noData: "#666666",
+      text: "#ffffff",
+      muted: "#ffffff",
+      halo: "#000000",
+      dimmed: "rgba(0, 0, 0, 0.6)",
+      cases: "#33ccff",
+      loss: "#ffb000",
+      onMetric: "#000000",
+      casesRamp: d3.interpolateBlues,
+      lossRamp: d3.interpolateOranges,
+      diverging,
+      categorical: CONTRAST_12,
+      categoricalShort: OKABE_ITO,
+      bivariate: BIVARIATE_GOLD_PURPLE,
+      highlight: "#ffff00",
+    },
+    light: {
+      background: "#ffffff",
+      border: "#ffffff",
+      empty: "#d4d4d4",
+      noData: "#f3f4f6",
+      text: "#222222",
+      muted: "#6b7280",
+      halo: "#ffffff",
+      dimmed: "rgba(0, 0, 0, 0.05)",
+      cases: "#1b9e77",
+      loss: "#7570b3",
+      onMetric: "#ffffff",
+      casesRamp: d3.interpolateGreens,
+      lossRamp: d3.interpolatePurples,
+      diverging,
+      categorical: d3.schemeSet3,
+      categoricalShort: d3.schemeSet2,
+      bivariate: BIVARIATE_TEAL_PINK,
+      highlight: "#c026d3",
+    },
+  };
+  const DEFAULT_THEME = "default";
+  const STORAGE_KEY = "fraudwatch.theme";
+
+
+  // -----------------------------------------------------------------
+  // 2) CURRENT THEME
+  // -----------------------------------------------------------------
+  // Stored choice, else high contrast when the system asks for more
+  // contrast, else the default
+  function initialTheme() {
+    let stored = null;
+    try {
+      stored = window.localStorage.getItem(STORAGE_KEY);
+    } catch (e) {
+      // Storage blocked (private mode, file://): not remembered
+    }
+    if (stored && THEMES[stored]) return stored;
+    if (window.matchMedia && window.matchMedia("(prefers-contrast: more)").matches) return "contrast";
+    return DEFAULT_THEME;
+  }
+
+  let current = initialTheme();
+  const listeners = [];
+
+  function palette() {
+    return THEMES[current];
+  }
+
+  // "cases" / "loss" -> series colour and sequential ramp
+  function metricColor(metric) {
+    return metric === "loss" ? palette().loss : palette().cases;
+  }
+
+  function ramp(metric) {
+    return metric === "loss" ? palette().lossRamp : palette().casesRamp;
+  }
+
+  // Most categories a chart can colour without repeats; charts fold the
+  // rest into "Others"
+  function maxCategories() {
+    return palette().categorical.length;
+  }
+
+  // Slice colours for count categories: the short palette when it has
+  // enough colours, else the long one
+  function categorical(count) {
+    const p = palette();
+    return count <= p.categoricalShort.length ? p.categoricalShort : p.categorical;
+  }
+
+  // <html data-theme> for css/theme.css, plus the metric colours as
+  // custom properties for stylesheet rules (--theme-cases, ...)
+  function applyToDocument() {
+    const root = document.documentElement;
+    const p = palette();
+    root.setAttribute("data-theme", current);
+    root.style.setProperty("--theme-cases", p.cases);
+    root.style.setProperty("--theme-loss", p.loss);
+    root.style.setProperty("--theme-highlight", p.highlight);
+  }
+
+  // Register a redraw; called after every switch
+  function onChange(listener) {
+    listeners.push(listener);
+  }
+
+  function set(name) {
+    if (!THEMES[name] || name === current) return;
+    current = name;
+    try {
+      window.localStorage.setItem(STORAGE_KEY, name);
+    } catch (e) {
+      // Not remembered, still applied
+    }
+    applyToDocument();
+    d3.selectAll(".theme-select").property("value", name);
+    listeners.forEach(listener => listener(name));
+  }
+
+  applyToDocument();
+
+
+  // -----------------------------------------------------------------
+  // 3) SWITCHER
+  // -----------------------------------------------------------------
+  // Theme select for the navbar; labels come from the catalogues
+  // (theme.*)
+  function renderSwitcher(selector) {
+    const container = d3.select(selector);
+    if (container.empty()) return;
+    container.selectAll("*").remove();
+
+    container.append("select")
+      .attr("class", "form-select form-select-sm theme-select")
+      .attr("aria-label", I18n.t("theme.label"))
+      .attr("title", I18n.t("theme.label"))
+      .on("change", event => set(event.target.value))
+      .selectAll("option")
+      .data(Object.keys(THEMES))
+      .enter()
+      .append("option")
+      .attr("value", d => d)
+      .property("selected", d => d === current)
+      .text(d => I18n.t(`theme.${d}`));
+  }
+
+  document.addEventListener("DOMContentLoaded", () => renderSwitcher("#themeSwitch"));
+
+
+  return {
+    THEMES,
+    DEFAULT_THEME,
+    get name() { return current; },
+    palette,
+    metricColor,
+    ramp,
+    maxCategories,
+    categorical,
+    onChange,
+    set,
+    renderSwitcher,
+  };
+})();
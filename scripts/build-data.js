@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+// -------------------------------------------------------------------
+// OFFLINE DATA BUILD
+// Turns the Canadian Anti-Fraud Centre CSV export into the two files
+// the dashboard loads:
+//   data/CanadianAnti-FraudCentreReportingData-EN-CA-only.json
+//     one normalised record per Canadian report (index + comparison)
+//   data/CanadianAnti-FraudCentreReportingData_aggregated_for_trend.json
+//     { meta, mapByYear, mapAllYears } cube (overview)
+// and prints a manifest (row counts, date span, checksums). Output is
+// sorted and contains no timestamps, so the same CSV always produces
+// byte-identical files.
+//
+// Usage:
+//   node scripts/build-data.js path/to/cafc-export.csv [--out data]
+// -------------------------------------------------------------------
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Canonical province / gender / age names shared with the pages
+const FraudData = require("../js/data.js");
+
+
+// -------------------------------------------------------------------
+// 1) CONFIG
+// -------------------------------------------------------------------
+const RECORDS_NAME = "CanadianAnti-FraudCentreReportingData-EN-CA-only.json";
+const AGGREGATE_NAME = "CanadianAnti-FraudCentreReportingData_aggregated_for_trend.json";
+const MANIFEST_NAME = "build-manifest.json";
+
+// CSV headers are bilingual ("Gender / Genre"); match on the English part
+const COLUMNS = {
+  id: /number id/i,
+  date: /date received/i,
+  country: /^country/i,
+  region: /province/i,
+  category: /categor/i,
+  method: /solicitation method/i,
+  gender: /^gender/i,
+  language: /language/i,
+  ageRange: /age range/i,
+  complaintType: /^complaint type/i,
+  victimCount: /number of victims/i,
+  dollarLoss: /dollar loss/i,
+};
+
+const REQUIRED_COLUMNS = ["date", "region", "gender", "ageRange", "dollarLoss"];
+
+
+// -------------------------------------------------------------------
+// 2) CSV PARSING
+// -------------------------------------------------------------------
+// RFC 4180: quoted fields may hold commas, doubled quotes and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+
+    if (inQuotes) {
+      if (c === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      inQuotes = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(v => v.trim() !== ""));
+}
+
+// Map our field names to column indexes in the header row
+function resolveColumns(header) {
+  const index = {};
+  Object.entries(COLUMNS).forEach(([field, pattern]) => {
+    const i = header.findIndex(h => pattern.test(h.trim()));
+    if (i !== -1) index[field] = i;
+  });
+
+  const missing = REQUIRED_COLUMNS.filter(f => index[f] == null);
+  if (missing.length) {
+    throw new Error(`CSV is missing required column(s): ${missing.join(", ")}`);
+  }
+  return index;
+}
+
+
+// -------------------------------------------------------------------
+// 3) FIELD NORMALISATION
+// -------------------------------------------------------------------
+function cleanText(v) {
+  return String(v == null ? "" : v).replace(/\s+/g, " ").trim();
+}
+
+// "2024-03-07", "2024/03/07" or "3/7/2024" -> "2024-03-07"; null if invalid
+function normaliseDate(raw) {
+  const v = cleanText(raw);
+  let y, m, d;
+
+  let match = v.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/);
+  if (match) {
+    [, y, m, d] = match;
+  } else {
+    match = v.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+    if (!match) return null;
+    [, m, d, y] = match;
+  }
+
+  const date = new Date(Date.UTC(+y, +m - 1, +d));
+  if (isNaN(date) || date.getUTCMonth() !== +m - 1) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+// "$1,234.56", "1 234,56 $", "(12.00)" -> number; null if unparseable
+function normaliseCurrency(raw) {
+  let v = cleanText(raw);
+  if (!v) return 0;
+
+  const negative = /^\(.*\)$/.test(v) || v.startsWith("-");
+  v = v.replace(/[^\d.,]/g, "");
+  if (!v) return null;
+
+  // A lone comma followed by exactly two digits is a decimal comma
+  if (/^\d+(\.\d{3})*,\d{2}$/.test(v) || /^\d+,\d{2}$/.test(v)) {
+    v = v.replace(/\./g, "").replace(",", ".");
+  } else {
+    v = v.replace(/,/g, "");
+  }
+
+  const n = parseFloat(v);
+  if (!isFinite(n)) return null;
+  return Math.round((negative ? -n : n) * 100) / 100;
+}
+
+function normaliseCount(raw) {
+  const n = parseInt(cleanText(raw).replace(/[^\d-]/g, ""), 10);
+  return isFinite(n) ? n : 0;
+}
+
+function toRecord(cells, col) {
+  const get = field => (col[field] == null ? "" : cells[col[field]]);
+  const date = normaliseDate(get("date"));
+  const rawRegion = cleanText(get("region"));
+
+  return {
+    id: cleanText(get("id")),
+    date,
+    year: date ? +date.slice(0, 4) : null,
+    country: cleanText(get("country")),
+    region: FraudData.canonicalRegion(rawRegion) || rawRegion,
+    gender: FraudData.canonicalGender(get("gender")),
+    ageRange: FraudData.canonicalAgeRange(get("ageRange")),
+    category: cleanText(get("category")),
+    method: cleanText(get("method")),
+    complaintType: cleanText(get("complaintType")),
+    language: cleanText(get("language")),
+    victimCount: normaliseCount(get("victimCount")),
+    dollarLoss: normaliseCurrency(get("dollarLoss")),
+  };
+}
+
+
+// -------------------------------------------------------------------
+// 4) AGGREGATE CUBE (DETAIL + "ALL" ROLL-UP ROWS)
+// -------------------------------------------------------------------
+// For every (year, region) cell emit the detail rows plus roll-ups over
+// gender, age range and both, matching what FraudData.cubeRows expects
+function buildCube(records, withYear) {
+  const ALL = FraudData.ALL;
+  const cells = new Map();
+
+  records.forEach(r => {
+    [r.gender, ALL].forEach(gender => {
+      [r.ageRange, ALL].forEach(ageRange => {
+        const key = JSON.stringify([withYear ? r.year : null, r.region, gender, ageRange]);
+        const cell = cells.get(key) || { cases: 0, loss: 0, victims: 0 };
+        cell.cases += 1;
+        cell.loss += r.dollarLoss;
+        cell.victims += r.victimCount;
+        cells.set(key, cell);
+      });
+    });
+  });
+
+  return Array.from(cells, ([key, v]) => {
+    const [year, region, gender, ageRange] = JSON.parse(key);
+    const row = withYear ? { year } : {};
+    return {
+      ...row,
+      gender,
+      ageRange,
+      region,
+      cases: v.cases,
+      loss: Math.round(v.loss * 100) / 100,
+      victims: v.victims,
+    };
+  }).sort((a, b) =>
+    (b.year || 0) - (a.year || 0) ||
+    compareText(a.region, b.region) ||
+    compareText(a.gender, b.gender) ||
+    FraudData.compareAgeRanges(a.ageRange, b.ageRange)
+  );
+}
+
+function compareText(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function uniqueSorted(values, compare = compareText) {
+  return Array.from(new Set(values)).sort(compare);
+}
+
+
+// -------------------------------------------------------------------
+// 5) MAIN
+// -------------------------------------------------------------------
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+function parseArgs(argv) {
+  const args = { input: null, out: path.join(__dirname, "..", "data") };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--out") args.out = argv[++i];
+    else if (!args.input) args.input = argv[i];
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.input) {
+    console.error("Usage: node scripts/build-data.js path/to/cafc-export.csv [--out data]");
+    process.exit(1);
+  }
+
+  const csvText = fs.readFileSync(args.input, "utf8").replace(/^\uFEFF/, "");
+  const [header, ...body] = parseCsv(csvText);
+  const col = resolveColumns(header);
+
+  const skipped = { notCanada: 0, invalidDate: 0, invalidLoss: 0 };
+  const records = [];
+
+  body.forEach(cells => {
+    const r = toRecord(cells, col);
+    if (r.country && r.country.toLowerCase() !== "canada") {
+      skipped.notCanada++;
+    } else if (!r.date) {
+      skipped.invalidDate++;
+    } else if (r.dollarLoss == null) {
+      skipped.invalidLoss++;
+    } else {
+      records.push(r);
+    }
+  });
+
+  records.sort((a, b) => compareText(a.date, b.date) || compareText(a.id, b.id));
+
+  const aggregate = {
+    meta: {
+      years: uniqueSorted(records.map(r => r.year), (a, b) => a - b),
+      regions: uniqueSorted(records.map(r => r.region)),
+      genders: uniqueSorted(records.map(r => r.gender)),
+      ageRanges: uniqueSorted(records.map(r => r.ageRange), FraudData.compareAgeRanges),
+    },
+    mapByYear: buildCube(records, true),
+    mapAllYears: buildCube(records, false),
+  };
+
+  const recordsJson = JSON.stringify(records);
+  const aggregateJson = JSON.stringify(aggregate);
+
+  fs.mkdirSync(args.out, { recursive: true });
+  fs.writeFileSync(path.join(args.out, RECORDS_NAME), recordsJson);
+  fs.writeFileSync(path.join(args.out, AGGREGATE_NAME), aggregateJson);
+
+  const manifest = {
+    source: {
+      file: path.basename(args.input),
+      rows: body.length,
+      sha256: sha256(csvText),
+    },
+    skipped,
+    dateSpan: {
+      start: records.length ? records[0].date : null,
+      end: records.length ? records[records.length - 1].date : null,
+    },
+    outputs: {
+      [RECORDS_NAME]: { rows: records.length, sha256: sha256(recordsJson) },
+      [AGGREGATE_NAME]: {
+        mapByYear: aggregate.mapByYear.length,
+        mapAllYears: aggregate.mapAllYears.length,
+        sha256: sha256(aggregateJson),
+      },
+    },
+  };
+
+  const manifestJson = JSON.stringify(manifest, null, 2) + "\n";
+  fs.writeFileSync(path.join(args.out, MANIFEST_NAME), manifestJson);
+  process.stdout.write(manifestJson);
+}
+
+main();